@@ -0,0 +1,48 @@
+'use strict';
+
+const { chromium } = require('playwright');
+const { createBrowserPool } = require('./pool');
+
+/**
+ * Chromium flags for pooled browsers. `--single-process` is deliberately
+ * absent: long-lived browsers serving several contexts need the
+ * multi-process model to survive a crashing renderer.
+ */
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--no-first-run',
+  // Prevent Pinterest from detecting headless/automation
+  '--disable-blink-features=AutomationControlled',
+];
+
+let pool = null;
+
+/**
+ * Returns the process-wide browser pool, configured from BROWSER_POOL_*
+ * and created on first use. No browser is launched until a request needs one.
+ */
+function getBrowserPool() {
+  if (!pool) {
+    pool = createBrowserPool({
+      launch: () => chromium.launch({ headless: true, args: LAUNCH_ARGS }),
+      size: Number(process.env.BROWSER_POOL_SIZE) || 2,
+      maxContexts: Number(process.env.BROWSER_POOL_CONTEXTS) || 2,
+      maxUses: Number(process.env.BROWSER_POOL_MAX_USES) || 50,
+      maxWaitMs: Number(process.env.BROWSER_POOL_MAX_WAIT_MS) || 30_000,
+      maxQueue: Number(process.env.BROWSER_POOL_MAX_QUEUE) || 20,
+    });
+  }
+  return pool;
+}
+
+/**
+ * Closes the pool's browsers if the pool was ever created (for shutdown).
+ */
+async function closeBrowserPool() {
+  if (pool) await pool.close();
+}
+
+module.exports = { getBrowserPool, closeBrowserPool };
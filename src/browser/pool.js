@@ -0,0 +1,337 @@
+'use strict';
+
+/**
+ * Pool of long-lived headless browsers.
+ *
+ * Every request gets its own browser context (cookies, cache and storage are
+ * not shared), but browsers are launched once and reused, so a request no
+ * longer pays Chromium's start-up time.
+ *
+ *   - up to `size` browsers, launched on demand, each running at most
+ *     `maxContexts` contexts at once
+ *   - a browser is recycled (closed once idle, then replaced on demand)
+ *     after serving `maxUses` contexts, and dropped as soon as it crashes
+ *   - idle browsers are health-checked every `healthCheckMs`: each must
+ *     open and close a context within `probeTimeoutMs`, or it is closed
+ *     and replaced on demand
+ *   - requests that find every slot busy wait in a FIFO queue of at most
+ *     `maxQueue` entries for up to `maxWaitMs`; beyond that they fail with a 503
+ *
+ * @param {object} options
+ * @param {() => Promise<object>} options.launch  Launches one browser (Playwright Browser API)
+ * @param {number} [options.size]
+ * @param {number} [options.maxContexts]
+ * @param {number} [options.maxUses]
+ * @param {number} [options.maxWaitMs]
+ * @param {number} [options.maxQueue]
+ * @param {number} [options.healthCheckMs]  0 disables the periodic check
+ * @param {number} [options.probeTimeoutMs]
+ */
+function createBrowserPool({
+  launch,
+  size = 2,
+  maxContexts = 2,
+  maxUses = 50,
+  maxWaitMs = 30_000,
+  maxQueue = 20,
+  healthCheckMs = 30_000,
+  probeTimeoutMs = 10_000,
+}) {
+  const browsers = []; // { id, browser, active, uses, launched_at, retiring, probing }
+  const waiters = [];  // { resolve, reject, timer }
+  let launching = 0;
+  let nextId = 1;
+  let closed = false;
+
+  const totals = {
+    served: 0,
+    launched: 0,
+    recycled: 0,
+    crashed: 0,
+    unhealthy: 0,
+    launch_failures: 0,
+    rejected: 0,
+    timed_out: 0,
+  };
+  const wait = { total: 0, count: 0, max: 0 };
+
+  const healthTimer = healthCheckMs > 0 ? setInterval(checkHealth, healthCheckMs) : null;
+  healthTimer?.unref();
+
+  function busyError(message) {
+    return Object.assign(new Error(message), { statusCode: 503 });
+  }
+
+  function remove(entry) {
+    const i = browsers.indexOf(entry);
+    if (i !== -1) browsers.splice(i, 1);
+    return i !== -1;
+  }
+
+  /**
+   * Drops a browser that disconnected without being retired.
+   */
+  function onCrash(entry) {
+    if (remove(entry)) {
+      totals.crashed++;
+      dispatch();
+    }
+  }
+
+  /**
+   * Closes a retiring browser once its last context has finished.
+   */
+  function retire(entry) {
+    if (!remove(entry)) return;
+    totals.recycled++;
+    entry.browser.close().catch(() => {});
+    dispatch();
+  }
+
+  /**
+   * Marks a slot on `entry` as taken by one request.
+   */
+  function reserve(entry) {
+    entry.active++;
+    entry.uses++;
+    if (entry.uses >= maxUses) entry.retiring = true;
+    return entry;
+  }
+
+  /**
+   * The connected, non-retiring browser with the fewest active contexts
+   * that still has a free slot, or null.
+   */
+  function pickBrowser() {
+    let best = null;
+    for (const entry of [...browsers]) {
+      if (!entry.browser.isConnected()) {
+        onCrash(entry);
+        continue;
+      }
+      if (entry.retiring || entry.probing || entry.active >= maxContexts) continue;
+      if (!best || entry.active < best.active) best = entry;
+    }
+    return best;
+  }
+
+  function canLaunch() {
+    return browsers.filter((b) => !b.retiring).length + launching < size;
+  }
+
+  /**
+   * Launches a browser and returns it already reserved for the caller.
+   */
+  async function launchReserved() {
+    launching++;
+    let browser;
+    try {
+      browser = await launch();
+    } catch (err) {
+      totals.launch_failures++;
+      throw err;
+    } finally {
+      launching--;
+    }
+
+    const entry = {
+      id: nextId++, browser, active: 0, uses: 0, launched_at: Date.now(), retiring: false, probing: false,
+    };
+    browser.on('disconnected', () => onCrash(entry));
+    browsers.push(entry);
+    totals.launched++;
+
+    if (closed) {
+      remove(entry);
+      await browser.close().catch(() => {});
+      throw busyError('The browser pool is shut down.');
+    }
+    reserve(entry);
+    // Requests queued while this browser was starting can use its other slots
+    dispatch();
+    return entry;
+  }
+
+  /**
+   * Hands free slots (or new browsers) to queued requests, oldest first.
+   */
+  function dispatch() {
+    while (waiters.length > 0) {
+      const entry = pickBrowser();
+      if (entry) {
+        const waiter = waiters.shift();
+        clearTimeout(waiter.timer);
+        waiter.resolve(reserve(entry));
+        continue;
+      }
+      if (!canLaunch()) return;
+
+      const waiter = waiters.shift();
+      clearTimeout(waiter.timer);
+      launchReserved().then(waiter.resolve, (err) => {
+        waiter.reject(err);
+        dispatch();
+      });
+    }
+  }
+
+  /**
+   * Resolves to a reserved browser entry, launching or queueing as needed.
+   */
+  async function acquire() {
+    if (closed) throw busyError('The browser pool is shut down.');
+
+    const entry = pickBrowser();
+    if (entry) return reserve(entry);
+    if (canLaunch()) return launchReserved();
+
+    if (waiters.length >= maxQueue) {
+      totals.rejected++;
+      throw busyError('All browsers are busy. Please try again shortly.');
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        const i = waiters.indexOf(waiter);
+        if (i !== -1) waiters.splice(i, 1);
+        totals.timed_out++;
+        reject(busyError(`No browser became available within ${Math.round(maxWaitMs / 1000)} s. Please try again shortly.`));
+      }, maxWaitMs);
+      waiters.push(waiter);
+    });
+  }
+
+  function release(entry) {
+    entry.active--;
+    if (entry.retiring && entry.active === 0) {
+      retire(entry);
+    } else {
+      dispatch();
+    }
+  }
+
+  /**
+   * Opens and closes a context on an idle browser. A browser that fails or
+   * takes longer than `probeTimeoutMs` (a hung renderer still reports itself
+   * connected) is dropped and closed. No request is handed the browser
+   * while its probe runs.
+   */
+  async function probe(entry) {
+    entry.probing = true;
+    const opening = Promise.resolve().then(() => entry.browser.newContext());
+    let timer;
+    let healthy = true;
+    try {
+      await Promise.race([
+        opening.then((context) => context.close()),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Health check timed out')), probeTimeoutMs);
+        }),
+      ]);
+    } catch (_) {
+      healthy = false;
+      // A context that opens after the timeout is closed along with the browser
+      opening.catch(() => {});
+    } finally {
+      clearTimeout(timer);
+      entry.probing = false;
+    }
+
+    if (!healthy && remove(entry)) {
+      totals.unhealthy++;
+      entry.browser.close().catch(() => {});
+    }
+    dispatch();
+  }
+
+  /**
+   * Drops idle browsers that are no longer connected and probes the others
+   * (see probe).
+   */
+  function checkHealth() {
+    for (const entry of [...browsers]) {
+      if (entry.active > 0 || entry.retiring || entry.probing) continue;
+      if (!entry.browser.isConnected()) {
+        onCrash(entry);
+      } else {
+        probe(entry);
+      }
+    }
+    dispatch();
+  }
+
+  /**
+   * Runs `fn(context)` in a new browser context on a pooled browser and
+   * closes the context afterwards, whatever `fn` does.
+   *
+   * @param {(context: object) => Promise<any>} fn
+   * @param {object} [contextOptions]  Passed to browser.newContext()
+   */
+  async function withContext(fn, contextOptions = {}) {
+    const queuedAt = Date.now();
+    const entry = await acquire();
+
+    const waited = Date.now() - queuedAt;
+    wait.total += waited;
+    wait.count++;
+    wait.max = Math.max(wait.max, waited);
+
+    let context = null;
+    try {
+      context = await entry.browser.newContext(contextOptions);
+      totals.served++;
+      return await fn(context);
+    } finally {
+      if (context) await context.close().catch(() => {});
+      release(entry);
+    }
+  }
+
+  /**
+   * Snapshot of the pool for monitoring.
+   */
+  function stats() {
+    const now = Date.now();
+    return {
+      size,
+      max_contexts: maxContexts,
+      max_uses: maxUses,
+      browsers: browsers.map((b) => ({
+        id: b.id,
+        active: b.active,
+        uses: b.uses,
+        age_ms: now - b.launched_at,
+        retiring: b.retiring,
+        connected: b.browser.isConnected(),
+      })),
+      launching,
+      active: browsers.reduce((sum, b) => sum + b.active, 0),
+      queued: waiters.length,
+      max_queue: maxQueue,
+      totals: { ...totals },
+      wait_ms: {
+        avg: wait.count > 0 ? Math.round(wait.total / wait.count) : 0,
+        max: wait.max,
+      },
+    };
+  }
+
+  /**
+   * Rejects queued requests and closes every browser.
+   */
+  async function close() {
+    closed = true;
+    if (healthTimer) clearInterval(healthTimer);
+    for (const waiter of waiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(busyError('The browser pool is shut down.'));
+    }
+    const all = browsers.splice(0);
+    await Promise.all(all.map((b) => b.browser.close().catch(() => {})));
+  }
+
+  return { withContext, stats, close };
+}
+
+module.exports = { createBrowserPool };
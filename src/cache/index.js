@@ -0,0 +1,183 @@
+'use strict';
+
+const path = require('node:path');
+const { extractPinterestMedia, extractPinId, resolveShortUrl } = require('../utils/pinterest');
+const { createMemoryCache } = require('./stores/memory');
+const { createFileCache } = require('./stores/file');
+const { createRedisCache } = require('./stores/redis');
+
+const TTL_MS = (Number(process.env.CACHE_TTL_SECONDS) || 600) * 1000;
+const SHORTLINK_TTL_MS = (Number(process.env.SHORTLINK_TTL_SECONDS) || 30 * 24 * 3600) * 1000;
+
+let redisClient = null;
+
+/**
+ * Returns the Redis client shared by every Redis-backed cache, connected
+ * to REDIS_URL on first use. Needs the optional `ioredis` package.
+ */
+function getRedisClient(setting) {
+  if (!redisClient) {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (_) {
+      throw new Error(`${setting}=redis requires the "ioredis" package (npm install ioredis)`);
+    }
+    redisClient = new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+  }
+  return redisClient;
+}
+
+/**
+ * Builds the cache store named by the `setting` env var ("memory", "file",
+ * "redis" or "none"; `fallback` when unset). Anything implementing
+ * get / set / delete can be used instead.
+ */
+function createCacheFromEnv(setting, fallback, { dir, maxEntries }) {
+  const kind = (process.env[setting] || fallback).toLowerCase();
+
+  if (kind === 'none') return null;
+  if (kind === 'file') return createFileCache({ dir: path.resolve(dir) });
+  if (kind === 'redis') return createRedisCache({ client: getRedisClient(setting) });
+  if (kind !== 'memory') {
+    throw new Error(`Unsupported ${setting} "${kind}" (expected "memory", "file", "redis" or "none")`);
+  }
+  return createMemoryCache({ maxEntries });
+}
+
+let cache;
+let shortLinkCache;
+
+/**
+ * Returns the process-wide extraction cache selected by CACHE_STORE
+ * (memory by default; null when "none"), created on first use.
+ */
+function getCache() {
+  if (cache === undefined) {
+    cache = createCacheFromEnv('CACHE_STORE', 'memory', {
+      dir: process.env.CACHE_DIR || './data/cache',
+      maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 1000,
+    });
+  }
+  return cache;
+}
+
+/**
+ * Returns the process-wide shortcode → pin cache selected by SHORTLINK_STORE.
+ * Short links never change target, so it defaults to the file store to
+ * survive restarts.
+ */
+function getShortLinkCache() {
+  if (shortLinkCache === undefined) {
+    shortLinkCache = createCacheFromEnv('SHORTLINK_STORE', 'file', {
+      dir: process.env.SHORTLINK_CACHE_DIR || './data/shortlinks',
+      maxEntries: 10_000,
+    });
+  }
+  return shortLinkCache;
+}
+
+/**
+ * Reads a request's Cache-Control header into cache directives:
+ *   no-cache → skip the cached copy but store the fresh result
+ *   no-store → neither read nor write the cache
+ *
+ * @returns {{ read: boolean, write: boolean }}
+ */
+function cacheDirectives(header) {
+  const directives = String(header || '').toLowerCase().split(',').map((d) => d.trim());
+  const noStore = directives.includes('no-store');
+  return {
+    read: !noStore && !directives.includes('no-cache'),
+    write: !noStore,
+  };
+}
+
+/**
+ * Resolves a pin.it short link through the shortcode cache. Returns
+ *   { short_url, shortcode, pin_id, url, cached }
+ * where `url` is the canonical https://www.pinterest.com/pin/<id>/ URL
+ * (`pin_id` is null for short links to boards or profiles, and `url` is
+ * then wherever the link led). Full pin URLs are answered without any
+ * request. Throws like resolveShortUrl().
+ *
+ * @param {string} shortUrl
+ * @param {{ read?: boolean, write?: boolean }} [directives]  See cacheDirectives()
+ */
+async function resolveShortLink(shortUrl, { read = true, write = true } = {}) {
+  const shortcode = shortUrl.match(/pin\.it\/([a-zA-Z0-9_-]+)/i)?.[1] ?? null;
+  if (!shortcode) {
+    const pinId = extractPinId(shortUrl);
+    const url = pinId ? `https://www.pinterest.com/pin/${pinId}/` : shortUrl;
+    return { short_url: shortUrl, shortcode: null, pin_id: pinId, url, cached: false };
+  }
+
+  // Shortcodes are case-sensitive, so the key keeps the original case
+  const store = getShortLinkCache();
+  const key = `short:${shortcode}`;
+
+  if (store && read) {
+    const hit = await store.get(key).catch(logCacheError('Short link'));
+    if (hit) return { short_url: shortUrl, shortcode, ...hit, cached: true };
+  }
+
+  const url = await resolveShortUrl(shortUrl);
+  const entry = { pin_id: extractPinId(url), url };
+  if (store && write) await store.set(key, entry, SHORTLINK_TTL_MS).catch(logCacheError('Short link'));
+  return { short_url: shortUrl, shortcode, ...entry, cached: false };
+}
+
+/**
+ * extractPinterestMedia() behind the cache, keyed by pin ID. pin.it short
+ * links are resolved first (through the shortcode cache) so they share the
+ * entry of the pin they point to. Returns the media with `cached: true` when it came from the cache.
+ *
+ * Cache failures (e.g. Redis unreachable) are logged and treated as a
+ * miss, so the cache can never break extraction.
+ *
+ * `trace` (see createTrace) is handed to the extraction; combine it with
+ * `read: false` so an extraction actually runs.
+ *
+ * @param {string} url
+ * @param {{ read?: boolean, write?: boolean, trace?: object }} [directives]  See cacheDirectives()
+ */
+async function extractWithCache(url, { read = true, write = true, trace = null } = {}) {
+  const store = getCache();
+  if (/pin\.it\//i.test(url)) url = (await resolveShortLink(url)).url;
+
+  const pinId = extractPinId(url);
+  const key = pinId && `pin:${pinId}`;
+  if (!store || !key) return { ...(await extractPinterestMedia(url, { trace })), cached: false };
+
+  if (read) {
+    const hit = await store.get(key).catch(logCacheError('Extraction'));
+    if (hit) return { ...hit, cached: true };
+  }
+
+  const media = await extractPinterestMedia(url, { trace });
+  if (write) await store.set(key, media, TTL_MS).catch(logCacheError('Extraction'));
+  return { ...media, cached: false };
+}
+
+/**
+ * Returns a rejection handler that logs a failure of the named cache
+ * ("Extraction", "Short link") and returns null (a miss).
+ */
+function logCacheError(name) {
+  return (err) => {
+    console.error(JSON.stringify({
+      level: 'warn',
+      timestamp: new Date().toISOString(),
+      message: `${name} cache unavailable: ${err.message}`,
+    }));
+    return null;
+  };
+}
+
+module.exports = {
+  getCache,
+  getShortLinkCache,
+  cacheDirectives,
+  resolveShortLink,
+  extractWithCache,
+};
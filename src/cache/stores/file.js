@@ -0,0 +1,48 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+/**
+ * File-backed cache: one JSON file per key under `dir`, named after the
+ * SHA-256 of the key so any key maps to a safe filename. Entries survive a
+ * restart; expired ones are deleted when read. Writes go through a temp
+ * file and a rename so readers never see a half-written entry.
+ *
+ * Implements the same interface as the memory cache (get / set / delete).
+ */
+function createFileCache({ dir }) {
+  const fileFor = (key) => path.join(dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+
+  return {
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT' || err instanceof SyntaxError) return null;
+        throw err;
+      }
+      if (entry.expires_at <= Date.now()) {
+        await fs.rm(fileFor(key), { force: true });
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ key, expires_at: Date.now() + ttlMs, value }));
+      await fs.rename(tmp, file);
+    },
+
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+module.exports = { createFileCache };
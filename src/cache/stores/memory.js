@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * In-memory LRU cache (the default). Holds at most `maxEntries` values;
+ * reading an entry makes it the most recently used, and the least recently
+ * used one is evicted when the cache is full. Expired entries are dropped
+ * when read. Nothing survives a restart.
+ *
+ * Every cache store implements the same async interface:
+ *   get(key)               → value | null
+ *   set(key, value, ttlMs) → void
+ *   delete(key)            → void
+ */
+function createMemoryCache({ maxEntries = 1000 } = {}) {
+  // Map iteration order is insertion order, so the first key is the LRU one
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry);
+      return structuredClone(entry.value);
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+module.exports = { createMemoryCache };
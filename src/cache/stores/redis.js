@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Redis-backed cache, shared by every server instance. `client` is any
+ * Redis client with the ioredis command signatures:
+ *   get(key), set(key, value, 'PX', ttlMs), del(key)
+ * Values are stored as JSON under `prefix` + key and expire in Redis itself.
+ *
+ * Implements the same interface as the memory cache (get / set / delete).
+ */
+function createRedisCache({ client, prefix = 'pinterest-downloader:' }) {
+  return {
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw === null || raw === undefined ? null : JSON.parse(raw);
+    },
+
+    async set(key, value, ttlMs) {
+      await client.set(prefix + key, JSON.stringify(value), 'PX', ttlMs);
+    },
+
+    async delete(key) {
+      await client.del(prefix + key);
+    },
+  };
+}
+
+module.exports = { createRedisCache };
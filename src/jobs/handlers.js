@@ -0,0 +1,96 @@
+'use strict';
+
+const { extractWithBrowser } = require('../utils/playwrightExtractor');
+const { PIN_PAGE, extractBoardPins } = require('../utils/boards');
+const { runBatch } = require('../utils/batch');
+const { extractWithCache } = require('../cache');
+const { toResponse } = require('../utils/normalize');
+const {
+  validatePinterestUrl,
+  validateBoardUrl,
+  validateUrlList,
+  validatePagination,
+  validateInclude,
+} = require('../utils/validators');
+
+const BATCH_MAX_URLS = Number(process.env.BATCH_MAX_URLS) || 100;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
+
+/**
+ * Adds the validated `body.include` to a job input, passing on the first
+ * validation failure (`v` is the result of the type's own validator).
+ */
+function withInclude(body, v, input) {
+  if (!v.valid) return v;
+  const included = validateInclude(body?.include);
+  return included.valid ? { valid: true, input: { ...input, include: included.include } } : included;
+}
+
+/**
+ * Job types accepted by POST /api/jobs.
+ *
+ * `validate(body)` checks the request body the same way the matching
+ * synchronous endpoint does and returns { valid: true, input } (the job's
+ * stored input) or { valid: false, error }. `run(input, { progress })`
+ * performs the extraction and resolves to the job result — the same payload
+ * the synchronous endpoint returns, minus `success`.
+ *
+ * Extraction types accept the same `include` field as their endpoint.
+ */
+const handlers = {
+  single: {
+    validate(body) {
+      const v = validatePinterestUrl(body?.url);
+      return withInclude(body, v, { url: v.url });
+    },
+    async run({ url, include }) {
+      return toResponse(await extractWithCache(url), include);
+    },
+  },
+
+  browser: {
+    validate(body) {
+      const v = validatePinterestUrl(body?.url);
+      return withInclude(body, v, { url: v.url });
+    },
+    async run({ url, include }) {
+      const media = await extractWithBrowser(url);
+      if (!media) {
+        throw Object.assign(
+          new Error(
+            'Could not extract media. The pin may be private, deleted, or ' +
+            'use an unsupported format.',
+          ),
+          { statusCode: 422 },
+        );
+      }
+      return toResponse(media, include);
+    },
+  },
+
+  batch: {
+    validate(body) {
+      const v = validateUrlList(body?.urls, BATCH_MAX_URLS);
+      return withInclude(body, v, { urls: v.urls });
+    },
+    async run({ urls, include }, { progress }) {
+      return runBatch(urls, { concurrency: BATCH_CONCURRENCY, include, onProgress: progress });
+    },
+  },
+
+  board: {
+    validate(body) {
+      const v = validateBoardUrl(body?.url);
+      if (!v.valid) return v;
+      const page = validatePagination(body, PIN_PAGE);
+      if (!page.valid) return page;
+      return { valid: true, input: { target: v, page: { limit: page.limit, cursor: page.cursor } } };
+    },
+    async run({ target, page }) {
+      const { board, section, pins, cursor } = await extractBoardPins(target, page);
+      return { board, section, pins, cursor, has_more: cursor !== null };
+    },
+  },
+};
+
+module.exports = { handlers };
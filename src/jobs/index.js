@@ -0,0 +1,51 @@
+'use strict';
+
+const path = require('node:path');
+const { createJobQueue } = require('./queue');
+const { createMemoryStore } = require('./stores/memory');
+const { createFileStore } = require('./stores/file');
+const { handlers } = require('./handlers');
+
+/**
+ * Builds the job store selected by JOB_STORE ("memory" by default, or
+ * "file"). Anything implementing create / get / update (e.g. a SQLite or
+ * Redis adapter) can be passed to createJobQueue() instead.
+ */
+function createStoreFromEnv() {
+  const kind = (process.env.JOB_STORE || 'memory').toLowerCase();
+  const ttlMs = (Number(process.env.JOB_TTL_SECONDS) || 3600) * 1000;
+
+  if (kind === 'file') {
+    return createFileStore({
+      dir: path.resolve(process.env.JOB_STORE_DIR || './data/jobs'),
+      ttlMs,
+    });
+  }
+  if (kind !== 'memory') {
+    throw new Error(`Unsupported JOB_STORE "${kind}" (expected "memory" or "file")`);
+  }
+  return createMemoryStore({ ttlMs });
+}
+
+let queue = null;
+
+/**
+ * Returns the process-wide job queue, created on first use.
+ */
+function getJobQueue() {
+  if (!queue) {
+    queue = createJobQueue({
+      store: createStoreFromEnv(),
+      handlers,
+      concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+      webhook: {
+        secret: process.env.WEBHOOK_SECRET,
+        maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+        baseDelayMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+      },
+    });
+  }
+  return queue;
+}
+
+module.exports = { getJobQueue, handlers };
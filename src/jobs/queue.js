@@ -0,0 +1,162 @@
+'use strict';
+
+const { randomUUID } = require('node:crypto');
+const { toErrorResponse } = require('../middleware/errorHandler');
+const { deliverWebhook } = require('../utils/webhooks');
+
+/**
+ * Builds the callback body for a finished job: the same `success` / result /
+ * `error` body the synchronous endpoint returns, tagged with the job fields.
+ */
+function toCallbackPayload(job) {
+  const tag = { job_id: job.id, type: job.type, status: job.status };
+  return job.status === 'completed'
+    ? { ...tag, success: true, ...job.result }
+    : { ...tag, success: false, error: job.error?.message };
+}
+
+/**
+ * In-process job queue.
+ *
+ * Jobs are persisted through a pluggable `store` (see ./stores) and run by
+ * the matching entry in `handlers`, at most `concurrency` at a time. The
+ * queue itself lives in this process: a queued or running job whose server
+ * restarted is reported as failed rather than left pending forever.
+ *
+ * Jobs enqueued with a `callbackUrl` have their result POSTed there once
+ * they finish (see utils/webhooks); every attempt is appended to the job's
+ * `deliveries` log.
+ *
+ * Job record:
+ *   { id, type, status: 'queued' | 'running' | 'completed' | 'failed',
+ *     input, progress: { done, total } | null, result, error: { status, message } | null,
+ *     callback_url, deliveries: [{ attempt, at, status, duration_ms, error }],
+ *     created_at, started_at, finished_at }
+ *
+ * @param {object} options
+ * @param {object} options.store        create / get / update job store
+ * @param {Record<string, { run: (input, ctx) => Promise<any> }>} options.handlers
+ * @param {number} [options.concurrency]
+ * @param {{ secret?: string, maxAttempts?: number, baseDelayMs?: number, resolveAddress?: Function }} [options.webhook]
+ *   Passed to deliverWebhook()
+ */
+function createJobQueue({ store, handlers, concurrency = 2, webhook = {} }) {
+  const pending = [];
+  const active = new Set(); // IDs queued or running in this process
+  const writes = new Map(); // per-job promise chain so updates never interleave
+  let running = 0;
+
+  function update(id, patch) {
+    const next = (writes.get(id) || Promise.resolve()).then(() => store.update(id, patch));
+    writes.set(id, next.catch(() => {}));
+    return next;
+  }
+
+  async function notify(id) {
+    const job = await store.get(id);
+    const deliveries = [];
+    await deliverWebhook({
+      url: job.callback_url,
+      payload: toCallbackPayload(job),
+      secret: webhook.secret,
+      id: job.id,
+      maxAttempts: webhook.maxAttempts,
+      baseDelayMs: webhook.baseDelayMs,
+      resolveAddress: webhook.resolveAddress,
+      onAttempt: (entry) => {
+        deliveries.push(entry);
+        return store.update(id, { deliveries: [...deliveries] }).catch(() => {});
+      },
+    });
+  }
+
+  async function run(job) {
+    running++;
+    const ctx = {
+      progress: (done, total) => update(job.id, { progress: { done, total } }).catch(() => {}),
+    };
+
+    try {
+      await update(job.id, { status: 'running', started_at: new Date().toISOString() });
+      const result = await handlers[job.type].run(job.input, ctx);
+      await update(job.id, { status: 'completed', result, finished_at: new Date().toISOString() });
+    } catch (err) {
+      const { status, body } = toErrorResponse(err);
+      await update(job.id, {
+        status: 'failed',
+        error: { status, message: body.error },
+        finished_at: new Date().toISOString(),
+      }).catch(() => {});
+    } finally {
+      running--;
+      active.delete(job.id);
+      writes.delete(job.id);
+      drain();
+    }
+
+    // Deliver after releasing the slot so retries never hold up other jobs
+    if (job.callback_url) notify(job.id).catch(() => {});
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length > 0) {
+      run(pending.shift());
+    }
+  }
+
+  return {
+    /**
+     * Persists a new job and schedules it. Resolves to the queued job record.
+     * Pass `callbackUrl` to have the result POSTed there when the job finishes.
+     */
+    async enqueue(type, input, { callbackUrl = null } = {}) {
+      if (!handlers[type]) throw new Error(`Unknown job type "${type}"`);
+
+      const job = await store.create({
+        id: randomUUID(),
+        type,
+        status: 'queued',
+        input,
+        progress: null,
+        result: null,
+        error: null,
+        callback_url: callbackUrl,
+        deliveries: [],
+        created_at: new Date().toISOString(),
+        started_at: null,
+        finished_at: null,
+      });
+
+      active.add(job.id);
+      pending.push(job);
+      drain();
+      return job;
+    },
+
+    /**
+     * Returns the current job record, or null when the ID is unknown.
+     */
+    async get(id) {
+      const job = await store.get(id);
+      if (!job) return null;
+
+      if ((job.status === 'queued' || job.status === 'running') && !active.has(id)) {
+        return {
+          ...job,
+          status: 'failed',
+          error: { status: 500, message: 'The job was interrupted by a server restart.' },
+        };
+      }
+      return job;
+    },
+
+    /**
+     * Counts for monitoring.
+     */
+    stats() {
+      return { queued: pending.length, running, concurrency };
+    },
+  };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,83 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+/**
+ * File-backed job store: one JSON file per job under `dir`, so job status
+ * and results survive a restart without any outside service. Writes go to
+ * a temp file first and are renamed into place so readers never see a
+ * half-written job. Like the memory store, finished jobs are deleted
+ * `ttlMs` after they complete.
+ *
+ * Implements the same interface as the memory store (create / get / update).
+ */
+function createFileStore({ dir, ttlMs = 60 * 60 * 1000 }) {
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  // Job IDs are UUIDs; reject anything else so `id` can never escape `dir`
+  const isSafeId = (id) => /^[a-zA-Z0-9-]+$/.test(id);
+
+  async function write(job) {
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = `${fileFor(job.id)}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(job));
+    await fs.rename(tmp, fileFor(job.id));
+  }
+
+  async function read(id) {
+    if (!isSafeId(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Deletes jobs that finished more than `ttlMs` ago. A job file is last
+   * written when the job finishes, so only files older than the cutoff are
+   * read. Files that vanish or cannot be parsed meanwhile are skipped.
+   */
+  async function prune() {
+    const cutoff = Date.now() - ttlMs;
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+
+    for (const name of names) {
+      if (!name.endsWith('.json')) continue;
+      const file = path.join(dir, name);
+      try {
+        if ((await fs.stat(file)).mtimeMs >= cutoff) continue;
+        const job = JSON.parse(await fs.readFile(file, 'utf8'));
+        if (job.finished_at && Date.parse(job.finished_at) < cutoff) await fs.unlink(file);
+      } catch (_) { /* removed or rewritten concurrently */ }
+    }
+  }
+
+  return {
+    async create(job) {
+      await prune();
+      await write(job);
+      return job;
+    },
+
+    get: read,
+
+    async update(id, patch) {
+      const job = await read(id);
+      if (!job) return null;
+      const updated = { ...job, ...patch };
+      await write(updated);
+      return updated;
+    },
+  };
+}
+
+module.exports = { createFileStore };
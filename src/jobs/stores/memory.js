@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * In-memory job store (the default). Jobs live in a Map and finished jobs
+ * are dropped `ttlMs` after they complete, so memory stays bounded on a
+ * long-running server. Nothing survives a restart.
+ *
+ * Every store implements the same async interface:
+ *   create(job)        → job
+ *   get(id)            → job | null
+ *   update(id, patch)  → job | null   (shallow merge)
+ */
+function createMemoryStore({ ttlMs = 60 * 60 * 1000 } = {}) {
+  const jobs = new Map();
+
+  function prune() {
+    const cutoff = Date.now() - ttlMs;
+    for (const [id, job] of jobs) {
+      if (job.finished_at && Date.parse(job.finished_at) < cutoff) jobs.delete(id);
+    }
+  }
+
+  return {
+    async create(job) {
+      prune();
+      jobs.set(job.id, structuredClone(job));
+      return structuredClone(job);
+    },
+
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? structuredClone(job) : null;
+    },
+
+    async update(id, patch) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      Object.assign(job, structuredClone(patch));
+      return structuredClone(job);
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
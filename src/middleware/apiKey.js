@@ -27,4 +27,28 @@ function apiKeyAuth(req, res, next) {
   next();
 }
 
-module.exports = { apiKeyAuth };
+/**
+ * Reads a request's `debug` flag (body field or query string): true / "true"
+ * / "1" turn it on. Debug traces expose details of Pinterest's responses,
+ * so they are only available when API_KEY is set (and the caller therefore
+ * passed apiKeyAuth).
+ *
+ * Returns { valid: true, debug } or { valid: false, error }.
+ */
+function readDebugFlag(value) {
+  if (value === undefined || value === null || value === false || value === 'false' || value === '0') {
+    return { valid: true, debug: false };
+  }
+  if (value !== true && value !== 'true' && value !== '1') {
+    return { valid: false, error: 'Field "debug" must be true or false.' };
+  }
+  if (!process.env.API_KEY) {
+    return {
+      valid: false,
+      error: 'Field "debug" is not available: the server has no API_KEY configured.',
+    };
+  }
+  return { valid: true, debug: true };
+}
+
+module.exports = { apiKeyAuth, readDebugFlag };
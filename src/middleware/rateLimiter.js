@@ -28,11 +28,52 @@ const extractLimiter = rateLimit({
   keyGenerator: (req) => req.ip,
 });
 
+// Browser extractions share a pool of BROWSER_POOL_SIZE browsers, so the
+// limit can be raised alongside the pool
+const BROWSER_RATE_LIMIT = Number(process.env.BROWSER_RATE_LIMIT) || 5;
+
 /**
  * Rate limiter for the /api/extract/browser endpoint.
- * Lower limit (5 req/min) because each request spawns a full browser instance.
+ * Lower limit (BROWSER_RATE_LIMIT, default 5 req/min) because each request
+ * occupies a headless browser for several seconds.
  */
 const browserLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: BROWSER_RATE_LIMIT,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+
+  handler(req, res) {
+    res.status(429).json({
+      success: false,
+      error: `Rate limit exceeded. Browser extraction allows up to ${BROWSER_RATE_LIMIT} requests per minute.`,
+      retryAfter: Math.ceil(req.rateLimit.resetTime / 1000 - Date.now() / 1000),
+    });
+  },
+
+  keyGenerator: (req) => req.ip,
+});
+
+/**
+ * Counts the current request against browserLimiter's budget from inside a
+ * route — used when POST /api/extract (`mode: "auto"`) escalates to the
+ * browser. Resolves true when the request is within budget; otherwise the
+ * limiter has already sent its 429 and it resolves false.
+ *
+ * The response's RateLimit-* headers then describe the browser budget.
+ */
+function consumeBrowserBudget(req, res) {
+  return new Promise((resolve, reject) => {
+    browserLimiter(req, res, (err) => (err ? reject(err) : resolve(true)))
+      .then(() => resolve(false), reject);
+  });
+}
+
+/**
+ * Rate limiter for the /api/extract/batch endpoint.
+ * Each batch may carry many URLs, so far fewer batches are allowed (5 req/min).
+ */
+const batchLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 5,
   standardHeaders: 'draft-7',
@@ -41,7 +82,29 @@ const browserLimiter = rateLimit({
   handler(req, res) {
     res.status(429).json({
       success: false,
-      error: 'Rate limit exceeded. Browser extraction allows up to 5 requests per minute.',
+      error: 'Rate limit exceeded. Batch extraction allows up to 5 requests per minute.',
+      retryAfter: Math.ceil(req.rateLimit.resetTime / 1000 - Date.now() / 1000),
+    });
+  },
+
+  keyGenerator: (req) => req.ip,
+});
+
+/**
+ * Rate limiter for the /api/download endpoint.
+ * Higher limit (120 req/min) because video players issue a Range request
+ * every time the viewer seeks.
+ */
+const downloadLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 120,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+
+  handler(req, res) {
+    res.status(429).json({
+      success: false,
+      error: 'Rate limit exceeded. Downloads allow up to 120 requests per minute.',
       retryAfter: Math.ceil(req.rateLimit.resetTime / 1000 - Date.now() / 1000),
     });
   },
@@ -49,4 +112,4 @@ const browserLimiter = rateLimit({
   keyGenerator: (req) => req.ip,
 });
 
-module.exports = { extractLimiter, browserLimiter };
+module.exports = { extractLimiter, browserLimiter, consumeBrowserBudget, batchLimiter, downloadLimiter };
@@ -0,0 +1,72 @@
+'use strict';
+
+const express = require('express');
+const { pipeline } = require('node:stream');
+const archiver = require('archiver');
+const { validateArchiveQuery } = require('../utils/validators');
+const { resolveArchiveSource, writeArchive } = require('../utils/archive');
+const { safeFilename, contentDisposition } = require('../utils/download');
+const { PIN_PAGE } = require('../utils/boards');
+
+const router = express.Router();
+
+/**
+ * GET /api/download/archive?url=<pin or board URL>[&max_pins=50]
+ *
+ * Streams a ZIP with every media file of a pin (each Idea Pin block or
+ * carousel slide) or of a board's first `max_pins` pins, named
+ * `<index>-<title>.<ext>`, plus a manifest.json holding the extraction
+ * metadata and the outcome of every file.
+ *
+ * Extraction happens before the response starts, so its errors are the
+ * usual JSON responses. Files are then fetched one at a time and written
+ * straight into the response (stored, not recompressed) — the archive is
+ * never held in memory. A file that cannot be fetched is listed in the
+ * manifest with its error instead of failing the archive.
+ */
+router.get('/', async (req, res, next) => {
+  let source;
+  try {
+    const validation = validateArchiveQuery(req.query, {
+      defaultPins: PIN_PAGE.defaultLimit,
+      maxPins: PIN_PAGE.maxLimit,
+    });
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    source = { sourceUrl: validation.target.url, ...(await resolveArchiveSource(validation)) };
+  } catch (err) {
+    return next(err);
+  }
+
+  res.status(200);
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', contentDisposition(`${safeFilename(source.name) || 'pinterest'}.zip`));
+
+  const archive = archiver('zip', { store: true });
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+      archive.abort();
+    }
+  });
+  pipeline(archive, res, () => {});
+
+  try {
+    await writeArchive(archive, source, { signal: controller.signal });
+  } catch (err) {
+    // Headers are already sent: all we can do is cut the response short
+    console.error(JSON.stringify({
+      level: 'error',
+      timestamp: new Date().toISOString(),
+      path: req.originalUrl.split('?')[0],
+      message: `Archive aborted: ${err.message}`,
+    }));
+    archive.abort();
+    res.destroy(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+'use strict';
+
+const express = require('express');
+const { runBatch } = require('../utils/batch');
+const { validateUrlList, validateInclude } = require('../utils/validators');
+const { readCallbackUrl } = require('../utils/webhooks');
+const { getJobQueue } = require('../jobs');
+const { cacheDirectives } = require('../cache');
+
+const router = express.Router();
+
+const MAX_URLS = Number(process.env.BATCH_MAX_URLS) || 100;
+const CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
+
+/**
+ * POST /api/extract/batch
+ *
+ * Body:    { "urls": ["https://www.pinterest.com/pin/...", "https://pin.it/..."], "include"?: "metadata", "callback_url"?: "https://..." }
+ * Returns: { success, summary: { total, unique, succeeded, failed }, results }
+ *          202 { success, job } when `callback_url` is given
+ *
+ * Extracts every URL (deduplicated by pin ID, BATCH_CONCURRENCY at a time)
+ * and returns one result per input URL, in order. A failing URL does not
+ * fail the batch: its entry carries `success: false` with the `status` and
+ * `error` POST /api/extract would have returned for it.
+ *
+ * With `callback_url` the batch runs as a background job instead: the
+ * response is the queued job (as from POST /api/jobs) and the result is
+ * POSTed to the callback when it finishes.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const validation = validateUrlList(req.body?.urls, MAX_URLS);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    const included = validateInclude(req.body?.include ?? req.query.include);
+    if (!included.valid) {
+      return res.status(400).json({ success: false, error: included.error });
+    }
+
+    const callback = readCallbackUrl(req.body);
+    if (!callback.valid) {
+      return res.status(400).json({ success: false, error: callback.error });
+    }
+
+    if (callback.url) {
+      const job = await getJobQueue().enqueue(
+        'batch',
+        { urls: validation.urls, include: included.include },
+        { callbackUrl: callback.url },
+      );
+      return res
+        .status(202)
+        .location(`/api/jobs/${job.id}`)
+        .json({ success: true, job });
+    }
+
+    const { summary, results } = await runBatch(validation.urls, {
+      concurrency: CONCURRENCY,
+      cache: cacheDirectives(req.headers['cache-control']),
+      include: included.include,
+    });
+
+    return res.json({ success: true, summary, results });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+'use strict';
+
+const express = require('express');
+const { PIN_PAGE, extractBoardPins, listBoardSections } = require('../utils/boards');
+const { validateBoardUrl, validatePagination } = require('../utils/validators');
+
+const router = express.Router();
+
+/**
+ * POST /api/extract/board
+ *
+ * Body:    { "url": "https://www.pinterest.com/<user>/<board>/[<section>/]", "max_pins"?: 50, "cursor"?: "..." }
+ * Returns: { success, board, section, pins, cursor, has_more }
+ *
+ * Pages through the board's pins (BoardFeedResource), or a single section's
+ * pins (BoardSectionPinsResource) when the URL names one. Each entry in
+ * `pins` has the same shape as a POST /api/extract response plus `id` and
+ * `url`. Pass the returned `cursor` back to fetch the next page; it is null
+ * once the end of the board is reached.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const validation = validateBoardUrl(req.body?.url);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    const page = validatePagination(req.body, PIN_PAGE);
+    if (!page.valid) {
+      return res.status(400).json({ success: false, error: page.error });
+    }
+
+    const { board, section, pins, cursor } = await extractBoardPins(validation, page);
+
+    return res.json({
+      success: true,
+      board,
+      section,
+      pins,
+      cursor,
+      has_more: cursor !== null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/extract/board/sections
+ *
+ * Body:    { "url": "https://www.pinterest.com/<user>/<board>/" }
+ * Returns: { success, board, sections: [{ id, title, slug, pin_count }] }
+ */
+router.post('/sections', async (req, res, next) => {
+  try {
+    const validation = validateBoardUrl(req.body?.url);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    const { board, sections } = await listBoardSections(validation);
+
+    return res.json({ success: true, board, sections });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,32 @@
 'use strict';
 
 const express = require('express');
-const { validatePinterestUrl } = require('../utils/validators');
+const {
+  validatePinterestUrl,
+  validateInclude,
+  validatePreferences,
+  validateVerify,
+} = require('../utils/validators');
 const { extractWithBrowser } = require('../utils/playwrightExtractor');
+const { applyPreferences, toResponse } = require('../utils/normalize');
+const { verifyMedia } = require('../utils/verify');
 
 const router = express.Router();
 
 /**
  * POST /api/extract/browser
  *
- * Body:    { "url": "https://www.pinterest.com/pin/..." }
- * Returns: { success, type, media_url, thumbnail, title }
+ * Body:    { "url": "https://www.pinterest.com/pin/...", "include"?: "metadata",
+ *            "max_height"?, "prefer"?, "format"?, "image_size"?, "verify"? }  (as for POST /api/extract)
+ * Returns: { success, schema_version, type, media_url, thumbnail, title, renditions, pages?, slides?, metadata? }
+ *
+ * The same versioned media schema as POST /api/extract (see toResponse()).
  *
  * Uses Playwright headless Chromium to capture video URLs that Pinterest
  * loads entirely client-side (absent from static HTML). This endpoint is
  * slower (5–15 s) and more resource-intensive than POST /api/extract, so it
- * has a lower rate limit (5 req/min).
+ * has a lower rate limit (BROWSER_RATE_LIMIT, default 5 req/min). Browsers
+ * come from a shared pool, so only the first request pays the start-up cost.
  */
 router.post('/', async (req, res, next) => {
   try {
@@ -23,6 +34,20 @@ router.post('/', async (req, res, next) => {
     if (!validation.valid) {
       return res.status(400).json({ success: false, error: validation.error });
     }
+    const { valid, include, error } = validateInclude(req.body?.include ?? req.query.include);
+    if (!valid) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const prefs = validatePreferences({ ...req.query, ...req.body });
+    if (!prefs.valid) {
+      return res.status(400).json({ success: false, error: prefs.error });
+    }
+
+    const verifyCheck = validateVerify(req.body?.verify ?? req.query.verify);
+    if (!verifyCheck.valid) {
+      return res.status(400).json({ success: false, error: verifyCheck.error });
+    }
 
     const media = await extractWithBrowser(validation.url);
 
@@ -35,13 +60,10 @@ router.post('/', async (req, res, next) => {
       });
     }
 
-    return res.json({
-      success: true,
-      type: media.type,
-      media_url: media.media_url,
-      thumbnail: media.thumbnail,
-      title: media.title,
-    });
+    let result = applyPreferences(media, prefs.preferences);
+    if (verifyCheck.verify) result = await verifyMedia(result, prefs.preferences);
+
+    return res.json({ success: true, ...toResponse(result, include) });
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,52 @@
+'use strict';
+
+const express = require('express');
+const { extractPinComments } = require('../utils/comments');
+const { validatePinterestUrl, validatePagination } = require('../utils/validators');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/**
+ * POST /api/extract/comments
+ *
+ * Body:    { "url": "https://www.pinterest.com/pin/...", "limit"?: 25, "cursor"?: "..." }
+ * Returns: { success, pin_id, comment_count, comments, cursor, has_more }
+ *
+ * Lists the comments on a pin: author, text, timestamp, like count and the
+ * replies Pinterest embeds with each comment.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const validation = validatePinterestUrl(req.body?.url);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    const page = validatePagination(req.body, {
+      field: 'limit',
+      defaultLimit: DEFAULT_LIMIT,
+      maxLimit: MAX_LIMIT,
+    });
+    if (!page.valid) {
+      return res.status(400).json({ success: false, error: page.error });
+    }
+
+    const { pin_id, comment_count, comments, cursor } = await extractPinComments(validation.url, page);
+
+    return res.json({
+      success: true,
+      pin_id,
+      comment_count,
+      comments,
+      cursor,
+      has_more: cursor !== null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
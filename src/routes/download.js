@@ -0,0 +1,69 @@
+'use strict';
+
+const express = require('express');
+const { pipeline } = require('node:stream');
+const { validateDownloadQuery } = require('../utils/validators');
+const { openHlsStream } = require('../utils/hls');
+const {
+  resolvePinMedia,
+  mediaFilename,
+  contentDisposition,
+  openMediaStream,
+} = require('../utils/download');
+
+const router = express.Router();
+
+/**
+ * GET /api/download?url=https://i.pinimg.com/...
+ * GET /api/download?pin_id=123456
+ *
+ * Streams a media file from the Pinterest CDN through this server so
+ * clients get a saveable response: upstream Content-Type / Content-Length,
+ * a Content-Disposition filename built from the pin title, and Range
+ * support (206 / 416) so video players can seek.
+ *
+ * Only i.pinimg.com / v.pinimg.com URLs are fetched; with `pin_id` the pin
+ * is extracted first and its `media_url` is streamed.
+ *
+ * HLS playlists (.m3u8) are downloaded as one file instead: the variant
+ * chosen by `max_height` (default: tallest) has its segments concatenated
+ * into an .mp4 (fragmented-MP4 streams) or .ts. These responses have no
+ * Content-Length and ignore Range.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const validation = validateDownloadQuery(req.query);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    const { url, title } = validation.pinId
+      ? await resolvePinMedia(validation.pinId)
+      : { url: validation.url, title: null };
+
+    if (new URL(url).pathname.toLowerCase().endsWith('.m3u8')) {
+      const hls = await openHlsStream(url, { maxHeight: validation.maxHeight });
+
+      res.status(200);
+      res.set('Content-Type', hls.content_type);
+      res.set('Content-Disposition', contentDisposition(mediaFilename(url, title, `.${hls.container}`)));
+      res.set('Accept-Ranges', 'none');
+
+      pipeline(hls.stream, res, () => {});
+      return;
+    }
+
+    const upstream = await openMediaStream(url, { range: req.headers.range });
+
+    res.status(upstream.status);
+    res.set(upstream.headers);
+    res.set('Content-Disposition', contentDisposition(mediaFilename(url, title)));
+
+    // pipeline destroys the upstream stream if the client disconnects mid-file
+    pipeline(upstream.stream, res, () => {});
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,37 +1,120 @@
 'use strict';
 
 const express = require('express');
-const { extractPinterestMedia } = require('../utils/pinterest');
-const { validatePinterestUrl } = require('../utils/validators');
+const { extractWithCache, resolveShortLink, cacheDirectives } = require('../cache');
+const {
+  validatePinterestUrl,
+  validateInclude,
+  validateMode,
+  validatePreferences,
+  validateVerify,
+} = require('../utils/validators');
+const { createTrace } = require('../utils/pinterest');
+const { applyPreferences, toResponse } = require('../utils/normalize');
+const { escalateToBrowser } = require('../utils/escalation');
+const { verifyMedia } = require('../utils/verify');
+const { readDebugFlag } = require('../middleware/apiKey');
+const { consumeBrowserBudget } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
 /**
  * POST /api/extract
  *
- * Body:   { "url": "https://pinterest.com/pin/..." }
- * Returns: { success, type, media_url, thumbnail, title }
+ * Body:   { "url": "https://pinterest.com/pin/...", "mode"?: "static" | "auto", "include"?: "metadata", "debug"?: true,
+ *           "max_height"?: 720, "prefer"?: "highest" | "smallest", "format"?: "mp4" | "hls", "image_size"?: "736x",
+ *           "verify"?: true }
+ * Returns: { success, schema_version, type, media_url, thumbnail, title, renditions, pages?, slides?, hls?,
+ *            metadata?, verification?, cached, engine?, video_signals?, debug? }
+ *
+ * The media fields follow the versioned schema of toResponse(), shared with
+ * POST /api/extract/browser.
+ *
+ * `include=metadata` (body field or query string) adds the pin's rich
+ * metadata: description, creator, board, counts, hashtags and more.
+ *
+ * Results are cached per pin ID; send `Cache-Control: no-cache` to force a
+ * fresh extraction (or `no-store` to bypass the cache entirely).
+ *
+ * `mode=auto` (body field or query string) re-extracts in headless Chromium
+ * when the static result shows video signals (HLS-only video, is_video
+ * flags, video meta tags) and adds `engine` ("static" or "browser") and the
+ * `video_signals` found. Each escalation counts against the browser rate
+ * limit, and a 429 is returned once that budget is spent.
+ *
+ * `max_height`, `prefer`, `format` and `image_size` (body or query string)
+ * choose which rendition becomes `media_url` (see applyPreferences); a 422
+ * listing the `available` renditions is returned when none qualifies.
+ *
+ * `verify=true` (body or query string) HEAD-checks `media_url` on the CDN,
+ * falls back to the next qualifying rendition when it fails, and adds a
+ * `verification` object with the content type, byte size and, for MP4
+ * files, duration and resolution read from the file header (see verifyMedia).
+ *
+ * `debug=true` (only when API_KEY is set) always extracts afresh and adds a
+ * `debug` trace of the requests and strategies (with mode=auto, the browser
+ * escalation too) to the response — including error responses.
  */
 router.post('/', async (req, res, next) => {
+  let trace = null;
   try {
     // 1. Validate input
     const validation = validatePinterestUrl(req.body?.url);
     if (!validation.valid) {
       return res.status(400).json({ success: false, error: validation.error });
     }
+    const { valid, include, error } = validateInclude(req.body?.include ?? req.query.include);
+    if (!valid) {
+      return res.status(400).json({ success: false, error });
+    }
+    const modeCheck = validateMode(req.body?.mode ?? req.query.mode);
+    if (!modeCheck.valid) {
+      return res.status(400).json({ success: false, error: modeCheck.error });
+    }
+    const prefs = validatePreferences({ ...req.query, ...req.body });
+    if (!prefs.valid) {
+      return res.status(400).json({ success: false, error: prefs.error });
+    }
+    const verifyCheck = validateVerify(req.body?.verify ?? req.query.verify);
+    if (!verifyCheck.valid) {
+      return res.status(400).json({ success: false, error: verifyCheck.error });
+    }
+    const flag = readDebugFlag(req.body?.debug ?? req.query.debug);
+    if (!flag.valid) {
+      return res.status(400).json({ success: false, error: flag.error });
+    }
+    if (flag.debug) trace = createTrace();
+
+    // 2. Extract media (or reuse a cached result) — may throw on network / parse failures.
+    //    pin.it short links resolve to the canonical pin URL through the shortcode cache.
+    const url = /pin\.it\//i.test(validation.url) ? (await resolveShortLink(validation.url)).url : validation.url;
+    const directives = cacheDirectives(req.headers['cache-control']);
+    let media = await extractWithCache(url, trace ? { ...directives, read: false, trace } : directives);
+
+    // 3. mode=auto: retry video-looking results in the browser (browser rate budget)
+    const auto = modeCheck.mode === 'auto';
+    const signals = auto ? media.video_signals ?? [] : [];
+    let engine = 'static';
+    if (signals.length > 0) {
+      if (!(await consumeBrowserBudget(req, res))) return; // 429 already sent
+      ({ media, engine } = await escalateToBrowser(url, media, { trace }));
+    }
+
+    // 4. Pick the renditions the client asked for — throws a 422 when none qualifies
+    media = applyPreferences(media, prefs.preferences);
 
-    // 2. Extract media — may throw on network / parse failures
-    const media = await extractPinterestMedia(validation.url);
+    // 5. verify=true: check the chosen URL on the CDN, falling back to the next rendition
+    if (verifyCheck.verify) media = await verifyMedia(media, prefs.preferences);
 
-    // 3. Return success response
+    // 6. Return success response
     return res.json({
       success: true,
-      type: media.type,           // "video" | "image" | "gif"
-      media_url: media.media_url, // direct download URL
-      thumbnail: media.thumbnail, // preview image URL (may be null)
-      title: media.title,         // pin title / description
+      ...toResponse(media, include), // schema_version, type, media_url, ..., verification?, cached
+      ...(auto && { engine, video_signals: signals }), // mode=auto only
+      ...(trace && { debug: trace.toJSON() }), // debug=true only
     });
   } catch (err) {
+    if (trace) err.debug = trace.toJSON();
     next(err); // delegate to errorHandler middleware
   }
 });
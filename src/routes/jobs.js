@@ -0,0 +1,109 @@
+'use strict';
+
+const express = require('express');
+const { getJobQueue, handlers } = require('../jobs');
+const { extractLimiter, browserLimiter, batchLimiter } = require('../middleware/rateLimiter');
+const { readCallbackUrl } = require('../utils/webhooks');
+
+const router = express.Router();
+
+const JOB_TYPES = Object.keys(handlers);
+
+// Limiter of the synchronous endpoint behind each job type
+const JOB_LIMITERS = { browser: browserLimiter, batch: batchLimiter };
+
+/**
+ * Enqueuing counts against the same budget as the synchronous endpoint:
+ * browser jobs use the browser limit, batch jobs the batch limit and
+ * everything else (including unknown types) the extract limit.
+ * Polling (GET) is not rate limited.
+ */
+function jobLimiter(req, res, next) {
+  const limiter = JOB_LIMITERS[req.body?.type] ?? extractLimiter;
+  return limiter(req, res, next);
+}
+
+/**
+ * POST /api/jobs
+ *
+ * Body:    { "type": "single" | "browser" | "batch" | "board", ...fields of that endpoint, "callback_url"?: "https://..." }
+ * Returns: 202 { success, job }   (Location: /api/jobs/<id>)
+ *
+ * Fields are the same as the synchronous endpoint for that type:
+ *   single / browser → { url, include? }
+ *   batch            → { urls, include? }
+ *   board            → { url, max_pins?, cursor? }
+ *
+ * With `callback_url`, the result is POSTed there (signed) when the job ends.
+ */
+router.post('/', jobLimiter, async (req, res, next) => {
+  try {
+    const type = req.body?.type;
+    if (!JOB_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Field "type" must be one of: ${JOB_TYPES.join(', ')}.`,
+      });
+    }
+
+    const validation = handlers[type].validate(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    const callback = readCallbackUrl(req.body);
+    if (!callback.valid) {
+      return res.status(400).json({ success: false, error: callback.error });
+    }
+
+    const job = await getJobQueue().enqueue(type, validation.input, { callbackUrl: callback.url });
+
+    return res
+      .status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({ success: true, job });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ *
+ * Returns: { success, job: { id, type, status, progress, result, error, ... } }
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const job = await getJobQueue().get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found.' });
+    }
+    return res.json({ success: true, job });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/jobs/:id/deliveries
+ *
+ * Returns: { success, job_id, callback_url, deliveries: [{ attempt, at, status, duration_ms, error }] }
+ */
+router.get('/:id/deliveries', async (req, res, next) => {
+  try {
+    const job = await getJobQueue().get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found.' });
+    }
+    return res.json({
+      success: true,
+      job_id: job.id,
+      callback_url: job.callback_url ?? null,
+      deliveries: job.deliveries ?? [],
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
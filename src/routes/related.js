@@ -0,0 +1,51 @@
+'use strict';
+
+const express = require('express');
+const { extractRelatedPins } = require('../utils/related');
+const { validatePinterestUrl, validatePagination } = require('../utils/validators');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/**
+ * POST /api/extract/related
+ *
+ * Body:    { "url": "https://www.pinterest.com/pin/...", "limit"?: 25, "cursor"?: "..." }
+ * Returns: { success, pin_id, pins, cursor, has_more }
+ *
+ * Lists the related ("More like this") pins shown under a pin, each in the
+ * POST /api/extract shape plus `id` and `url`.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const validation = validatePinterestUrl(req.body?.url);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    const page = validatePagination(req.body, {
+      field: 'limit',
+      defaultLimit: DEFAULT_LIMIT,
+      maxLimit: MAX_LIMIT,
+    });
+    if (!page.valid) {
+      return res.status(400).json({ success: false, error: page.error });
+    }
+
+    const { pin_id, pins, cursor } = await extractRelatedPins(validation.url, page);
+
+    return res.json({
+      success: true,
+      pin_id,
+      pins,
+      cursor,
+      has_more: cursor !== null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+'use strict';
+
+const express = require('express');
+const { resolveShortLink, cacheDirectives } = require('../cache');
+const { validatePinterestUrl, validateUrlList } = require('../utils/validators');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { toErrorResponse } = require('../middleware/errorHandler');
+const { extractLimiter, batchLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+const MAX_URLS = 100;
+const CONCURRENCY = 8;
+
+/**
+ * A bulk lookup may fetch up to MAX_URLS short links, so it counts against
+ * the batch budget like POST /api/extract/batch; a single lookup against
+ * the extract budget.
+ */
+function resolveLimiter(req, res, next) {
+  const limiter = req.body?.urls === undefined ? extractLimiter : batchLimiter;
+  return limiter(req, res, next);
+}
+
+/**
+ * POST /api/resolve
+ *
+ * Body:    { "url": "https://pin.it/..." }  or  { "urls": ["https://pin.it/...", ...] }
+ * Returns: { success, short_url, shortcode, pin_id, url, cached }
+ *          { success, summary: { total, resolved, failed }, results }  for `urls`
+ *
+ * Resolves pin.it short links to canonical pin URLs and pin IDs without
+ * extracting any media. Redirects are followed with HEAD requests and every
+ * resolved shortcode is cached (see SHORTLINK_STORE), so repeat lookups make
+ * no request at all; `Cache-Control: no-cache` forces a fresh lookup. Full
+ * pin URLs are accepted too and answered directly.
+ *
+ * With `urls`, each entry gets its own result in input order; a failing
+ * link carries `success: false` with `status` and `error`.
+ */
+router.post('/', resolveLimiter, async (req, res, next) => {
+  try {
+    const directives = cacheDirectives(req.headers['cache-control']);
+
+    if (req.body?.urls === undefined) {
+      const validation = validatePinterestUrl(req.body?.url);
+      if (!validation.valid) {
+        return res.status(400).json({ success: false, error: validation.error });
+      }
+      const resolved = await resolveShortLink(validation.url, directives);
+      return res.json({ success: true, ...resolved });
+    }
+
+    const list = validateUrlList(req.body.urls, MAX_URLS);
+    if (!list.valid) {
+      return res.status(400).json({ success: false, error: list.error });
+    }
+
+    const results = await mapWithConcurrency(list.urls, CONCURRENCY, async (url) => {
+      const validation = validatePinterestUrl(url);
+      if (!validation.valid) {
+        return { short_url: url, success: false, status: 400, error: validation.error };
+      }
+      try {
+        return { success: true, ...(await resolveShortLink(validation.url, directives)) };
+      } catch (err) {
+        const { status, body } = toErrorResponse(err);
+        return { short_url: validation.url, success: false, status, error: body.error };
+      }
+    });
+
+    const resolved = results.filter((r) => r.success).length;
+    return res.json({
+      success: true,
+      summary: { total: results.length, resolved, failed: results.length - resolved },
+      results,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
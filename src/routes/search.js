@@ -0,0 +1,53 @@
+'use strict';
+
+const express = require('express');
+const { searchPinterest } = require('../utils/search');
+const { validateSearchQuery, validatePagination } = require('../utils/validators');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/**
+ * POST /api/search
+ *
+ * Body:    { "query": "sunset timelapse", "filter"?: "pins" | "videos" | "boards", "limit"?: 25, "cursor"?: "..." }
+ * Returns: { success, query, filter, results, cursor, has_more }
+ *
+ * Pin / video results have the POST /api/extract shape plus `id` and `url`;
+ * board results have the board summary shape. Pass `cursor` back to walk
+ * further through the results.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const validation = validateSearchQuery(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    const page = validatePagination(req.body, {
+      field: 'limit',
+      defaultLimit: DEFAULT_LIMIT,
+      maxLimit: MAX_LIMIT,
+    });
+    if (!page.valid) {
+      return res.status(400).json({ success: false, error: page.error });
+    }
+
+    const { results, cursor } = await searchPinterest(validation, page);
+
+    return res.json({
+      success: true,
+      query: validation.query,
+      filter: validation.filter,
+      results,
+      cursor,
+      has_more: cursor !== null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
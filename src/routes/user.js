@@ -0,0 +1,48 @@
+'use strict';
+
+const express = require('express');
+const { extractUserPins } = require('../utils/users');
+const { PIN_PAGE } = require('../utils/boards');
+const { validateProfileUrl, validatePagination } = require('../utils/validators');
+
+const router = express.Router();
+
+/**
+ * POST /api/extract/user
+ *
+ * Body:    { "url": "https://www.pinterest.com/<username>/", "max_pins"?: 50, "cursor"?: "..." }
+ * Returns: { success, profile, boards, pins, cursor, has_more }
+ *
+ * Returns the profile metadata plus a page of the user's created pins
+ * (UserActivityPinsResource), each in the POST /api/extract shape plus `id`
+ * and `url`. `boards` is listed on the first page only and is null when a
+ * `cursor` is passed.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const validation = validateProfileUrl(req.body?.url);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    const page = validatePagination(req.body, PIN_PAGE);
+    if (!page.valid) {
+      return res.status(400).json({ success: false, error: page.error });
+    }
+
+    const { profile, boards, pins, cursor } = await extractUserPins(validation, page);
+
+    return res.json({
+      success: true,
+      profile,
+      boards,
+      pins,
+      cursor,
+      has_more: cursor !== null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
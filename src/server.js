@@ -5,11 +5,28 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 
-const { extractLimiter, browserLimiter } = require('./middleware/rateLimiter');
+const {
+  extractLimiter,
+  browserLimiter,
+  batchLimiter,
+  downloadLimiter,
+} = require('./middleware/rateLimiter');
 const { errorHandler } = require('./middleware/errorHandler');
 const { apiKeyAuth } = require('./middleware/apiKey');
+const { getBrowserPool, closeBrowserPool } = require('./browser');
+const { getCache, getShortLinkCache } = require('./cache');
 const extractRouter = require('./routes/extract');
 const browserRouter = require('./routes/browser');
+const boardRouter = require('./routes/board');
+const userRouter = require('./routes/user');
+const searchRouter = require('./routes/search');
+const relatedRouter = require('./routes/related');
+const commentsRouter = require('./routes/comments');
+const batchRouter = require('./routes/batch');
+const jobsRouter = require('./routes/jobs');
+const downloadRouter = require('./routes/download');
+const archiveRouter = require('./routes/archive');
+const resolveRouter = require('./routes/resolve');
 
 // ---------------------------------------------------------------------------
 // App setup
@@ -34,11 +51,16 @@ app.use(
   cors({
     origin: allowedOrigins,
     methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Range', 'Cache-Control'],
+    // Let browser clients read the download proxy's file metadata
+    exposedHeaders: ['Content-Disposition', 'Content-Length', 'Content-Range', 'Accept-Ranges'],
   }),
 );
 
-// Body parsing — limit to 10 KB to guard against oversized payloads
+// Body parsing — limit to 10 KB to guard against oversized payloads.
+// Batch and bulk-resolve requests carry up to 100 URLs, so they get a
+// larger cap; the global parser skips bodies that are already parsed.
+app.use(['/api/extract/batch', '/api/resolve'], express.json({ limit: '64kb' }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
@@ -54,18 +76,91 @@ app.get('/health', (_req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+/**
+ * GET /health/browser
+ * Browser pool stats (browsers, active contexts, queue, recycling totals)
+ * for monitoring. Never launches a browser.
+ */
+app.get('/health/browser', (_req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), pool: getBrowserPool().stats() });
+});
+
+/**
+ * POST /api/extract/board
+ * Paginated pin listing for a public board. Shares the 30 req/min budget.
+ * Registered before /api/extract so the limiter only counts each call once.
+ */
+app.use('/api/extract/board', extractLimiter, apiKeyAuth, boardRouter);
+
+/**
+ * POST /api/extract/user
+ * Profile metadata + paginated created pins. Shares the 30 req/min budget.
+ */
+app.use('/api/extract/user', extractLimiter, apiKeyAuth, userRouter);
+
+/**
+ * POST /api/extract/related
+ * "More like this" pins for a pin, paginated. Shares the 30 req/min budget.
+ */
+app.use('/api/extract/related', extractLimiter, apiKeyAuth, relatedRouter);
+
+/**
+ * POST /api/extract/comments
+ * A pin's comments with replies, paginated. Shares the 30 req/min budget.
+ */
+app.use('/api/extract/comments', extractLimiter, apiKeyAuth, commentsRouter);
+
+/**
+ * POST /api/extract/batch
+ * Many pins per call with per-URL results. 5 batches/min.
+ */
+app.use('/api/extract/batch', batchLimiter, apiKeyAuth, batchRouter);
+
 /**
  * POST /api/extract
  * Fast static extraction (axios + cheerio). 30 req/min.
  */
 app.use('/api/extract', extractLimiter, apiKeyAuth, extractRouter);
 
+/**
+ * POST /api/search
+ * Paginated Pinterest search (pins, videos or boards). 30 req/min.
+ */
+app.use('/api/search', extractLimiter, apiKeyAuth, searchRouter);
+
+/**
+ * POST /api/resolve
+ * pin.it short link → canonical pin URL / ID, one or many. Single lookups
+ * share the 30 req/min budget, bulk lookups the 5 req/min batch budget.
+ */
+app.use('/api/resolve', apiKeyAuth, resolveRouter);
+
 /**
  * POST /api/extract/browser
- * Headless Chromium extraction for video pins. 5 req/min.
+ * Headless Chromium extraction for video pins (pooled browsers). BROWSER_RATE_LIMIT req/min.
  */
 app.use('/api/extract/browser', browserLimiter, apiKeyAuth, browserRouter);
 
+/**
+ * POST /api/jobs, GET /api/jobs/:id
+ * Asynchronous extraction jobs. Enqueuing is rate limited per job type.
+ */
+app.use('/api/jobs', apiKeyAuth, jobsRouter);
+
+/**
+ * GET /api/download/archive
+ * ZIP of every media file of a pin or board. Each archive may fetch many
+ * files, so it shares the 5 req/min batch budget. Registered before
+ * /api/download so only that budget applies.
+ */
+app.use('/api/download/archive', batchLimiter, apiKeyAuth, archiveRouter);
+
+/**
+ * GET /api/download
+ * Streams a Pinterest CDN media file with a filename and Range support. 120 req/min.
+ */
+app.use('/api/download', downloadLimiter, apiKeyAuth, downloadRouter);
+
 // 404 — catch-all for unknown routes
 app.use((_req, res) => {
   res.status(404).json({ success: false, error: 'Endpoint not found.' });
@@ -82,13 +177,24 @@ app.use(errorHandler);
 // ---------------------------------------------------------------------------
 
 if (require.main === module) {
+  // Build the caches up front: an unsupported CACHE_STORE / SHORTLINK_STORE
+  // (or "redis" without ioredis) stops the server here instead of failing
+  // every extraction
+  try {
+    getCache();
+    getShortLinkCache();
+  } catch (err) {
+    console.error(`Invalid cache configuration: ${err.message}`);
+    process.exit(1);
+  }
+
   app.listen(PORT, () => {
     console.log(`Pinterest Downloader API listening on port ${PORT} [${process.env.NODE_ENV || 'development'}]`);
   });
 
   process.on('SIGTERM', () => {
     console.log('SIGTERM received — shutting down gracefully');
-    process.exit(0);
+    closeBrowserPool().finally(() => process.exit(0));
   });
 }
 
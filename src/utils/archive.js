@@ -0,0 +1,133 @@
+'use strict';
+
+const { once } = require('node:events');
+const { extractPinId } = require('./pinterest');
+const { toResponse } = require('./normalize');
+const { extractWithCache } = require('../cache');
+const { extractBoardPins } = require('./boards');
+const { openMediaStream, mediaFilename } = require('./download');
+const { openHlsStream } = require('./hls');
+const { validateDownloadQuery } = require('./validators');
+const { toErrorResponse } = require('../middleware/errorHandler');
+
+/**
+ * Lists the downloadable files of one extracted pin, in display order:
+ * every media block of an Idea / Story pin, every carousel slide, or the
+ * single media_url otherwise.
+ *
+ * @returns {Array<{ pin_id: string|null, title: string, media_url: string }>}
+ */
+function mediaItems(media, pinId = null) {
+  const item = (url, title) => ({ pin_id: pinId, title: title || media.title, media_url: url });
+
+  if (media.pages) {
+    return media.pages
+      .flatMap((page) => page.blocks)
+      .filter((block) => block.media_url)
+      .map((block) => item(block.media_url));
+  }
+  if (media.slides) {
+    return media.slides.map((slide) => item(slide.media_url, slide.title));
+  }
+  return media.media_url ? [item(media.media_url)] : [];
+}
+
+/**
+ * Extracts everything an archive needs before any byte is sent, so
+ * extraction errors can still be returned as JSON.
+ *
+ * @param {{ kind: 'pin' | 'board', target, maxPins }} source  From validateArchiveQuery()
+ * @returns {Promise<{ name: string, metadata: object, items: object[] }>}
+ *   `name` is the archive's base filename, `metadata` goes into manifest.json
+ */
+async function resolveArchiveSource({ kind, target, maxPins }) {
+  if (kind === 'pin') {
+    const media = await extractWithCache(target.url);
+    return {
+      name: media.title,
+      metadata: { pin: toResponse(media, { metadata: true }) },
+      items: mediaItems(media, extractPinId(target.url)),
+    };
+  }
+
+  const { board, section, pins } = await extractBoardPins(target, { limit: maxPins, cursor: null });
+  return {
+    name: [board.name || target.slug, section?.title].filter(Boolean).join(' - '),
+    metadata: { board, section, pins },
+    items: pins.flatMap((pin) => mediaItems(pin, pin.id)),
+  };
+}
+
+/**
+ * Opens the byte stream for one archive item, concatenating HLS segments
+ * when the media URL is a playlist. Only Pinterest CDN URLs are fetched.
+ *
+ * @returns {Promise<{ stream, ext: string|null }>}  `ext` overrides the URL's extension
+ */
+async function openItem(mediaUrl) {
+  if (!validateDownloadQuery({ url: mediaUrl }).valid) {
+    throw Object.assign(new Error('Media file is not hosted on the Pinterest CDN.'), { statusCode: 422 });
+  }
+  if (new URL(mediaUrl).pathname.toLowerCase().endsWith('.m3u8')) {
+    const hls = await openHlsStream(mediaUrl);
+    return { stream: hls.stream, ext: `.${hls.container}` };
+  }
+  const upstream = await openMediaStream(mediaUrl);
+  return { stream: upstream.stream, ext: null };
+}
+
+/**
+ * Appends every item to `archive` as `<index>-<title>.<ext>`, one download
+ * at a time (the next file is only requested once the previous entry has
+ * been written), then appends manifest.json and finalizes the archive.
+ *
+ * An item that cannot be fetched is left out and recorded in the manifest
+ * with its `status` / `error`. Stops as soon as `signal` aborts (the client
+ * went away), destroying the upstream stream being written — an aborted
+ * archive never emits the 'entry' event being waited for.
+ *
+ * manifest.json:
+ *   { source_url, created_at, ...metadata, files: [{ name, pin_id, media_url, status?, error? }] }
+ */
+async function writeArchive(archive, { sourceUrl, metadata, items }, { signal } = {}) {
+  const width = String(items.length).length;
+  const files = [];
+
+  for (const [i, item] of items.entries()) {
+    if (signal?.aborted) return;
+
+    let opened;
+    try {
+      opened = await openItem(item.media_url);
+    } catch (err) {
+      const { status, body } = toErrorResponse(err);
+      files.push({ name: null, pin_id: item.pin_id, media_url: item.media_url, status, error: body.error });
+      continue;
+    }
+
+    if (signal?.aborted) {
+      opened.stream.destroy();
+      return;
+    }
+
+    const index = String(i + 1).padStart(width, '0');
+    const name = `${index}-${mediaFilename(item.media_url, item.title, opened.ext)}`;
+    archive.append(opened.stream, { name });
+    try {
+      await once(archive, 'entry', { signal });
+    } catch (err) {
+      if (!signal?.aborted) throw err;
+      opened.stream.destroy();
+      return;
+    }
+    files.push({ name, pin_id: item.pin_id, media_url: item.media_url });
+  }
+
+  if (signal?.aborted) return;
+
+  const manifest = { source_url: sourceUrl, created_at: new Date().toISOString(), ...metadata, files };
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+}
+
+module.exports = { mediaItems, resolveArchiveSource, writeArchive };
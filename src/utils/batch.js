@@ -0,0 +1,84 @@
+'use strict';
+
+const { extractPinId } = require('./pinterest');
+const { toResponse } = require('./normalize');
+const { validatePinterestUrl } = require('./validators');
+const { mapWithConcurrency } = require('./concurrency');
+const { toErrorResponse } = require('../middleware/errorHandler');
+const { extractWithCache } = require('../cache');
+
+/**
+ * Extracts media for a list of pin URLs and reports a result per URL instead
+ * of failing the whole batch.
+ *
+ * URLs pointing at the same pin ID are extracted once and share the result
+ * (pin.it short links are keyed by URL, since their pin ID is unknown until
+ * resolved). Extractions run with at most `concurrency` in flight.
+ *
+ * Each entry of `results` lines up with the input URL at the same index:
+ *   { url, pin_id, success: true,  schema_version, type, media_url, thumbnail, title, renditions, ..., cached }
+ *   { url, pin_id, success: false, status, error }
+ * where `status` / `error` match what POST /api/extract would have returned.
+ * Successful entries are shaped by toResponse(), so they carry `metadata`
+ * only when `include.metadata` is set.
+ *
+ * @param {string[]} urls
+ * Extractions go through the pin cache; `cache` takes the directives of
+ * cacheDirectives() (default: read and write).
+ *
+ * @param {{ concurrency?: number, cache?: { read, write }, include?: { metadata?: boolean }, onProgress?: (done: number, total: number) => void }} [options]
+ * @returns {Promise<{ summary: { total, unique, succeeded, failed }, results: object[] }>}
+ */
+async function runBatch(urls, { concurrency = 4, cache, include, onProgress } = {}) {
+  // 1. Validate and group by pin ID (or URL for short links)
+  const entries = urls.map((url) => {
+    const validation = validatePinterestUrl(url);
+    if (!validation.valid) {
+      return { url, pin_id: null, key: null, error: { status: 400, body: { success: false, error: validation.error } } };
+    }
+    const pinId = extractPinId(validation.url);
+    return { url: validation.url, pin_id: pinId, key: pinId || validation.url };
+  });
+
+  const uniqueKeys = [...new Set(entries.filter((e) => e.key).map((e) => e.key))];
+  const firstUrlByKey = new Map();
+  for (const e of entries) {
+    if (e.key && !firstUrlByKey.has(e.key)) firstUrlByKey.set(e.key, e.url);
+  }
+
+  // 2. Extract each unique pin once, capturing failures per item
+  let done = 0;
+  const outcomes = await mapWithConcurrency(uniqueKeys, concurrency, async (key) => {
+    let outcome;
+    try {
+      outcome = { media: await extractWithCache(firstUrlByKey.get(key), cache) };
+    } catch (err) {
+      outcome = { error: toErrorResponse(err) };
+    }
+    onProgress?.(++done, uniqueKeys.length);
+    return outcome;
+  });
+  const outcomeByKey = new Map(uniqueKeys.map((key, i) => [key, outcomes[i]]));
+
+  // 3. Fan results back out to every input URL
+  const results = entries.map((e) => {
+    const { media, error } = e.error ? { error: e.error } : outcomeByKey.get(e.key);
+    if (error) {
+      return { url: e.url, pin_id: e.pin_id, success: false, status: error.status, error: error.body.error };
+    }
+    return { url: e.url, pin_id: e.pin_id, success: true, ...toResponse(media, include) };
+  });
+
+  const succeeded = results.filter((r) => r.success).length;
+  return {
+    summary: {
+      total: results.length,
+      unique: uniqueKeys.length,
+      succeeded,
+      failed: results.length - succeeded,
+    },
+    results,
+  };
+}
+
+module.exports = { runBatch };
@@ -0,0 +1,172 @@
+'use strict';
+
+const { openSession, fetchResource, fetchFeed } = require('./pinterest');
+const { feedPinToMedia } = require('./normalize');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Upper bound on sections fetched when listing or resolving a board's
+ * sections — far above what Pinterest boards carry in practice.
+ */
+const MAX_SECTIONS = 250;
+
+/**
+ * Page size of a pin listing (`max_pins`), shared by every endpoint that
+ * lists board or profile pins: POST /api/extract/board, board jobs, board
+ * archives and POST /api/extract/user. Passed straight to validatePagination().
+ */
+const PIN_PAGE = { field: 'max_pins', defaultLimit: 50, maxLimit: 250 };
+
+function boardNotFound() {
+  return Object.assign(
+    new Error('Pinterest board not found. It may be private, renamed, or deleted.'),
+    { statusCode: 404 },
+  );
+}
+
+function sectionNotFound(section) {
+  return Object.assign(
+    new Error(`Board section "${section}" not found on this board.`),
+    { statusCode: 404 },
+  );
+}
+
+/**
+ * Opens a Pinterest session on the board page, reporting a missing board as
+ * a 404 rather than the generic "pin not found".
+ */
+async function openBoardSession(boardUrl) {
+  try {
+    return await openSession(boardUrl);
+  } catch (err) {
+    if (err.response?.status === 404) throw boardNotFound();
+    throw err;
+  }
+}
+
+/**
+ * Reduces a raw BoardResource object to the fields we return to clients.
+ */
+function toBoardSummary(board) {
+  return {
+    id: String(board.id),
+    name: board.name || null,
+    description: board.description || null,
+    url: board.url ? `https://www.pinterest.com${board.url}` : null,
+    pin_count: board.pin_count ?? null,
+    section_count: board.section_count ?? null,
+    cover_image: board.image_cover_hd_url || board.image_cover_url || null,
+    owner: board.owner?.username || null,
+  };
+}
+
+/**
+ * Reduces a raw BoardSectionResource object to the fields we return.
+ */
+function toSectionSummary(section) {
+  return {
+    id: String(section.id),
+    title: section.title || null,
+    slug: section.slug || null,
+    pin_count: section.pin_count ?? null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Board lookup + feed
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolves a board's numeric ID (and summary metadata) from its owner's
+ * username and the board slug via Pinterest's BoardResource.
+ */
+async function resolveBoard(username, slug, session) {
+  let response;
+  try {
+    response = await fetchResource(
+      'BoardResource',
+      { username, slug, field_set_key: 'detailed' },
+      session,
+    );
+  } catch (err) {
+    if (err.response?.status === 404) throw boardNotFound();
+    throw err;
+  }
+
+  const board = response?.data;
+  if (!board?.id) throw boardNotFound();
+  return toBoardSummary(board);
+}
+
+/**
+ * Lists a board's sections (BoardSectionsResource) with their pin counts.
+ */
+async function fetchBoardSections(boardId, session) {
+  const { items } = await fetchFeed(
+    'BoardSectionsResource',
+    { board_id: boardId },
+    { session, limit: MAX_SECTIONS },
+  );
+  return items.filter((s) => s?.id).map(toSectionSummary);
+}
+
+/**
+ * Lists the sections of the board at `target` (from validateBoardUrl()).
+ * A section segment in the URL is ignored — the whole board is listed.
+ *
+ * @returns {Promise<{ board, sections }>}
+ */
+async function listBoardSections({ url, username, slug }) {
+  const session = await openBoardSession(url);
+  const board = await resolveBoard(username, slug, session);
+  const sections = await fetchBoardSections(board.id, session);
+  return { board, sections };
+}
+
+/**
+ * Returns one page of a public board's pins in the standard media shape.
+ * When the URL names a section, only that section's pins are returned
+ * (BoardSectionPinsResource) and the section summary is included.
+ *
+ * @param {{ url, username, slug, section }} target        From validateBoardUrl()
+ * @param {{ limit: number, cursor: string | null }} page  From validatePagination()
+ * @returns {Promise<{ board, section, pins, cursor }>}  `cursor` is null on the last page
+ */
+async function extractBoardPins({ url, username, slug, section }, { limit, cursor }) {
+  const session = await openBoardSession(url);
+  const board = await resolveBoard(username, slug, session);
+
+  let feed;
+  let sectionSummary = null;
+  if (section) {
+    const wanted = section.toLowerCase();
+    const sections = await fetchBoardSections(board.id, session);
+    sectionSummary = sections.find((s) => encodeURIComponent(s.slug || '').toLowerCase() === wanted ||
+      (s.slug || '').toLowerCase() === wanted);
+    if (!sectionSummary) throw sectionNotFound(section);
+
+    feed = await fetchFeed(
+      'BoardSectionPinsResource',
+      { section_id: sectionSummary.id },
+      { session, cursor, limit },
+    );
+  } else {
+    feed = await fetchFeed(
+      'BoardFeedResource',
+      { board_id: board.id, board_url: `/${username}/${slug}/`, field_set_key: 'react_grid_pin' },
+      { session, cursor, limit },
+    );
+  }
+
+  return {
+    board,
+    section: sectionSummary,
+    pins: feed.items.map(feedPinToMedia).filter(Boolean),
+    cursor: feed.cursor,
+  };
+}
+
+module.exports = { PIN_PAGE, extractBoardPins, listBoardSections, resolveBoard, toBoardSummary };
@@ -0,0 +1,128 @@
+'use strict';
+
+const {
+  extractPinId,
+  openSession,
+  fetchResource,
+  fetchFeed,
+} = require('./pinterest');
+const { resolveShortLink } = require('../cache');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function pinNotFound() {
+  return Object.assign(
+    new Error('Pinterest pin not found. The URL may be invalid or the pin may have been deleted.'),
+    { statusCode: 404 },
+  );
+}
+
+/**
+ * Reduces a raw UnifiedCommentsResource entry to the fields we return:
+ *   { id, author: { username, full_name, avatar_url } | null, text,
+ *     created_at (ISO 8601), like_count, reply_count, replies }
+ *
+ * "Tried it" photo comments keep their text in `details`. `replies` holds
+ * the replies Pinterest embeds with the comment (in the same shape, without
+ * further nesting); `reply_count` is the total Pinterest reports, which may
+ * be larger.
+ */
+function toComment(raw, { withReplies = true } = {}) {
+  const user = raw.user || raw.commenter || null;
+  const createdAt = new Date(raw.created_at ?? NaN);
+  const reactions = raw.reaction_counts && typeof raw.reaction_counts === 'object'
+    ? Object.values(raw.reaction_counts).reduce((sum, n) => sum + (Number(n) || 0), 0)
+    : null;
+
+  const rawReplies = [raw.replies, raw.recent_replies, raw.reply_preview].find(Array.isArray) || [];
+  const replies = withReplies
+    ? rawReplies.filter((r) => r && typeof r === 'object').map((r) => toComment(r, { withReplies: false }))
+    : [];
+
+  return {
+    id: raw.id != null ? String(raw.id) : null,
+    author: user
+      ? {
+        username: user.username || null,
+        full_name: user.full_name || null,
+        avatar_url: user.image_medium_url || user.image_small_url || null,
+      }
+      : null,
+    text: raw.text || raw.details || '',
+    created_at: Number.isNaN(createdAt.getTime()) ? null : createdAt.toISOString(),
+    like_count: raw.like_count ?? raw.helpful_count ?? reactions,
+    reply_count: raw.comment_count ?? raw.reply_count ?? replies.length,
+    ...(withReplies && { replies }),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Comments feed
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns one page of a pin's comments, in the order Pinterest lists them.
+ *
+ * Comments hang off the pin's aggregated data (shared by every repin of the
+ * same image), so the pin is looked up first through PinResource using the
+ * same cookie / CSRF session as extractFromApi(), then the
+ * UnifiedCommentsResource feed is paged with that ID.
+ *
+ * pin.it short links are resolved through the shortcode cache (see
+ * resolveShortLink).
+ *
+ * @param {string} url                                     Pin URL (full or pin.it short link)
+ * @param {{ limit: number, cursor: string | null }} page  From validatePagination()
+ * @returns {Promise<{ pin_id, comment_count, comments, cursor }>}  `cursor` is null on the last page
+ */
+async function extractPinComments(url, { limit, cursor }) {
+  if (/pin\.it\//i.test(url)) {
+    url = (await resolveShortLink(url)).url;
+  }
+
+  const pinId = extractPinId(url);
+  if (!pinId) {
+    throw Object.assign(
+      new Error('Could not determine the pin ID for this URL.'),
+      { statusCode: 422 },
+    );
+  }
+
+  let session;
+  let response;
+  try {
+    session = await openSession(url);
+    response = await fetchResource('PinResource', { id: pinId, field_set_key: 'unauth_react' }, session);
+  } catch (err) {
+    if (err.response?.status === 404) throw pinNotFound();
+    throw err;
+  }
+
+  const pin = response?.data;
+  if (!pin) throw pinNotFound();
+
+  const aggregated = pin.aggregated_pin_data;
+  if (!aggregated?.id) {
+    throw Object.assign(
+      new Error('Comments are not available for this pin.'),
+      { statusCode: 422 },
+    );
+  }
+
+  const feed = await fetchFeed(
+    'UnifiedCommentsResource',
+    { objectId: String(aggregated.id), redux_normalize_feed: true },
+    { session, cursor, limit },
+  );
+
+  return {
+    pin_id: pinId,
+    comment_count: aggregated.comment_count ?? pin.comment_count ?? null,
+    comments: feed.items.filter((c) => c && typeof c === 'object').map((c) => toComment(c)),
+    cursor: feed.cursor,
+  };
+}
+
+module.exports = { toComment, extractPinComments };
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Runs `fn(item, index)` over `items` with at most `limit` calls in flight
+ * at once. Resolves to the results in input order; rejects on the first
+ * error (callers that want per-item failures should catch inside `fn`).
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
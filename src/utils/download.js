@@ -0,0 +1,138 @@
+'use strict';
+
+const path = require('node:path');
+const axios = require('axios');
+const { extractWithCache } = require('../cache');
+const { MEDIA_HOSTS } = require('./validators');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const UPSTREAM_HEADERS = {
+  'User-Agent':
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+    '(KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  Accept: '*/*',
+  // Files are proxied byte for byte (decompress: false), so Content-Length
+  // and ranges must describe the stored file rather than a compressed copy
+  'Accept-Encoding': 'identity',
+  Referer: 'https://www.pinterest.com/',
+};
+
+// Upstream headers copied onto the proxied response
+const PASSTHROUGH_HEADERS = [
+  'content-type',
+  'content-length',
+  'content-range',
+  'accept-ranges',
+  'last-modified',
+  'etag',
+];
+
+const MAX_FILENAME_LENGTH = 100;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolves a pin ID to the URL of its primary media file.
+ * Throws a 422 when the pin's media is not on a Pinterest CDN host.
+ *
+ * @returns {Promise<{ url: string, title: string|null }>}
+ */
+async function resolvePinMedia(pinId) {
+  const media = await extractWithCache(`https://www.pinterest.com/pin/${pinId}/`);
+
+  let host = null;
+  try {
+    host = new URL(media.media_url).hostname;
+  } catch (_) { /* handled below */ }
+
+  if (!MEDIA_HOSTS.has(host)) {
+    throw Object.assign(new Error('This pin has no downloadable media file.'), { statusCode: 422 });
+  }
+
+  return { url: media.media_url, title: media.title ?? null };
+}
+
+/**
+ * Strips characters that are unsafe in filenames from a title and caps its
+ * length. Returns '' when nothing usable is left.
+ */
+function safeFilename(title) {
+  return (title || '')
+    .normalize('NFKC')
+    .replace(/[\u0000-\u001f\u007f"\\/:*?<>|]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_FILENAME_LENGTH)
+    .trim();
+}
+
+/**
+ * Builds a download filename: the pin title slugified (or the CDN file name
+ * when there is no title), keeping the extension of the media URL unless
+ * `ext` overrides it (e.g. ".mp4" for a remuxed .m3u8 stream).
+ */
+function mediaFilename(mediaUrl, title, ext = null) {
+  const { pathname } = new URL(mediaUrl);
+  const urlExt = path.extname(pathname).toLowerCase();
+  const base = path.basename(pathname, urlExt);
+
+  return `${safeFilename(title) || base || 'pinterest-media'}${ext ?? urlExt}`;
+}
+
+/**
+ * Content-Disposition value with an ASCII fallback `filename` and the
+ * full UTF-8 name in `filename*` (RFC 6266).
+ */
+function contentDisposition(filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Opens a streaming GET for a CDN media URL, forwarding the client's Range
+ * header. Redirects are not followed so the request cannot leave the CDN.
+ *
+ * Resolves to { status, headers, stream } for 200 / 206 / 416 responses;
+ * other upstream statuses throw (404 → 404, anything else → 502).
+ */
+async function openMediaStream(url, { range } = {}) {
+  const res = await axios.get(url, {
+    headers: { ...UPSTREAM_HEADERS, ...(range && { Range: range }) },
+    responseType: 'stream',
+    timeout: 15_000,
+    maxRedirects: 0,
+    decompress: false,
+    validateStatus: () => true,
+  });
+
+  if ([200, 206, 416].includes(res.status)) {
+    const headers = {};
+    for (const name of PASSTHROUGH_HEADERS) {
+      if (res.headers[name] !== undefined) headers[name] = res.headers[name];
+    }
+    return { status: res.status, headers, stream: res.data };
+  }
+
+  res.data.destroy();
+  if (res.status === 404 || res.status === 403) {
+    throw Object.assign(new Error('Media file not found on the Pinterest CDN.'), { statusCode: 404 });
+  }
+  throw Object.assign(
+    new Error(`Pinterest CDN returned an unexpected response (HTTP ${res.status}).`),
+    { statusCode: 502 },
+  );
+}
+
+module.exports = {
+  UPSTREAM_HEADERS,
+  resolvePinMedia,
+  safeFilename,
+  mediaFilename,
+  contentDisposition,
+  openMediaStream,
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+const { extractWithBrowser } = require('./playwrightExtractor');
+const { isComplete } = require('./normalize');
+
+/**
+ * Retries a static result in headless Chromium for `mode: "auto"` requests
+ * whose result carries video signals (see detectVideoSignals).
+ *
+ * The static extraction has already tried the pin page and PinResource, so
+ * the browser engine skips its own API fast path and loads the page in
+ * Chromium straight away.
+ *
+ * The browser result is only used when it is complete (see isComplete);
+ * otherwise — including when the browser extraction fails — the static
+ * result is kept, so escalating never makes a response worse.
+ *
+ * With a `trace` (see createTrace) the escalation is recorded as the
+ * "browser_escalation" strategy.
+ *
+ * @param {string} url     Canonical pin URL
+ * @param {object} media   The static result
+ * @param {{ trace?: object }} [options]
+ * @returns {Promise<{ media: object, engine: 'static' | 'browser' }>}
+ */
+async function escalateToBrowser(url, media, { trace = null } = {}) {
+  const run = async (note) => {
+    const browserMedia = await extractWithBrowser(url, { skipApi: true });
+    if (isComplete(browserMedia)) return browserMedia;
+    note('browser result is incomplete; kept the static result');
+    return null;
+  };
+
+  try {
+    const browserMedia = await (trace ? trace.strategy('browser_escalation', run) : run(() => {}));
+    if (browserMedia) return { media: { ...browserMedia, cached: false }, engine: 'browser' };
+  } catch (err) {
+    console.error(JSON.stringify({
+      level: 'warn',
+      timestamp: new Date().toISOString(),
+      message: `Browser escalation failed for ${url}: ${err.message}`,
+    }));
+  }
+  return { media, engine: 'static' };
+}
+
+module.exports = { escalateToBrowser };
@@ -0,0 +1,319 @@
+'use strict';
+
+const { Readable } = require('node:stream');
+const axios = require('axios');
+const { MEDIA_HOSTS } = require('./validators');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const HLS_HEADERS = {
+  'User-Agent':
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+    '(KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  Accept: '*/*',
+  Referer: 'https://www.pinterest.com/',
+};
+
+// Upper bound on segments per download (~3 h at Pinterest's 6 s segments)
+const MAX_SEGMENTS = 2000;
+
+// ---------------------------------------------------------------------------
+// Playlist parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Parses an HLS attribute list (`BANDWIDTH=1280000,CODECS="avc1,mp4a"`)
+ * into an object keyed by attribute name. Quoted values keep their commas.
+ */
+function parseAttributes(str) {
+  const attrs = {};
+  const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let m;
+  while ((m = re.exec(str)) !== null) {
+    attrs[m[1]] = m[2].startsWith('"') ? m[2].slice(1, -1) : m[2];
+  }
+  return attrs;
+}
+
+/**
+ * Parses an `EXT-X-BYTERANGE` / `BYTERANGE` value (`<length>[@<offset>]`).
+ * Without an offset the range starts where the previous one ended.
+ */
+function parseByteRange(value, previousEnd) {
+  const [length, offset] = value.split('@').map(Number);
+  const start = Number.isFinite(offset) ? offset : previousEnd;
+  return { start, end: start + length - 1 };
+}
+
+/**
+ * Parses an HLS playlist. URIs are resolved against `baseUrl`.
+ *
+ * Master playlists return
+ *   { kind: 'master', variants: [{ url, bandwidth, width, height, codecs, frame_rate, audio_url }] }
+ * where `audio_url` is the playlist of a separate audio rendition, if any.
+ *
+ * Media playlists return
+ *   { kind: 'media', init, segments: [{ url, duration, byterange }], duration, encrypted }
+ * where `init` is the EXT-X-MAP initialisation segment ({ url, byterange }) of
+ * fragmented-MP4 streams and null for MPEG-TS ones.
+ *
+ * Throws a 422 when the text is not an HLS playlist.
+ */
+function parsePlaylist(text, baseUrl) {
+  const lines = String(text).split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') {
+    throw Object.assign(new Error('The stream URL did not return an HLS playlist.'), { statusCode: 422 });
+  }
+
+  const resolve = (uri) => new URL(uri, baseUrl).href;
+
+  if (lines.some((l) => l.startsWith('#EXT-X-STREAM-INF:'))) {
+    const audioGroups = new Map();
+    for (const line of lines) {
+      if (!line.startsWith('#EXT-X-MEDIA:')) continue;
+      const attrs = parseAttributes(line.slice('#EXT-X-MEDIA:'.length));
+      if (attrs.TYPE === 'AUDIO' && attrs.URI && !audioGroups.has(attrs['GROUP-ID'])) {
+        audioGroups.set(attrs['GROUP-ID'], resolve(attrs.URI));
+      }
+    }
+
+    const variants = [];
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].startsWith('#EXT-X-STREAM-INF:')) continue;
+      const uri = lines.slice(i + 1).find((l) => !l.startsWith('#'));
+      if (!uri) continue;
+      const attrs = parseAttributes(lines[i].slice('#EXT-X-STREAM-INF:'.length));
+      const [width, height] = (attrs.RESOLUTION || '').split('x').map(Number);
+      variants.push({
+        url: resolve(uri),
+        bandwidth: Number(attrs.BANDWIDTH) || null,
+        width: width || null,
+        height: height || null,
+        codecs: attrs.CODECS ?? null,
+        frame_rate: Number(attrs['FRAME-RATE']) || null,
+        audio_url: audioGroups.get(attrs.AUDIO) ?? null,
+      });
+    }
+    return { kind: 'master', variants };
+  }
+
+  let init = null;
+  let encrypted = false;
+  let duration = null;
+  let byterange = null;
+  let rangeEnd = 0;
+  const segments = [];
+
+  for (const line of lines) {
+    if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      byterange = parseByteRange(line.slice('#EXT-X-BYTERANGE:'.length), rangeEnd);
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const attrs = parseAttributes(line.slice('#EXT-X-MAP:'.length));
+      init = {
+        url: resolve(attrs.URI),
+        byterange: attrs.BYTERANGE ? parseByteRange(attrs.BYTERANGE, 0) : null,
+      };
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const attrs = parseAttributes(line.slice('#EXT-X-KEY:'.length));
+      if (attrs.METHOD && attrs.METHOD !== 'NONE') encrypted = true;
+    } else if (!line.startsWith('#')) {
+      segments.push({ url: resolve(line), duration, byterange });
+      if (byterange) rangeEnd = byterange.end + 1;
+      duration = null;
+      byterange = null;
+    }
+  }
+
+  const total = segments.reduce((sum, s) => sum + (s.duration || 0), 0);
+  return {
+    kind: 'media',
+    init,
+    segments,
+    duration: total ? Math.round(total * 1000) : null,
+    encrypted,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Fetching
+// ---------------------------------------------------------------------------
+
+/**
+ * Refuses any playlist or segment URL outside the Pinterest CDN, so a
+ * crafted playlist cannot turn the downloader into an open proxy.
+ */
+function assertCdnUrl(url) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (_) { /* handled below */ }
+
+  if (!parsed || parsed.protocol !== 'https:' || parsed.port || !MEDIA_HOSTS.has(parsed.hostname)) {
+    throw Object.assign(new Error('HLS stream references a host outside the Pinterest CDN.'), { statusCode: 400 });
+  }
+}
+
+/**
+ * GETs a playlist or segment from the CDN. Redirects are not followed.
+ * Maps CDN 403/404 to a 404 and other failures to a 502.
+ */
+async function fetchFromCdn(url, { responseType = 'text', byterange = null } = {}) {
+  assertCdnUrl(url);
+
+  const res = await axios.get(url, {
+    headers: {
+      ...HLS_HEADERS,
+      ...(byterange && { Range: `bytes=${byterange.start}-${byterange.end}` }),
+    },
+    responseType,
+    timeout: 15_000,
+    maxRedirects: 0,
+    validateStatus: () => true,
+  });
+
+  if (res.status === 200 || res.status === 206) return res.data;
+  if (res.status === 404 || res.status === 403) {
+    throw Object.assign(new Error('HLS stream not found on the Pinterest CDN.'), { statusCode: 404 });
+  }
+  throw Object.assign(
+    new Error(`Pinterest CDN returned an unexpected response (HTTP ${res.status}).`),
+    { statusCode: 502 },
+  );
+}
+
+/**
+ * Fetches and parses a playlist (see parsePlaylist).
+ */
+async function fetchPlaylist(url) {
+  return parsePlaylist(await fetchFromCdn(url), url);
+}
+
+// ---------------------------------------------------------------------------
+// Variants
+// ---------------------------------------------------------------------------
+
+/**
+ * Orders variants tallest first, then by bandwidth.
+ */
+function sortVariants(variants) {
+  return [...variants].sort((a, b) =>
+    (b.height ?? 0) - (a.height ?? 0) || (b.bandwidth ?? 0) - (a.bandwidth ?? 0));
+}
+
+/**
+ * Lists the variants of an HLS stream, tallest (then highest bandwidth)
+ * first, each with its `index` in that order.
+ *
+ * A media playlist (no variants) is reported as a single variant of unknown size.
+ *
+ * @returns {Promise<Array<{ index, url, bandwidth, width, height, codecs, frame_rate, separate_audio }>>}
+ */
+async function listHlsVariants(playlistUrl) {
+  const playlist = await fetchPlaylist(playlistUrl);
+  const variants = playlist.kind === 'master'
+    ? playlist.variants
+    : [{ url: playlistUrl, bandwidth: null, width: null, height: null, codecs: null, frame_rate: null, audio_url: null }];
+
+  return sortVariants(variants)
+    .map(({ audio_url, ...v }, index) => ({ index, ...v, separate_audio: audio_url !== null }));
+}
+
+/**
+ * Picks the tallest variant no taller than `maxHeight`; the tallest overall
+ * when `maxHeight` is not given. `variants` must be sorted as returned by
+ * listHlsVariants. Like applyPreferences(), throws a 422 carrying
+ * `available: { heights }` when no variant of known height fits.
+ */
+function pickVariant(variants, maxHeight = null) {
+  if (variants.length === 0) return null;
+  if (!maxHeight) return variants[0];
+
+  const chosen = variants.find((v) => v.height !== null && v.height <= maxHeight);
+  if (!chosen) {
+    const heights = [...new Set(variants.map((v) => v.height).filter((h) => h !== null))];
+    throw Object.assign(
+      new Error(`No HLS variant of this stream is within max_height ${maxHeight}.`),
+      { statusCode: 422, available: { heights } },
+    );
+  }
+  return chosen;
+}
+
+// ---------------------------------------------------------------------------
+// Download
+// ---------------------------------------------------------------------------
+
+/**
+ * Opens an HLS stream as a single downloadable file: the chosen variant's
+ * segments fetched in order and concatenated (after the EXT-X-MAP
+ * initialisation segment for fragmented-MP4 streams).
+ *
+ * Fragmented-MP4 streams produce a playable `.mp4`, MPEG-TS streams a `.ts`.
+ * Segments are not remuxed, so only variants with muxed-in audio are
+ * picked; a stream whose every variant keeps its audio in a separate
+ * EXT-X-MEDIA rendition throws a 422 rather than download silent video.
+ *
+ * Segments are fetched one at a time as the returned stream is read, so
+ * memory use stays at one segment regardless of video length.
+ *
+ * @param {string} playlistUrl  Master or media playlist on the Pinterest CDN
+ * @param {{ maxHeight?: number }} [options]
+ * @returns {Promise<{ container: 'mp4'|'ts', content_type: string, variant: object, duration: number|null, stream: Readable }>}
+ */
+async function openHlsStream(playlistUrl, { maxHeight = null } = {}) {
+  assertCdnUrl(playlistUrl);
+
+  let playlist = await fetchPlaylist(playlistUrl);
+  let variant = { url: playlistUrl, width: null, height: null, bandwidth: null, separate_audio: false };
+
+  if (playlist.kind === 'master') {
+    if (playlist.variants.length === 0) {
+      throw Object.assign(new Error('HLS playlist has no variants.'), { statusCode: 422 });
+    }
+    const muxed = playlist.variants.filter((v) => v.audio_url === null);
+    if (muxed.length === 0) {
+      throw Object.assign(
+        new Error('HLS stream keeps its audio in a separate rendition and cannot be downloaded as one file; download an MP4 rendition instead.'),
+        { statusCode: 422 },
+      );
+    }
+    const { audio_url, ...chosen } = pickVariant(sortVariants(muxed), maxHeight);
+    variant = { ...chosen, separate_audio: false };
+    playlist = await fetchPlaylist(chosen.url);
+  }
+
+  if (playlist.kind !== 'media' || playlist.segments.length === 0) {
+    throw Object.assign(new Error('HLS variant playlist has no segments.'), { statusCode: 422 });
+  }
+  if (playlist.encrypted) {
+    throw Object.assign(new Error('Encrypted HLS streams are not supported.'), { statusCode: 422 });
+  }
+  if (playlist.segments.length > MAX_SEGMENTS) {
+    throw Object.assign(new Error(`HLS stream exceeds ${MAX_SEGMENTS} segments.`), { statusCode: 422 });
+  }
+
+  // Validate every URL up front so nothing is sent before a bad host is found
+  const parts = [...(playlist.init ? [playlist.init] : []), ...playlist.segments];
+  parts.forEach((p) => assertCdnUrl(p.url));
+
+  async function* concatenate() {
+    for (const part of parts) {
+      yield Buffer.from(await fetchFromCdn(part.url, { responseType: 'arraybuffer', byterange: part.byterange }));
+    }
+  }
+
+  const fmp4 = playlist.init !== null;
+  return {
+    container: fmp4 ? 'mp4' : 'ts',
+    content_type: fmp4 ? 'video/mp4' : 'video/mp2t',
+    variant,
+    duration: playlist.duration,
+    stream: Readable.from(concatenate()),
+  };
+}
+
+module.exports = { parsePlaylist, listHlsVariants, pickVariant, openHlsStream };
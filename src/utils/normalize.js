@@ -0,0 +1,807 @@
+'use strict';
+
+/**
+ * Pin normalization shared by both extraction engines.
+ *
+ * The static extractor (pinterest.js) and the browser extractor
+ * (playwrightExtractor.js) feed the raw pin JSON they find into
+ * pinObjectToMedia(), and both endpoints shape their results with
+ * toResponse(), so quality selection, type detection and the response
+ * schema are defined in exactly one place.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Version of the media object returned by every extraction endpoint (see
+ * toResponse). Bump it whenever a field is renamed, removed or changes
+ * meaning; adding a field does not need a bump.
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Preferred video qualities, highest first. Pinterest uses these keys inside
+ * the `video_list` object.
+ */
+const VIDEO_QUALITY_PREFERENCE = [
+  'V_1080P',
+  'V_720P',
+  'V_480P',
+  'V_360P',
+  'V_240P',
+  'V_EXP7',
+  'V_EXP6',
+  'V_EXP5',
+];
+
+/**
+ * Pinterest `images` keys, largest first; used to rank image renditions.
+ */
+const IMAGE_SIZE_PREFERENCE = ['orig', 'originals', '736x', '600x315', '474x', '236x', '170x'];
+
+// Pin types whose result already carries every item (pages / slides)
+const MULTI_ITEM_TYPES = ['story', 'carousel'];
+
+// ---------------------------------------------------------------------------
+// JSON helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Recursively walks `obj` collecting every value stored under `key`.
+ * Returns an array of matches (may be empty).
+ */
+function deepFind(obj, key, _seen = new WeakSet()) {
+  const results = [];
+  if (typeof obj !== 'object' || obj === null) return results;
+  // Guard against circular references
+  if (_seen.has(obj)) return results;
+  _seen.add(obj);
+
+  if (Object.prototype.hasOwnProperty.call(obj, key)) {
+    results.push(obj[key]);
+  }
+  for (const val of Object.values(obj)) {
+    if (typeof val === 'object' && val !== null) {
+      results.push(...deepFind(val, key, _seen));
+    }
+  }
+  return results;
+}
+
+/**
+ * Like deepFind, but returns the objects that own `key` instead of its values.
+ * Used to locate whole pin objects (e.g. anything carrying `story_pin_data`).
+ */
+function deepFindOwners(obj, key, _seen = new WeakSet()) {
+  const results = [];
+  if (typeof obj !== 'object' || obj === null) return results;
+  if (_seen.has(obj)) return results;
+  _seen.add(obj);
+
+  if (!Array.isArray(obj) && Object.prototype.hasOwnProperty.call(obj, key)) {
+    results.push(obj);
+  }
+  for (const val of Object.values(obj)) {
+    if (typeof val === 'object' && val !== null) {
+      results.push(...deepFindOwners(val, key, _seen));
+    }
+  }
+  return results;
+}
+
+// ---------------------------------------------------------------------------
+// Rendition selection
+// ---------------------------------------------------------------------------
+
+/**
+ * Client quality preferences (see validatePreferences). Every field null
+ * means the built-in choice: the best MP4 by VIDEO_QUALITY_PREFERENCE and
+ * the largest image by IMAGE_SIZE_PREFERENCE.
+ *   max_height  tallest acceptable video (px)
+ *   prefer      "highest" | "smallest"
+ *   format      "mp4" | "hls" (videos; null → MP4)
+ *   image_size  exact Pinterest image key, e.g. "orig" or "736x"
+ */
+const DEFAULT_PREFERENCES = { max_height: null, prefer: null, format: null, image_size: null };
+
+/**
+ * Video height of a rendition, read from its quality key (V_720P, v720P,
+ * 720P) when Pinterest did not report one.
+ */
+function renditionHeight(r) {
+  if (r.height) return r.height;
+  const m = String(r.quality || '').match(/(\d{3,4})p$/i);
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * Orders candidates best first: by `rank` (position in a preference list,
+ * unknown last) then by size for "highest"; smallest size first (unknown
+ * sizes last) for "smallest". The sort is stable, so equal candidates keep
+ * their input order.
+ */
+function orderCandidates(candidates, prefer, rank, size) {
+  const byRank = (a, b) => rank(a) - rank(b);
+  if (prefer === 'smallest') {
+    const known = (r) => (size(r) === null ? Infinity : size(r));
+    return [...candidates].sort((a, b) => known(a) - known(b) || byRank(b, a));
+  }
+  return [...candidates].sort((a, b) => byRank(a, b) || (size(b) ?? 0) - (size(a) ?? 0));
+}
+
+/**
+ * Lists the video renditions that satisfy `prefs` (see DEFAULT_PREFERENCES),
+ * best first, ignoring image renditions.
+ */
+function videoCandidates(renditions, prefs = DEFAULT_PREFERENCES) {
+  const wantHls = prefs.format === 'hls';
+  let candidates = renditions.filter((r) => r?.url && r.kind !== 'image' && (r.container === 'hls') === wantHls);
+  if (prefs.max_height) {
+    candidates = candidates.filter((r) => renditionHeight(r) !== null && renditionHeight(r) <= prefs.max_height);
+  }
+
+  const rank = (r) => {
+    const idx = VIDEO_QUALITY_PREFERENCE.indexOf(r.quality);
+    return idx === -1 ? VIDEO_QUALITY_PREFERENCE.length : idx;
+  };
+  return orderCandidates(candidates, prefs.prefer, rank, renditionHeight);
+}
+
+/**
+ * Picks a video rendition under `prefs` from a rendition list. Returns the
+ * rendition or null when none qualifies. Every video choice in both engines
+ * goes through here.
+ */
+function selectVideo(renditions, prefs = DEFAULT_PREFERENCES) {
+  return videoCandidates(renditions, prefs)[0] ?? null;
+}
+
+/**
+ * Lists the image renditions that satisfy `prefs`, best first, ignoring
+ * video renditions. `image_size` must match the rendition's Pinterest key
+ * ("orig" also matches "originals").
+ */
+function imageCandidates(renditions, prefs = DEFAULT_PREFERENCES) {
+  const key = (r) => (r.quality === 'originals' ? 'orig' : r.quality);
+  let candidates = renditions.filter((r) => r?.url && r.kind !== 'video');
+  if (prefs.image_size) candidates = candidates.filter((r) => key(r) === prefs.image_size);
+
+  const rank = (r) => {
+    const idx = IMAGE_SIZE_PREFERENCE.indexOf(r.quality);
+    return idx === -1 ? IMAGE_SIZE_PREFERENCE.length : idx;
+  };
+  return orderCandidates(candidates, prefs.prefer, rank, (r) => r.width ?? null);
+}
+
+/**
+ * Picks an image rendition under `prefs` from a rendition list. Returns the
+ * rendition or null.
+ */
+function selectImage(renditions, prefs = DEFAULT_PREFERENCES) {
+  return imageCandidates(renditions, prefs)[0] ?? null;
+}
+
+/**
+ * Picks the best MP4 from a Pinterest `video_list` map (an HLS playlist for
+ * `format: "hls"`). Returns { url, width, height } or null.
+ */
+function pickBestVideo(videoList, prefs = DEFAULT_PREFERENCES) {
+  const best = selectVideo(listVideoRenditions(videoList), prefs);
+  return best && { url: best.url, width: best.width, height: best.height };
+}
+
+/**
+ * Picks an HLS (.m3u8) playlist from a Pinterest `video_list` map, for pins
+ * that expose no MP4 file. Returns { url } or null.
+ */
+function pickHlsVideo(videoList) {
+  const best = selectVideo(listVideoRenditions(videoList), { ...DEFAULT_PREFERENCES, format: 'hls' });
+  return best && { url: best.url };
+}
+
+/**
+ * Picks the best still-image URL from a Pinterest `images` map.
+ * Pinterest key order: orig > 736x > 474x > 236x
+ */
+function pickBestImage(images, prefs = DEFAULT_PREFERENCES) {
+  return selectImage(listImageRenditions(images), prefs)?.url ?? null;
+}
+
+/**
+ * Infers the container format of a media URL from its file extension.
+ * `.m3u8` playlists are reported as "hls".
+ */
+function containerFromUrl(url) {
+  const m = (url || '').split('?')[0].match(/\.([a-z0-9]+)$/i);
+  if (!m) return null;
+  const ext = m[1].toLowerCase();
+  if (ext === 'm3u8') return 'hls';
+  return ext === 'jpeg' ? 'jpg' : ext;
+}
+
+/**
+ * Lists every entry of a Pinterest `video_list` map as a rendition.
+ * MP4 files come first (highest resolution first), HLS playlists last.
+ */
+function listVideoRenditions(videoList) {
+  if (!videoList || typeof videoList !== 'object') return [];
+
+  const renditions = [];
+  for (const [quality, entry] of Object.entries(videoList)) {
+    if (!entry?.url || renditions.some((r) => r.url === entry.url)) continue;
+    renditions.push({
+      kind: 'video',
+      quality,
+      url: entry.url,
+      width: entry.width ?? null,
+      height: entry.height ?? null,
+      container: containerFromUrl(entry.url),
+      bitrate: entry.bitrate ?? null,
+      duration: entry.duration ?? null,
+    });
+  }
+
+  const rank = (r) => {
+    const idx = VIDEO_QUALITY_PREFERENCE.indexOf(r.quality);
+    return idx === -1 ? VIDEO_QUALITY_PREFERENCE.length : idx;
+  };
+  return renditions.sort((a, b) =>
+    (a.container === 'hls') - (b.container === 'hls') ||
+    (b.height ?? 0) - (a.height ?? 0) ||
+    rank(a) - rank(b));
+}
+
+/**
+ * Lists every key of a Pinterest `images` map as a rendition, largest first.
+ */
+function listImageRenditions(images) {
+  if (!images || typeof images !== 'object') return [];
+
+  const renditions = [];
+  for (const [quality, entry] of Object.entries(images)) {
+    if (!entry?.url || renditions.some((r) => r.url === entry.url)) continue;
+    renditions.push({
+      kind: 'image',
+      quality,
+      url: entry.url,
+      width: entry.width ?? null,
+      height: entry.height ?? null,
+      container: containerFromUrl(entry.url),
+    });
+  }
+  return renditions.sort((a, b) => (b.width ?? 0) - (a.width ?? 0));
+}
+
+/**
+ * Builds an image rendition from a bare pinimg.com URL, reading the size
+ * bucket from the path (e.g. /736x/ → "736x", /originals/ → "orig").
+ */
+function imageRenditionFromUrl(url) {
+  const m = url.match(/\/(originals|\d+x\d*)\//);
+  return {
+    kind: 'image',
+    quality: !m ? null : m[1] === 'originals' ? 'orig' : m[1],
+    url,
+    width: null,
+    height: null,
+    container: containerFromUrl(url),
+  };
+}
+
+/**
+ * Extracts the first non-empty string from an array (used for titles).
+ */
+function firstString(arr, fallback = '') {
+  return arr.find((v) => typeof v === 'string' && v.trim().length > 0) || fallback;
+}
+
+// ---------------------------------------------------------------------------
+// Pin objects
+// ---------------------------------------------------------------------------
+
+/**
+ * Converts an Idea / Story pin's `story_pin_data` into an ordered list of
+ * pages. Each page carries its blocks in display order:
+ *   { type: 'video', media_url, thumbnail, duration, renditions }
+ *   { type: 'image', media_url, renditions }
+ *   { type: 'text',  text, style: 'heading' | 'paragraph' | 'text' }
+ * plus the page cover image and duration (longest video block, in ms).
+ *
+ * Pages without any media block are dropped; returns [] for non-story pins.
+ */
+function storyPinToPages(storyPinData) {
+  const rawPages = storyPinData?.pages;
+  if (!Array.isArray(rawPages)) return [];
+
+  const pages = [];
+  for (const page of rawPages) {
+    const coverImage = pickBestImage(page?.image?.images ?? page?.image) || null;
+
+    // Block payloads are sometimes nested one level down under `block`
+    const blocks = [];
+    for (const rawBlock of (page?.blocks || [])) {
+      const block = rawBlock?.block ?? rawBlock;
+      if (!block || typeof block !== 'object') continue;
+
+      const videoList = block.video?.video_list;
+      const best = pickBestVideo(videoList);
+      if (best) {
+        const renditions = listVideoRenditions(videoList);
+        blocks.push({
+          type: 'video',
+          media_url: best.url,
+          thumbnail: firstString(Object.values(videoList).map((e) => e?.thumbnail)) || coverImage,
+          duration: renditions.find((r) => r.duration)?.duration ?? null,
+          renditions,
+        });
+        continue;
+      }
+
+      const images = block.image?.images ?? block.image;
+      const imageUrl = pickBestImage(images);
+      if (imageUrl) {
+        blocks.push({ type: 'image', media_url: imageUrl, renditions: listImageRenditions(images) });
+        continue;
+      }
+
+      if (typeof block.text === 'string' && block.text.trim()) {
+        const blockType = String(block.type || '');
+        const style = blockType.includes('heading')
+          ? 'heading'
+          : blockType.includes('paragraph') ? 'paragraph' : 'text';
+        blocks.push({ type: 'text', text: block.text.trim(), style });
+      }
+    }
+
+    if (!blocks.some((b) => b.type !== 'text')) continue;
+
+    const durations = blocks.map((b) => b.duration).filter(Boolean);
+    pages.push({
+      index: pages.length,
+      cover_image: coverImage,
+      duration: durations.length > 0 ? Math.max(...durations) : null,
+      blocks,
+    });
+  }
+  return pages;
+}
+
+/**
+ * Converts a carousel pin's `carousel_data` into one slide per slot:
+ *   { index, id, media_url, title, description, link, renditions }
+ * Returns [] when the pin is not a carousel.
+ */
+function carouselToSlides(carouselData) {
+  const slots = carouselData?.carousel_slots;
+  if (!Array.isArray(slots)) return [];
+
+  const text = (v) => (typeof v === 'string' && v.trim() ? v.trim() : null);
+  const slides = [];
+  for (const slot of slots) {
+    const imageUrl = pickBestImage(slot?.images);
+    if (!imageUrl) continue;
+    slides.push({
+      index: slides.length,
+      id: slot.id != null ? String(slot.id) : null,
+      media_url: imageUrl,
+      title: text(slot.title),
+      description: text(slot.description),
+      link: text(slot.link),
+      renditions: listImageRenditions(slot.images),
+    });
+  }
+  return slides;
+}
+
+/**
+ * Converts a Pinterest pin object to our standard media shape.
+ * Handles four pin formats:
+ *   1. Regular video pin  — pin.videos.video_list
+ *   2. Idea / Story pin   — pin.story_pin_data.pages[].blocks[]  → type "story"
+ *   3. Carousel pin       — pin.carousel_data.carousel_slots[]   → type "carousel"
+ *   4. Image / GIF pin    — pin.images
+ * Video pins with no MP4 in any video_list fall back to their HLS playlist.
+ */
+function pinObjectToMedia(pin) {
+  if (!pin || typeof pin !== 'object') return null;
+
+  const title = (typeof pin.title === 'string' && pin.title.trim())
+    ? pin.title.trim()
+    : (typeof pin.description === 'string' && pin.description.trim())
+      ? pin.description.trim().slice(0, 120)
+      : 'Pinterest';
+
+  const thumbnail = pickBestImage(pin.images) || null;
+  const imageRenditions = listImageRenditions(pin.images);
+
+  // --- Format 1: regular video pin (pin.videos.video_list) ---
+  const videoList = pin.videos?.video_list;
+  if (videoList) {
+    const best = pickBestVideo(videoList);
+    if (best) {
+      const renditions = [...listVideoRenditions(videoList), ...imageRenditions];
+      return { type: 'video', media_url: best.url, thumbnail, title, renditions };
+    }
+  }
+
+  // --- Format 2: Idea Pin / Story Pin (pin.story_pin_data) ---
+  // Every page is kept, in order, with its video/image/text blocks
+  const pages = storyPinToPages(pin.story_pin_data);
+  if (pages.length > 0) {
+    const firstMedia = pages.flatMap((p) => p.blocks).find((b) => b.media_url);
+    return {
+      type: 'story',
+      media_url: firstMedia.media_url,
+      thumbnail: thumbnail || pages[0].cover_image,
+      title,
+      renditions: imageRenditions,
+      pages,
+    };
+  }
+
+  // --- Format 3: Carousel pin (pin.carousel_data.carousel_slots) ---
+  const slides = carouselToSlides(pin.carousel_data);
+  if (slides.length > 0) {
+    return {
+      type: 'carousel',
+      media_url: slides[0].media_url,
+      thumbnail: thumbnail || slides[0].media_url,
+      title,
+      renditions: imageRenditions,
+      slides,
+    };
+  }
+
+  // --- Format 4: use deepFind as last resort for any video_list anywhere in pin ---
+  const videoLists = deepFind(pin, 'video_list');
+  for (const vl of videoLists) {
+    const best = pickBestVideo(vl);
+    if (best) {
+      const renditions = [...listVideoRenditions(vl), ...imageRenditions];
+      return { type: 'video', media_url: best.url, thumbnail, title, renditions };
+    }
+  }
+
+  // --- Format 5: HLS-only video — the playlist can be fetched via GET /api/download ---
+  for (const vl of videoLists) {
+    const hls = pickHlsVideo(vl);
+    if (hls) {
+      const renditions = [...listVideoRenditions(vl), ...imageRenditions];
+      return { type: 'video', media_url: hls.url, thumbnail, title, renditions };
+    }
+  }
+
+  // --- Image / GIF pin ---
+  if (thumbnail) {
+    const type = thumbnail.toLowerCase().endsWith('.gif') ? 'gif' : 'image';
+    return { type, media_url: thumbnail, thumbnail, title, renditions: imageRenditions };
+  }
+
+  return null;
+}
+
+/**
+ * Reads `key` from a Pinterest object in either naming style: snake_case
+ * (PinResource / Redux / PWS) or the camelCase the Relay (GraphQL) payload
+ * uses for the same field.
+ */
+function pinField(obj, key) {
+  if (!obj || typeof obj !== 'object') return undefined;
+  return obj[key] ?? obj[key.replace(/_([a-z])/g, (_, c) => c.toUpperCase())];
+}
+
+/**
+ * Collects the descriptive metadata of a pin object:
+ *   {
+ *     description, alt_text, created_at (ISO 8601), dominant_color,
+ *     link, domain, hashtags: string[],
+ *     pinner: { username, full_name, avatar_url } | null,
+ *     board:  { name, url } | null,
+ *     counts: { saves, repins, comments, reactions },
+ *     video:  { duration (ms), width, height } | null,
+ *   }
+ * Fields the pin does not carry are null. Works on snake_case and Relay
+ * camelCase pin objects alike, so every strategy reports the same shape.
+ */
+function pinObjectToMetadata(pin) {
+  if (!pin || typeof pin !== 'object') return null;
+
+  const text = (v) => (typeof v === 'string' && v.trim() ? v.trim() : null);
+  const count = (v) => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+
+  const description = text(pinField(pin, 'description')) ?? text(pinField(pin, 'closeup_unified_description'));
+
+  const createdAt = new Date(pinField(pin, 'created_at') ?? NaN);
+
+  const link = text(pinField(pin, 'link'));
+  let domain = text(pinField(pin, 'domain'));
+  if (!domain && link) {
+    try {
+      domain = new URL(link).hostname.replace(/^www\./, '');
+    } catch (_) { /* not an absolute URL */ }
+  }
+
+  const rawHashtags = pinField(pin, 'hashtags');
+  const hashtags = [...new Set(
+    (Array.isArray(rawHashtags) && rawHashtags.length > 0
+      ? rawHashtags.filter((h) => typeof h === 'string').map((h) => (h.startsWith('#') ? h : `#${h}`))
+      : (description || '').match(/#[\p{L}\p{N}_]+/gu) || []),
+  )];
+
+  const rawPinner = pinField(pin, 'pinner') ?? pinField(pin, 'origin_pinner');
+  const pinner = rawPinner && typeof rawPinner === 'object'
+    ? {
+      username: text(pinField(rawPinner, 'username')),
+      full_name: text(pinField(rawPinner, 'full_name')),
+      avatar_url: text(pinField(rawPinner, 'image_medium_url')) ??
+        text(pinField(rawPinner, 'image_small_url')) ??
+        text(pinField(rawPinner, 'image_xlarge_url')),
+    }
+    : null;
+
+  const rawBoard = pinField(pin, 'board');
+  const boardPath = text(pinField(rawBoard, 'url'));
+  const board = rawBoard && typeof rawBoard === 'object'
+    ? {
+      name: text(pinField(rawBoard, 'name')),
+      url: boardPath && boardPath.startsWith('/') ? `https://www.pinterest.com${boardPath}` : boardPath,
+    }
+    : null;
+
+  const aggregated = pinField(pin, 'aggregated_pin_data');
+  const reactionCounts = pinField(pin, 'reaction_counts');
+  const reactions = count(pinField(pin, 'total_reaction_count')) ??
+    (reactionCounts && typeof reactionCounts === 'object'
+      ? Object.values(reactionCounts).reduce((sum, n) => sum + (Number(n) || 0), 0)
+      : null);
+
+  // Video details come from the best MP4 entry (regular or Idea Pin video)
+  const videoList = pinField(pinField(pin, 'videos'), 'video_list') ??
+    deepFind(pinField(pin, 'story_pin_data'), 'video_list')[0];
+  const best = pickBestVideo(videoList);
+  const bestEntry = best && Object.values(videoList).find((e) => e?.url === best.url);
+  const video = bestEntry
+    ? { duration: count(bestEntry.duration), width: count(bestEntry.width), height: count(bestEntry.height) }
+    : null;
+
+  return {
+    description,
+    alt_text: text(pinField(pin, 'alt_text')) ?? text(pinField(pin, 'auto_alt_text')),
+    created_at: Number.isNaN(createdAt.getTime()) ? null : createdAt.toISOString(),
+    dominant_color: text(pinField(pin, 'dominant_color')),
+    link,
+    domain,
+    hashtags,
+    pinner,
+    board,
+    counts: {
+      saves: count(pinField(pinField(aggregated, 'aggregated_stats'), 'saves')) ?? count(pinField(pin, 'save_count')),
+      repins: count(pinField(pin, 'repin_count')),
+      comments: count(pinField(pin, 'comment_count')) ?? count(pinField(aggregated, 'comment_count')),
+      reactions,
+    },
+    video,
+  };
+}
+
+/**
+ * Adds `metadata` (see pinObjectToMetadata) to a strategy result.
+ * Passes null through, so strategies can wrap their return values.
+ */
+function withMetadata(media, pin) {
+  return media ? { ...media, metadata: pinObjectToMetadata(pin) } : null;
+}
+
+/**
+ * Converts a raw pin from a Pinterest feed into the versioned media object
+ * of toResponse(), tagged with its pin ID and canonical URL. Returns null
+ * for feed entries that are not pins (ads, story modules) or carry no media.
+ */
+function feedPinToMedia(pin) {
+  if (!pin || typeof pin !== 'object' || (pin.type && pin.type !== 'pin')) return null;
+  const media = pinObjectToMedia(pin);
+  if (!media || !pin.id) return null;
+  return { id: String(pin.id), url: `https://www.pinterest.com/pin/${pin.id}/`, ...toResponse(media) };
+}
+
+// ---------------------------------------------------------------------------
+// Captured media (browser engine)
+// ---------------------------------------------------------------------------
+
+/**
+ * From a list of captured MP4 URLs, picks one under `prefs` like any other
+ * rendition. Pinterest encodes quality in the path (e.g. /1080P/, /720P/).
+ */
+function pickBestCapturedUrl(urls, prefs = DEFAULT_PREFERENCES) {
+  return selectVideo(listCapturedRenditions(urls), prefs)?.url ?? null;
+}
+
+/**
+ * Describes every captured MP4 URL as a rendition, reading the height from
+ * the quality segment in the path where there is one (e.g. /720p/). Tallest
+ * first; among URLs of unknown height, longer (more specific) paths first.
+ */
+function listCapturedRenditions(urls) {
+  return urls
+    .map((url) => {
+      const m = url.match(/\/(\d{3,4})p?\//i);
+      return {
+        kind: 'video',
+        quality: m ? `${m[1]}P` : null,
+        url,
+        width: null,
+        height: m ? Number(m[1]) : null,
+        container: 'mp4',
+        bitrate: null,
+        duration: null,
+      };
+    })
+    .sort((a, b) => (b.height ?? 0) - (a.height ?? 0) || b.url.length - a.url.length);
+}
+
+/**
+ * Builds the media shape from what the browser engine saw when no pin JSON
+ * had a usable video: MP4 URLs requested from the video CDN, plus the page's
+ * og:image and title. Falls back to the og:image as an image / GIF pin;
+ * returns null when there is neither.
+ *
+ * @param {{ videoUrls: string[], thumbnail: string|null, title: string }} captured
+ */
+function capturedToMedia({ videoUrls, thumbnail, title }) {
+  const thumbnailRenditions = thumbnail ? [imageRenditionFromUrl(thumbnail)] : [];
+
+  if (videoUrls.length > 0) {
+    return {
+      type: 'video',
+      media_url: pickBestCapturedUrl(videoUrls),
+      thumbnail,
+      title,
+      renditions: [...listCapturedRenditions(videoUrls), ...thumbnailRenditions],
+    };
+  }
+
+  if (thumbnail) {
+    const type = thumbnail.toLowerCase().endsWith('.gif') ? 'gif' : 'image';
+    return { type, media_url: thumbnail, thumbnail, title, renditions: thumbnailRenditions };
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Responses
+// ---------------------------------------------------------------------------
+
+/**
+ * True when a result is an MP4 video or an Idea / Story or carousel pin —
+ * nothing another engine could improve on. HLS-only videos and images are
+ * not complete.
+ */
+function isComplete(media) {
+  if (!media) return false;
+  if (MULTI_ITEM_TYPES.includes(media.type)) return true;
+  return media.type === 'video' && containerFromUrl(media.media_url) !== 'hls';
+}
+
+/**
+ * Lists what a rendition set offers, for the 422 of an unsatisfiable
+ * preference: { video: [{ quality, width, height, container }], image: [...] }.
+ */
+function describeRenditions(renditions) {
+  const describe = (r) => ({
+    quality: r.quality,
+    width: r.width ?? null,
+    height: r.kind === 'video' ? renditionHeight(r) : r.height ?? null,
+    container: r.container,
+  });
+  return {
+    video: renditions.filter((r) => r.kind === 'video').map(describe),
+    image: renditions.filter((r) => r.kind === 'image').map(describe),
+  };
+}
+
+/**
+ * Re-picks `media_url` of an extraction result under client preferences
+ * (see DEFAULT_PREFERENCES) from the renditions it already lists, so cached
+ * results honour them too. Applies to the pin itself, or to every video /
+ * image block of an Idea / Story pin and every carousel slide.
+ *
+ * Video preferences (max_height, prefer, format) only touch videos and
+ * image preferences (image_size, prefer) only touch images; with none set
+ * the result is returned as is. Throws a 422 carrying `available` (see
+ * describeRenditions) when an item has no rendition that qualifies.
+ */
+function applyPreferences(media, prefs = DEFAULT_PREFERENCES) {
+  const videoPrefs = Boolean(prefs.max_height || prefs.prefer || prefs.format);
+  const imagePrefs = Boolean(prefs.image_size || prefs.prefer);
+  if (!videoPrefs && !imagePrefs) return media;
+
+  const choose = (item, kind) => {
+    if (kind === 'video' ? !videoPrefs : !imagePrefs) return item;
+    const renditions = item.renditions || [];
+    // Without an explicit format an HLS playlist is still acceptable when no MP4 qualifies
+    const chosen = kind === 'video'
+      ? selectVideo(renditions, prefs) ?? (prefs.format ? null : selectVideo(renditions, { ...prefs, format: 'hls' }))
+      : selectImage(renditions, prefs);
+    if (!chosen) {
+      throw Object.assign(
+        new Error('No rendition of this pin matches the requested quality preferences.'),
+        { statusCode: 422, available: describeRenditions(renditions) },
+      );
+    }
+    return { ...item, media_url: chosen.url };
+  };
+
+  if (media.pages) {
+    const pages = media.pages.map((page) => ({
+      ...page,
+      blocks: page.blocks.map((block) => (block.type === 'text' ? block : choose(block, block.type))),
+    }));
+    const first = pages.flatMap((p) => p.blocks).find((b) => b.media_url);
+    return { ...media, pages, media_url: first.media_url };
+  }
+  if (media.slides) {
+    const slides = media.slides.map((slide) => choose(slide, 'image'));
+    return { ...media, slides, media_url: slides[0].media_url };
+  }
+  return choose(media, media.type === 'video' ? 'video' : 'image');
+}
+
+/**
+ * Shapes an extraction result (from either engine, fresh or cached) into the
+ * versioned media object every extraction endpoint returns:
+ *   { schema_version, type, media_url, thumbnail, title, renditions,
+ *     pages?, slides?, hls?, metadata?, verification?, cached? }
+ *
+ * `metadata` is kept only when requested (`include` from validateInclude)
+ * and is then always present, null when it could not be read (e.g. results
+ * cached before it existed). `verification` is present when the result went
+ * through verifyMedia. Internal fields such as `video_signals` are dropped.
+ */
+function toResponse(media, include = {}) {
+  return {
+    schema_version: SCHEMA_VERSION,
+    type: media.type,
+    media_url: media.media_url,
+    thumbnail: media.thumbnail ?? null,
+    title: media.title,
+    renditions: media.renditions || [],
+    ...(media.pages && { pages: media.pages }),
+    ...(media.slides && { slides: media.slides }),
+    ...(media.hls && { hls: media.hls }),
+    ...(include.metadata && { metadata: media.metadata ?? null }),
+    ...(media.verification && { verification: media.verification }),
+    ...(media.cached !== undefined && { cached: media.cached }),
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  VIDEO_QUALITY_PREFERENCE,
+  IMAGE_SIZE_PREFERENCE,
+  MULTI_ITEM_TYPES,
+  DEFAULT_PREFERENCES,
+  deepFind,
+  deepFindOwners,
+  videoCandidates,
+  imageCandidates,
+  selectVideo,
+  selectImage,
+  pickBestVideo,
+  pickBestImage,
+  pickBestCapturedUrl,
+  containerFromUrl,
+  listVideoRenditions,
+  listImageRenditions,
+  imageRenditionFromUrl,
+  firstString,
+  pinObjectToMedia,
+  pinObjectToMetadata,
+  withMetadata,
+  feedPinToMedia,
+  capturedToMedia,
+  isComplete,
+  applyPreferences,
+  toResponse,
+};
@@ -2,6 +2,23 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { listHlsVariants } = require('./hls');
+const {
+  deepFind,
+  deepFindOwners,
+  pickBestVideo,
+  pickBestImage,
+  containerFromUrl,
+  listVideoRenditions,
+  listImageRenditions,
+  imageRenditionFromUrl,
+  firstString,
+  pinObjectToMedia,
+  withMetadata,
+  isComplete,
+  selectVideo,
+  DEFAULT_PREFERENCES,
+} = require('./normalize');
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -34,18 +51,14 @@ const BROWSER_HEADERS = {
 };
 
 /**
- * Preferred video qualities, highest first. Pinterest uses these keys inside
- * the `video_list` object.
+ * Pinterest's feed resources cap page_size at 25 and signal the last page
+ * with this sentinel bookmark.
  */
-const VIDEO_QUALITY_PREFERENCE = [
-  'V_1080P',
-  'V_720P',
-  'V_480P',
-  'V_240P',
-  'V_EXP7',
-  'V_EXP6',
-  'V_EXP5',
-];
+const FEED_PAGE_SIZE = 25;
+const FEED_END_BOOKMARK = '-end-';
+
+// Redirect hops followed when resolving a short link
+const MAX_REDIRECTS = 10;
 
 // ---------------------------------------------------------------------------
 // HTTP helpers
@@ -53,33 +66,100 @@ const VIDEO_QUALITY_PREFERENCE = [
 
 /**
  * Follows redirects to resolve a pin.it short URL to its canonical form.
+ *
+ * Each hop is a HEAD request (falling back to a GET whose body is never
+ * read when a server refuses HEAD), and resolution stops as soon as a
+ * redirect lands on a /pin/<id>/ URL, so the pin page itself is never
+ * downloaded. Pin URLs come back as https://www.pinterest.com/pin/<id>/;
+ * short links to boards or profiles return the final URL as-is.
+ *
+ * Throws a 404 when the short link does not exist, 502 on other failures.
  */
 async function resolveShortUrl(url) {
+  const fail = (message, statusCode) =>
+    Object.assign(new Error(`Unable to resolve short URL (${url}): ${message}`), { statusCode });
+
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const pinId = hop > 0 && /^https?:\/\/([a-z0-9-]+\.)*pinterest\./i.test(current) && extractPinId(current);
+    if (pinId) return `https://www.pinterest.com/pin/${pinId}/`;
+
+    let res;
+    try {
+      res = await requestHop('head', current);
+      if ([403, 405, 501].includes(res.status)) res = await requestHop('get', current);
+    } catch (err) {
+      throw fail(err.message, err.code === 'ECONNABORTED' ? 504 : 502);
+    }
+
+    if (res.status >= 300 && res.status < 400 && res.headers.location) {
+      current = new URL(res.headers.location, current).href;
+      continue;
+    }
+    if (res.status === 404 || res.status === 410) throw fail('short link not found', 404);
+    if (res.status >= 400) throw fail(`HTTP ${res.status}`, 502);
+    return current;
+  }
+
+  throw fail('too many redirects', 502);
+}
+
+/**
+ * One redirect hop for resolveShortUrl: a HEAD, or a GET whose body is
+ * discarded unread. Redirects are returned, not followed.
+ */
+async function requestHop(method, url) {
+  const res = await axios.request({
+    method,
+    url,
+    headers: BROWSER_HEADERS,
+    maxRedirects: 0,
+    timeout: 15_000,
+    responseType: 'stream',
+    validateStatus: () => true,
+  });
+  res.data?.destroy?.();
+  return res;
+}
+
+/**
+ * Runs an axios request and, when `onResponse` is given, reports
+ *   { name, status, bytes, duration_ms, error? }
+ * for it whether it succeeds or fails (see createTrace). `bytes` is the
+ * size of the decoded body.
+ */
+async function observeRequest(name, onResponse, request) {
+  if (!onResponse) return request();
+
+  const started = Date.now();
   try {
-    const res = await axios.get(url, {
-      headers: BROWSER_HEADERS,
-      maxRedirects: 10,
-      timeout: 15_000,
-      // Accept any 2xx/3xx status — we want the final URL after redirects
-      validateStatus: (s) => s < 400,
-    });
-    // axios exposes the final URL after following redirects
-    return res.request?.res?.responseUrl || res.config?.url || url;
+    const res = await request();
+    const body = typeof res.data === 'string' ? res.data : JSON.stringify(res.data ?? '');
+    onResponse({ name, status: res.status, bytes: Buffer.byteLength(body), duration_ms: Date.now() - started });
+    return res;
   } catch (err) {
-    throw new Error(`Unable to resolve short URL (${url}): ${err.message}`);
+    onResponse({
+      name,
+      status: err.response?.status ?? null,
+      bytes: null,
+      duration_ms: Date.now() - started,
+      error: err.message,
+    });
+    throw err;
   }
 }
 
 /**
  * GETs a Pinterest pin page and returns the raw HTML string plus any
  * session cookies set by Pinterest (needed to authenticate API calls).
+ * `onResponse` receives the request's diagnostics (see observeRequest).
  */
-async function fetchPage(url) {
-  const res = await axios.get(url, {
+async function fetchPage(url, { onResponse } = {}) {
+  const res = await observeRequest('page', onResponse, () => axios.get(url, {
     headers: BROWSER_HEADERS,
     timeout: 20_000,
     maxRedirects: 10,
-  });
+  }));
 
   // Collect cookies from Set-Cookie response headers so we can replay them
   // in subsequent API calls (Pinterest's /resource/ endpoints need a valid
@@ -90,83 +170,37 @@ async function fetchPage(url) {
   return { html: res.data, cookies };
 }
 
-// ---------------------------------------------------------------------------
-// JSON extraction helpers
-// ---------------------------------------------------------------------------
-
 /**
- * Recursively walks `obj` collecting every value stored under `key`.
- * Returns an array of matches (may be empty).
+ * Opens a Pinterest session on `url` and returns the `{ cookies, referer }`
+ * pair that fetchResource() replays, for callers that only need the API.
  */
-function deepFind(obj, key, _seen = new WeakSet()) {
-  const results = [];
-  if (typeof obj !== 'object' || obj === null) return results;
-  // Guard against circular references
-  if (_seen.has(obj)) return results;
-  _seen.add(obj);
-
-  if (Object.prototype.hasOwnProperty.call(obj, key)) {
-    results.push(obj[key]);
-  }
-  for (const val of Object.values(obj)) {
-    if (typeof val === 'object' && val !== null) {
-      results.push(...deepFind(val, key, _seen));
-    }
-  }
-  return results;
+async function openSession(url) {
+  const { cookies } = await fetchPage(url);
+  return { cookies, referer: url };
 }
 
-/**
- * Picks the best (highest-quality) MP4 URL from a Pinterest `video_list` map.
- * Returns { url, width?, height? } or null.
- */
-function pickBestVideo(videoList) {
-  if (!videoList || typeof videoList !== 'object') return null;
-
-  for (const quality of VIDEO_QUALITY_PREFERENCE) {
-    const entry = videoList[quality];
-    if (entry?.url && !entry.url.includes('.m3u8')) {
-      return { url: entry.url, width: entry.width, height: entry.height };
-    }
-  }
-
-  // Fallback: grab the first non-HLS URL we find
-  for (const entry of Object.values(videoList)) {
-    if (entry?.url && !entry.url.includes('.m3u8')) {
-      return { url: entry.url };
-    }
-  }
-  return null;
-}
+// ---------------------------------------------------------------------------
+// Data extraction strategies
+// ---------------------------------------------------------------------------
 
 /**
- * Picks the best still-image URL from a Pinterest `images` map.
- * Pinterest key order: orig > 736x > 474x > 236x
+ * Parses the JSON of a `window.__PWS_INITIAL_DATA__ = {…};` /
+ * `__PWS_DATA__ = {…}` script. Returns null when `src` has none.
  */
-function pickBestImage(images) {
-  if (!images || typeof images !== 'object') return null;
-  const preferredKeys = ['orig', '736x', '600x315', '474x', '236x', '170x'];
-  for (const k of preferredKeys) {
-    if (images[k]?.url) return images[k].url;
-  }
-  // Last resort: grab any url present
-  for (const val of Object.values(images)) {
-    if (val?.url) return val.url;
+function parsePwsAssignment(src) {
+  // Find the position right after the first `=` that follows the key name
+  const assignIdx = src.search(/(__PWS_INITIAL_DATA__|__PWS_DATA__)\s*=/);
+  if (assignIdx === -1) return null;
+
+  const eqIdx = src.indexOf('=', assignIdx);
+  const jsonStr = src.slice(eqIdx + 1).trim().replace(/;[\s\S]*$/, ''); // strip trailing ;…
+  try {
+    return JSON.parse(jsonStr);
+  } catch (_) {
+    return null;
   }
-  return null;
 }
 
-/**
- * Extracts the first non-empty string from an array (used for titles).
- */
-function firstString(arr, fallback = '') {
-  return arr.find((v) => typeof v === 'string' && v.trim().length > 0) || fallback;
-}
-
-// ---------------------------------------------------------------------------
-// Data extraction strategies
-// ---------------------------------------------------------------------------
-
 /**
  * Strategy 1 — Parse `__PWS_INITIAL_DATA__` / `__PWS_DATA__` JSON that
  * Pinterest embeds in the page for server-side rendering.
@@ -174,8 +208,10 @@ function firstString(arr, fallback = '') {
  * Pinterest may embed this in two forms:
  *   a) <script id="__PWS_DATA__">{…}</script>
  *   b) <script>window.__PWS_INITIAL_DATA__ = {…};</script>
+ *
+ * Like every strategy, calls `note(reason)` to explain a null result.
  */
-function extractFromPWSData(html, $) {
+function extractFromPWSData(html, $, note = () => {}) {
   let data = null;
 
   // (a) Inline JSON as the entire script body
@@ -189,23 +225,26 @@ function extractFromPWSData(html, $) {
   // (b) window assignment pattern
   if (!data) {
     $('script').each((_, el) => {
-      if (data) return false; // already found — cheerio break
-      const src = $(el).html() || '';
-      if (!src.includes('__PWS_INITIAL_DATA__') && !src.includes('__PWS_DATA__')) return;
+      data = parsePwsAssignment($(el).html() || '');
+      if (data) return false; // found — cheerio break
+    });
+  }
 
-      // Find the position right after the first `=` that follows the key name
-      const assignIdx = src.search(/(__PWS_INITIAL_DATA__|__PWS_DATA__)\s*=/);
-      if (assignIdx === -1) return;
+  if (!data) {
+    note('no parseable __PWS_DATA__ / __PWS_INITIAL_DATA__ JSON in the page');
+    return null;
+  }
 
-      const eqIdx = src.indexOf('=', assignIdx);
-      const jsonStr = src.slice(eqIdx + 1).trim().replace(/;[\s\S]*$/, ''); // strip trailing ;…
-      try {
-        data = JSON.parse(jsonStr);
-      } catch (_) { /* move on */ }
-    });
+  // --- Idea / Story and carousel pins: keep every page / slide ---
+  for (const [key, type] of [['story_pin_data', 'story'], ['carousel_data', 'carousel']]) {
+    for (const pin of deepFindOwners(data, key)) {
+      const result = pinObjectToMedia(pin);
+      if (result?.type === type) return withMetadata(result, pin);
+    }
   }
 
-  if (!data) return null;
+  // The pin object itself, for metadata (the media below is found by key)
+  const pinObject = deepFindOwners(data, 'pinner').find((o) => o.id) ?? null;
 
   // --- search for video data ---
   const videoLists = deepFind(data, 'video_list');
@@ -216,14 +255,19 @@ function extractFromPWSData(html, $) {
     // Find associated thumbnail
     const allImages = deepFind(data, 'images');
     let thumbnail = null;
+    let imageRenditions = [];
     for (const img of allImages) {
       thumbnail = pickBestImage(img);
-      if (thumbnail) break;
+      if (thumbnail) {
+        imageRenditions = listImageRenditions(img);
+        break;
+      }
     }
 
     const title = firstString(deepFind(data, 'title'), 'Pinterest Video');
+    const renditions = [...listVideoRenditions(vl), ...imageRenditions];
 
-    return { type: 'video', media_url: best.url, thumbnail, title };
+    return withMetadata({ type: 'video', media_url: best.url, thumbnail, title, renditions }, pinObject);
   }
 
   // --- fall back to image data ---
@@ -235,9 +279,12 @@ function extractFromPWSData(html, $) {
     const title = firstString(deepFind(data, 'title'), 'Pinterest Image');
     const type = imageUrl.toLowerCase().endsWith('.gif') ? 'gif' : 'image';
 
-    return { type, media_url: imageUrl, thumbnail: imageUrl, title };
+    return withMetadata({
+      type, media_url: imageUrl, thumbnail: imageUrl, title, renditions: listImageRenditions(img),
+    }, pinObject);
   }
 
+  note(`__PWS_DATA__ found, but none of its ${videoLists.length} video lists or ${allImages.length} image sets had a usable URL`);
   return null;
 }
 
@@ -253,7 +300,7 @@ function extractFromPWSData(html, $) {
  *   a) initialReduxState.pins[pinId]          — direct pin object
  *   b) initialReduxState.resources.PinResource — cached API response
  */
-function extractFromReduxState($) {
+function extractFromReduxState($, note = () => {}) {
   let reduxState = null;
 
   $('script:not([src])').each((_, el) => {
@@ -269,14 +316,17 @@ function extractFromReduxState($) {
     } catch (_) { /* not valid JSON, skip */ }
   });
 
-  if (!reduxState) return null;
+  if (!reduxState) {
+    note('no inline script with parseable initialReduxState');
+    return null;
+  }
 
   // --- path (a): initialReduxState.pins ---
   const pins = reduxState.pins;
   if (pins && typeof pins === 'object' && !Array.isArray(pins)) {
     for (const pin of Object.values(pins)) {
       const result = pinObjectToMedia(pin);
-      if (result) return result;
+      if (result) return withMetadata(result, pin);
     }
   }
 
@@ -287,71 +337,66 @@ function extractFromReduxState($) {
       // Each entry may be { status, data } or the pin object directly
       const pin = entry?.data ?? entry;
       const result = pinObjectToMedia(pin);
-      if (result) return result;
+      if (result) return withMetadata(result, pin);
     }
   }
 
+  const pinCount = pins && typeof pins === 'object' ? Object.keys(pins).length : 0;
+  const resourceCount = pinResource && typeof pinResource === 'object' ? Object.keys(pinResource).length : 0;
+  note(`initialReduxState found, but none of its ${pinCount} pins / ${resourceCount} PinResource entries had media`);
   return null;
 }
 
 /**
- * Converts a Pinterest pin object to our standard media shape.
- * Handles three pin formats:
- *   1. Regular video pin  — pin.videos.video_list
- *   2. Idea / Story pin   — pin.story_pin_data.pages[].blocks[].video.video_list
- *   3. Image / GIF pin    — pin.images
+ * Finds the objects for pin `pinId` in the JSON embedded in the page (bare
+ * JSON scripts such as initialReduxState / __PWS_DATA__, __PWS_DATA__
+ * assignments and Relay responses), matched on `id` or Relay's `entityId`.
+ * Related and recommended pins on the same page are left out.
  */
-function pinObjectToMedia(pin) {
-  if (!pin || typeof pin !== 'object') return null;
-
-  const title = (typeof pin.title === 'string' && pin.title.trim())
-    ? pin.title.trim()
-    : (typeof pin.description === 'string' && pin.description.trim())
-      ? pin.description.trim().slice(0, 120)
-      : 'Pinterest';
-
-  const thumbnail = pickBestImage(pin.images) || null;
-
-  // --- Format 1: regular video pin (pin.videos.video_list) ---
-  const videoList = pin.videos?.video_list;
-  if (videoList) {
-    const best = pickBestVideo(videoList);
-    if (best) return { type: 'video', media_url: best.url, thumbnail, title };
-  }
+function findPinObjects($, pinId) {
+  if (!pinId) return [];
 
-  // --- Format 2: Idea Pin / Story Pin (pin.story_pin_data) ---
-  // Pages → blocks → block.video.video_list
-  const pages = pin.story_pin_data?.pages;
-  if (Array.isArray(pages)) {
-    for (const page of pages) {
-      for (const block of (page?.blocks || [])) {
-        const storyVideoList = block?.video?.video_list ?? block?.block?.video?.video_list;
-        if (storyVideoList) {
-          const best = pickBestVideo(storyVideoList);
-          if (best) {
-            // Use page cover image as thumbnail if available
-            const storyThumb = pickBestImage(page?.image) || thumbnail;
-            return { type: 'video', media_url: best.url, thumbnail: storyThumb, title };
-          }
-        }
-      }
+  const blobs = [];
+  $('script:not([src])').each((_, el) => {
+    const src = ($(el).html() || '').trim();
+    let json = null;
+    if (src.startsWith('{')) {
+      try {
+        json = JSON.parse(src);
+      } catch (_) { /* not bare JSON */ }
     }
-  }
+    json ??= src.includes(RELAY_MARKER) ? parseRelayPayload(src) : parsePwsAssignment(src);
+    if (json) blobs.push(json);
+  });
 
-  // --- Format 3: use deepFind as last resort for any video_list anywhere in pin ---
-  const videoLists = deepFind(pin, 'video_list');
-  for (const vl of videoLists) {
-    const best = pickBestVideo(vl);
-    if (best) return { type: 'video', media_url: best.url, thumbnail, title };
-  }
+  return blobs
+    .flatMap((json) => [...deepFindOwners(json, 'id'), ...deepFindOwners(json, 'entityId')])
+    .filter((obj) => String(obj.id) === pinId || String(obj.entityId) === pinId);
+}
 
-  // --- Image / GIF pin ---
-  if (thumbnail) {
-    const type = thumbnail.toLowerCase().endsWith('.gif') ? 'gif' : 'image';
-    return { type, media_url: thumbnail, thumbnail, title };
-  }
+/**
+ * Lists the signs that a static result is really a video the extractor could
+ * not get an MP4 for, so `mode: "auto"` requests can retry in a browser:
+ *   hls_only         the only video found is an HLS playlist
+ *   is_video         the pin's own JSON object flags a video (is_video /
+ *                    isVideo); flags on related pins are ignored
+ *   video_meta_tags  the page declares a video in og:video / og:type /
+ *                    twitter:player tags
+ * Always empty for MP4 videos and for Idea / Story and carousel pins, which
+ * already carry every item. `$` is the parsed pin page.
+ */
+function detectVideoSignals(media, $, pinId) {
+  if (isComplete(media)) return [];
 
-  return null;
+  const signals = [];
+  if (media.type === 'video') signals.push('hls_only');
+  if (findPinObjects($, pinId).some((pin) => pin.is_video === true || pin.isVideo === true)) signals.push('is_video');
+
+  const ogType = $('meta[property="og:type"]').attr('content') || '';
+  const videoTags = $('meta[property^="og:video"], meta[name^="twitter:player"]').length > 0;
+  if (videoTags || /^video/i.test(ogType)) signals.push('video_meta_tags');
+
+  return signals;
 }
 
 /**
@@ -383,6 +428,36 @@ function findOriginalImageInHtml(html, ogImageUrl) {
   return match ? match[0] : null;
 }
 
+const RELAY_MARKER = '__PWS_RELAY_REGISTER_COMPLETED_REQUEST__("';
+
+/**
+ * Parses the JSON response (second argument) of a
+ * `__PWS_RELAY_REGISTER_COMPLETED_REQUEST__("<query>", {…});` script.
+ * Returns null when `src` has none.
+ */
+function parseRelayPayload(src) {
+  // Find where the first (URL-encoded) argument ends: look for `",` pattern
+  const markerIdx = src.indexOf(RELAY_MARKER);
+  if (markerIdx === -1) return null;
+  const firstArgEnd = src.indexOf('",', markerIdx + RELAY_MARKER.length);
+  if (firstArgEnd === -1) return null;
+
+  // Second argument starts right after `", ` (the comma-space separator)
+  const secondArgRaw = src.slice(firstArgEnd + 2);
+
+  // The second argument is a raw JSON object; it ends just before `});`
+  const closingIdx = secondArgRaw.lastIndexOf('});');
+  const jsonStr = closingIdx !== -1
+    ? secondArgRaw.slice(0, closingIdx + 1) // include the final `}`
+    : secondArgRaw.slice(0, secondArgRaw.lastIndexOf('}') + 1);
+
+  try {
+    return JSON.parse(jsonStr);
+  } catch (_) {
+    return null;
+  }
+}
+
 /**
  * Strategy 3 — Pinterest Relay (GraphQL) response scripts.
  *
@@ -397,7 +472,7 @@ function findOriginalImageInHtml(html, ogImageUrl) {
  *
  * We prefer direct MP4 over HLS, and higher resolution over lower.
  */
-function extractFromRelayScripts($) {
+function extractFromRelayScripts($, note = () => {}) {
   // Quality-specific MP4 keys (e.g. videoList720P.v720P.url)
   const MP4_QUALITY_KEYS = [
     'videoList1080P', 'videoList720P', 'videoList480P', 'videoList360P', 'videoList240P',
@@ -406,33 +481,19 @@ function extractFromRelayScripts($) {
   ];
   const HLS_KEYS = ['v_hlsv4_video_list', 'videoListMobile', 'videoList'];
 
-  const MARKER = '__PWS_RELAY_REGISTER_COMPLETED_REQUEST__("';
   let bestResult = null;
+  let scripts = 0;
+  let parsed = 0;
 
   $('script:not([src])').each((_, el) => {
     if (bestResult) return false;
     const src = $(el).html() || '';
-    if (!src.includes(MARKER)) return;
+    if (!src.includes(RELAY_MARKER)) return;
+    scripts++;
 
-    // Find where the first (URL-encoded) argument ends: look for `",` pattern
-    const markerIdx = src.indexOf(MARKER);
-    const firstArgEnd = src.indexOf('",', markerIdx + MARKER.length);
-    if (firstArgEnd === -1) return;
-
-    // Second argument starts right after `", ` (the comma-space separator)
-    const secondArgStart = firstArgEnd + 2;
-    const secondArgRaw = src.slice(secondArgStart);
-
-    // The second argument is a raw JSON object; it ends just before `});`
-    const closingIdx = secondArgRaw.lastIndexOf('});');
-    const jsonStr = closingIdx !== -1
-      ? secondArgRaw.slice(0, closingIdx + 1) // include the final `}`
-      : secondArgRaw.slice(0, secondArgRaw.lastIndexOf('}') + 1);
-
-    let json;
-    try {
-      json = JSON.parse(jsonStr);
-    } catch (_) { return; }
+    const json = parseRelayPayload(src);
+    if (!json) return;
+    parsed++;
 
     // Grab thumbnail and title from the response
     const thumbCandidates = deepFind(json, 'thumbnail');
@@ -444,35 +505,33 @@ function extractFromRelayScripts($) {
     const title =
       titleCandidates.find((t) => typeof t === 'string' && t.trim()) || 'Pinterest Video';
 
-    // Try MP4 keys first
-    for (const key of MP4_QUALITY_KEYS) {
-      const videoLists = deepFind(json, key);
-      for (const vl of videoLists) {
-        if (!vl || typeof vl !== 'object') continue;
-        for (const entry of Object.values(vl)) {
-          if (entry?.url && !entry.url.includes('.m3u8')) {
-            bestResult = { type: 'video', media_url: entry.url, thumbnail, title };
-            return false;
-          }
+    // Every video list in the response becomes a rendition, whichever wins
+    const renditions = [];
+    for (const key of new Set([...MP4_QUALITY_KEYS, ...HLS_KEYS])) {
+      for (const vl of deepFind(json, key)) {
+        for (const r of listVideoRenditions(vl)) {
+          if (!renditions.some((x) => x.url === r.url)) renditions.push(r);
         }
       }
     }
+    if (thumbnail) renditions.push(imageRenditionFromUrl(thumbnail));
 
-    // Fall back to HLS
-    for (const key of HLS_KEYS) {
-      const videoLists = deepFind(json, key);
-      for (const vl of videoLists) {
-        if (!vl || typeof vl !== 'object') continue;
-        for (const entry of Object.values(vl)) {
-          if (entry?.url) {
-            bestResult = { type: 'video', media_url: entry.url, thumbnail, title };
-            return false;
-          }
-        }
-      }
+    // The pin node (camelCase fields), for metadata
+    const pinNode = deepFindOwners(json, 'pinner')[0] ?? deepFindOwners(json, 'entityId')[0] ?? null;
+
+    // The best MP4, else an HLS playlist — chosen like every other video list
+    const best = selectVideo(renditions) ?? selectVideo(renditions, { ...DEFAULT_PREFERENCES, format: 'hls' });
+    if (best) {
+      bestResult = withMetadata({ type: 'video', media_url: best.url, thumbnail, title, renditions }, pinNode);
+      return false;
     }
   });
 
+  if (!bestResult) {
+    note(scripts === 0
+      ? 'no relay scripts in the page'
+      : `${scripts} relay scripts (${parsed} parseable), none with a video list`);
+  }
   return bestResult;
 }
 
@@ -482,7 +541,7 @@ function extractFromRelayScripts($) {
  * For video pins: og:video is often absent (video loads client-side),
  * so we return the best available image as the media URL.
  */
-function extractFromMetaTags($, html) {
+function extractFromMetaTags($, html, note = () => {}) {
   const get = (selectors) => {
     for (const sel of selectors) {
       const val = $(sel).attr('content');
@@ -509,23 +568,41 @@ function extractFromMetaTags($, html) {
     $('title').text().replace(' | Pinterest', '').trim() ||
     'Pinterest';
 
+  // Only the description is available here; other metadata fields stay null
+  const metaPin = {
+    description: get(['meta[property="og:description"]', 'meta[name="description"]']),
+  };
+
   if (videoUrl) {
     const thumbnail = ogImageUrl || null;
-    return { type: 'video', media_url: videoUrl, thumbnail, title };
+    const renditions = [{
+      kind: 'video',
+      quality: null,
+      url: videoUrl,
+      width: Number($('meta[property="og:video:width"]').attr('content')) || null,
+      height: Number($('meta[property="og:video:height"]').attr('content')) || null,
+      container: containerFromUrl(videoUrl),
+      bitrate: null,
+      duration: null,
+    }];
+    if (thumbnail) renditions.push(imageRenditionFromUrl(thumbnail));
+    return withMetadata({ type: 'video', media_url: videoUrl, thumbnail, title, renditions }, metaPin);
   }
 
   if (ogImageUrl) {
     // Try to get originals quality instead of 736x
     const originalsUrl = findOriginalImageInHtml(html, ogImageUrl) || upgradeImageQuality(ogImageUrl);
     const type = originalsUrl.toLowerCase().endsWith('.gif') ? 'gif' : 'image';
-    return { type, media_url: originalsUrl, thumbnail: ogImageUrl, title };
+    const renditions = [...new Set([originalsUrl, ogImageUrl])].map(imageRenditionFromUrl);
+    return withMetadata({ type, media_url: originalsUrl, thumbnail: ogImageUrl, title, renditions }, metaPin);
   }
 
+  note('no og:video / og:image / twitter:image meta tags');
   return null;
 }
 
 // ---------------------------------------------------------------------------
-// Pinterest internal API (Strategy 0)
+// Pinterest internal API (resource endpoints + Strategy 0)
 // ---------------------------------------------------------------------------
 
 /**
@@ -538,55 +615,119 @@ function extractPinId(url) {
 }
 
 /**
- * Strategy 0 — Pinterest's internal PinResource XHR API.
+ * GETs one of Pinterest's internal XHR resources and returns its
+ * `resource_response` object ({ data, bookmark, ... }) or null.
  *
- * Pinterest's own frontend fetches pin data (including video_list) via:
- *   GET /resource/PinResource/get/?data={"options":{"id":"PIN_ID",...}}
+ *   GET /resource/<Name>/get/?data={"options":{...},"context":{}}
  *
- * The endpoint requires the session cookies that Pinterest sets when the
- * page first loads (particularly csrftoken). We pass the cookies collected
- * during fetchPage() so this call is authenticated the same way a real
- * browser would be.
+ * The endpoints require the session cookies that Pinterest sets when a page
+ * first loads (particularly csrftoken, echoed back as X-CSRFToken). Pass the
+ * cookies collected during fetchPage() so the call is authenticated the same
+ * way a real browser would be.
  *
- * @param {string} pinId
- * @param {string} cookies  Raw "name=value; name2=value2" cookie string
+ * Throws on HTTP / network errors so callers can decide whether that is fatal.
+ *
+ * @param {string} resource  Resource name, e.g. "PinResource"
+ * @param {object} options   Resource-specific options
+ * @param {{ cookies?: string, referer?: string, onResponse?: Function }} [session]
+ *   `onResponse` receives the request's diagnostics (see observeRequest)
  */
-async function extractFromApi(pinId, cookies) {
+async function fetchResource(resource, options, { cookies = '', referer = 'https://www.pinterest.com/', onResponse } = {}) {
   // Extract CSRF token from the cookie string
-  const csrfMatch = (cookies || '').match(/csrftoken=([^;]+)/);
+  const csrfMatch = cookies.match(/csrftoken=([^;]+)/);
   const csrfToken = csrfMatch ? csrfMatch[1] : '';
 
-  const data = JSON.stringify({
-    options: { id: pinId, field_set_key: 'unauth_react' },
-    context: {},
-  });
+  const data = JSON.stringify({ options, context: {} });
 
   const apiUrl =
-    `https://www.pinterest.com/resource/PinResource/get/` +
+    `https://www.pinterest.com/resource/${resource}/get/` +
     `?data=${encodeURIComponent(data)}&_=${Date.now()}`;
 
-  let res;
+  const res = await observeRequest(resource, onResponse, () => axios.get(apiUrl, {
+    headers: {
+      ...BROWSER_HEADERS,
+      Accept: 'application/json, text/javascript, */*; q=0.01',
+      'X-Requested-With': 'XMLHttpRequest',
+      'X-CSRFToken': csrfToken,
+      Referer: referer,
+      Cookie: cookies,
+    },
+    timeout: 15_000,
+  }));
+
+  return res.data?.resource_response ?? null;
+}
+
+/**
+ * Fetches up to `limit` items from a bookmark-paginated Pinterest feed
+ * resource (BoardFeedResource, BaseSearchResource, ...).
+ *
+ * `cursor` is the bookmark returned by a previous call; the returned
+ * `cursor` is null once Pinterest reports the end of the feed. Pages are
+ * requested at exactly the remaining size so the cursor never skips items.
+ *
+ * @returns {Promise<{ items: object[], cursor: string | null }>}
+ */
+async function fetchFeed(resource, options, { session, cursor = null, limit = 25 } = {}) {
+  const items = [];
+  let bookmark = cursor;
+
+  while (items.length < limit) {
+    const pageSize = Math.min(limit - items.length, FEED_PAGE_SIZE);
+    const response = await fetchResource(
+      resource,
+      { ...options, page_size: pageSize, ...(bookmark && { bookmarks: [bookmark] }) },
+      session,
+    );
+
+    const data = response?.data;
+    // Search-style resources wrap the list as { results: [...] }
+    const page = Array.isArray(data) ? data : (data?.results || []);
+    items.push(...page.slice(0, pageSize));
+
+    bookmark = response?.bookmark ?? data?.bookmark ?? null;
+    if (!bookmark || bookmark === FEED_END_BOOKMARK || page.length === 0) {
+      bookmark = null;
+      break;
+    }
+  }
+
+  return { items, cursor: bookmark };
+}
+
+/**
+ * Strategy 0 — Pinterest's internal PinResource XHR API.
+ *
+ * Pinterest's own frontend fetches pin data (including video_list) via:
+ *   GET /resource/PinResource/get/?data={"options":{"id":"PIN_ID",...}}
+ *
+ * @param {string} pinId
+ * @param {string} cookies  Raw "name=value; name2=value2" cookie string
+ * @param {{ note?: Function, onResponse?: Function }} [diagnostics]  See createTrace()
+ */
+async function extractFromApi(pinId, cookies, { note = () => {}, onResponse } = {}) {
+  let response;
   try {
-    res = await axios.get(apiUrl, {
-      headers: {
-        ...BROWSER_HEADERS,
-        Accept: 'application/json, text/javascript, */*; q=0.01',
-        'X-Requested-With': 'XMLHttpRequest',
-        'X-CSRFToken': csrfToken,
-        Referer: `https://www.pinterest.com/pin/${pinId}/`,
-        Cookie: cookies || '',
-      },
-      timeout: 15_000,
-    });
-  } catch (_) {
+    response = await fetchResource(
+      'PinResource',
+      { id: pinId, field_set_key: 'unauth_react' },
+      { cookies: cookies || '', referer: `https://www.pinterest.com/pin/${pinId}/`, onResponse },
+    );
+  } catch (err) {
     // Non-fatal: fall through to HTML-based strategies
+    note(`PinResource request failed: ${err.message}`);
     return null;
   }
 
-  const pin = res.data?.resource_response?.data;
-  if (!pin) return null;
+  const pin = response?.data;
+  if (!pin) {
+    note('PinResource returned no pin data');
+    return null;
+  }
 
-  return pinObjectToMedia(pin);
+  const media = pinObjectToMedia(pin);
+  if (!media) note('PinResource pin has no video, image, story or carousel data');
+  return withMetadata(media, pin);
 }
 
 // ---------------------------------------------------------------------------
@@ -598,47 +739,156 @@ async function extractFromApi(pinId, cookies) {
  *
  * Given a Pinterest pin URL (full or short), returns:
  * {
- *   type: 'video' | 'image' | 'gif',
+ *   type: 'video' | 'image' | 'gif' | 'story' | 'carousel',
  *   media_url: string,
  *   thumbnail: string | null,
  *   title: string,
+ *   renditions: Array<{ kind, quality, url, width, height, container, ... }>,
  * }
  *
+ * `renditions` lists every video/image variant found for the pin (best first
+ * within each kind) so clients can pick a smaller file themselves. Idea /
+ * Story pins additionally carry `pages` (see storyPinToPages in normalize.js),
+ * carousel pins carry `slides` (see carouselToSlides). When the only video is an HLS
+ * stream, `media_url` is its playlist and `hls` describes it:
+ *   { playlist_url, downloadable, variants: [{ index, url, bandwidth, width, height, codecs, frame_rate, separate_audio }] }
+ * `downloadable` is false when every variant keeps its audio separate, which
+ * openHlsStream() cannot download; both are null when the playlist could
+ * not be read.
+ *
+ * `metadata` carries the pin's descriptive details (see pinObjectToMetadata);
+ * it is null when the winning strategy could not locate the pin object.
+ * Routes only return it for `include=metadata` requests.
+ *
+ * `video_signals` (see detectVideoSignals) is internal: POST /api/extract
+ * reads it in `mode: "auto"` and toResponse() drops it.
+ *
+ * Pass a `trace` from createTrace() to record every request and strategy.
+ *
  * Throws on failure.
  */
-async function extractPinterestMedia(url) {
+async function extractPinterestMedia(url, { trace = null } = {}) {
+  const media = await runStrategies(url, trace);
+
+  if (media.type === 'video' && containerFromUrl(media.media_url) === 'hls') {
+    const variants = await listHlsVariants(media.media_url).catch(() => null);
+    const downloadable = variants && variants.some((v) => !v.separate_audio);
+    return { ...media, hls: { playlist_url: media.media_url, downloadable, variants } };
+  }
+  return media;
+}
+
+// ---------------------------------------------------------------------------
+// Diagnostics
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates a recorder for one extraction, passed to extractPinterestMedia()
+ * for `debug=true` requests. `toJSON()` returns
+ *   {
+ *     url, pin_id, duration_ms,
+ *     requests:   [{ name, status, bytes, duration_ms, error? }],  page + PinResource calls
+ *     blobs:      { initial_redux_state, pws_data, relay_scripts },  JSON found in the page
+ *     strategies: [{ name, duration_ms, result, reason }],          in the order they ran
+ *   }
+ * where a strategy's `result` is the media type it returned (null when it
+ * found nothing) and `reason` explains a null result or a thrown error.
+ */
+function createTrace() {
+  const started = Date.now();
+  const data = { url: null, pin_id: null, duration_ms: null, requests: [], blobs: null, strategies: [] };
+
+  return {
+    onResponse: (entry) => data.requests.push(entry),
+
+    /** Records the page URL and pin ID being extracted. */
+    target(url, pinId) {
+      data.url = url;
+      data.pin_id = pinId;
+    },
+
+    /** Records which embedded JSON blobs the page HTML carries. */
+    page(html, $) {
+      const scripts = $('script:not([src])').toArray().map((el) => $(el).html() || '');
+      data.blobs = {
+        initial_redux_state: scripts.some((src) => src.trimStart().startsWith('{') && src.includes('initialReduxState')),
+        pws_data: $('#__PWS_DATA__').length > 0 || /__PWS_(INITIAL_)?DATA__\s*=/.test(html),
+        relay_scripts: scripts.filter((src) => src.includes('__PWS_RELAY_REGISTER_COMPLETED_REQUEST__')).length,
+      };
+    },
+
+    /** Runs `run(note)` as the named strategy, timing it and keeping its notes. */
+    async strategy(name, run) {
+      const entry = { name, duration_ms: null, result: null, reason: null };
+      data.strategies.push(entry);
+      const t0 = Date.now();
+      const notes = [];
+      try {
+        const result = await run((reason) => notes.push(reason));
+        entry.result = result?.type ?? null;
+        if (!result) entry.reason = notes.join('; ') || 'returned no media';
+        return result;
+      } catch (err) {
+        entry.reason = `threw: ${err.message}`;
+        throw err;
+      } finally {
+        entry.duration_ms = Date.now() - t0;
+      }
+    },
+
+    toJSON() {
+      return { ...data, duration_ms: Date.now() - started };
+    },
+  };
+}
+
+/**
+ * Runs the extraction strategies of extractPinterestMedia in order and
+ * returns the first result. Throws a 422 when none finds any media.
+ * Every step is recorded in `trace` when one is given (see createTrace).
+ */
+async function runStrategies(url, trace = null) {
+  const attempt = (name, run) => (trace ? trace.strategy(name, run) : run(() => {}));
+
   // 1. Resolve pin.it short links first
   if (/pin\.it\//i.test(url)) {
     url = await resolveShortUrl(url);
   }
 
   // 2. Fetch the pin page HTML + session cookies in one request
-  const { html, cookies } = await fetchPage(url);
-  const $ = cheerio.load(html);
   const pinId = extractPinId(url);
+  trace?.target(url, pinId);
+  const { html, cookies } = await fetchPage(url, { onResponse: trace?.onResponse });
+  const $ = cheerio.load(html);
+  trace?.page(html, $);
+
+  // Every result records its video signals (see detectVideoSignals)
+  const found = (media) => ({ ...media, video_signals: detectVideoSignals(media, $, pinId) });
 
   // 3. Strategy 0: Pinterest internal API (uses session cookies from step 2)
   //    This is the only reliable way to get video URLs for video pins.
-  if (pinId) {
-    const apiResult = await extractFromApi(pinId, cookies);
-    if (apiResult) return apiResult;
-  }
+  const apiResult = await attempt('api', (note) => {
+    if (pinId) return extractFromApi(pinId, cookies, { note, onResponse: trace?.onResponse });
+    note('no pin ID in the URL');
+    return null;
+  });
+  if (apiResult) return found(apiResult);
 
   // 4. Strategy 1: initialReduxState inline script (current Pinterest structure)
-  const reduxResult = extractFromReduxState($);
-  if (reduxResult) return reduxResult;
+  const reduxResult = await attempt('redux', (note) => extractFromReduxState($, note));
+  if (reduxResult) return found(reduxResult);
 
   // 5. Strategy 2: __PWS_DATA__ / __PWS_INITIAL_DATA__ (older Pinterest structure)
-  const pwsResult = extractFromPWSData(html, $);
-  if (pwsResult) return pwsResult;
+  const pwsResult = await attempt('pws', (note) => extractFromPWSData(html, $, note));
+  if (pwsResult) return found(pwsResult);
 
   // 6. Strategy 3: Relay (GraphQL) scripts — videoList720P / v_hlsv4_video_list
-  const relayResult = extractFromRelayScripts($);
-  if (relayResult) return relayResult;
+  const relayResult = await attempt('relay', (note) => extractFromRelayScripts($, note));
+  if (relayResult) return found(relayResult);
 
   // 7. Strategy 4: OG / Twitter meta tags (last resort fallback)
-  const metaResult = extractFromMetaTags($, html);
-  if (metaResult) return metaResult;
+  const metaResult = await attempt('meta_tags', (note) => extractFromMetaTags($, html, note));
+  if (metaResult) return found(metaResult);
 
   throw Object.assign(
     new Error(
@@ -649,4 +899,19 @@ async function extractPinterestMedia(url) {
   );
 }
 
-module.exports = { extractPinterestMedia, extractPinId, extractFromApi, fetchPage };
+module.exports = {
+  extractPinterestMedia,
+  createTrace,
+  detectVideoSignals,
+  extractPinId,
+  resolveShortUrl,
+  extractFromApi,
+  extractFromReduxState,
+  extractFromPWSData,
+  extractFromRelayScripts,
+  extractFromMetaTags,
+  fetchPage,
+  openSession,
+  fetchResource,
+  fetchFeed,
+};
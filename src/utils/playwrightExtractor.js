@@ -1,48 +1,30 @@
 'use strict';
 
-const { chromium } = require('playwright');
+const { getBrowserPool } = require('../browser');
 const { extractPinId, extractFromApi, fetchPage } = require('./pinterest');
+const {
+  pinObjectToMedia,
+  withMetadata,
+  pinObjectToMetadata,
+  capturedToMedia,
+  isComplete,
+} = require('./normalize');
 
 // ---------------------------------------------------------------------------
 // Constants
 // ---------------------------------------------------------------------------
 
-const VIDEO_QUALITY_PREFERENCE = [
-  'V_1080P', 'V_720P', 'V_480P', 'V_360P', 'V_240P',
-  'V_EXP7', 'V_EXP6', 'V_EXP5',
-];
-
-// ---------------------------------------------------------------------------
-// Helpers (mirrored from pinterest.js to keep this module self-contained)
-// ---------------------------------------------------------------------------
-
-function pickBestVideo(videoList) {
-  if (!videoList || typeof videoList !== 'object') return null;
-  for (const q of VIDEO_QUALITY_PREFERENCE) {
-    const entry = videoList[q];
-    if (entry?.url && !entry.url.includes('.m3u8')) {
-      return { url: entry.url, width: entry.width, height: entry.height };
-    }
-  }
-  for (const entry of Object.values(videoList)) {
-    if (entry?.url && !entry.url.includes('.m3u8')) {
-      return { url: entry.url };
-    }
-  }
-  return null;
-}
-
-function deepFind(obj, key, seen = new WeakSet()) {
-  const results = [];
-  if (!obj || typeof obj !== 'object') return results;
-  if (seen.has(obj)) return results;
-  seen.add(obj);
-  if (Object.prototype.hasOwnProperty.call(obj, key)) results.push(obj[key]);
-  for (const val of Object.values(obj)) {
-    if (val && typeof val === 'object') results.push(...deepFind(val, key, seen));
-  }
-  return results;
-}
+// Each extraction's browser context looks like a returning desktop Chrome
+const CONTEXT_OPTIONS = {
+  userAgent:
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+    '(KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  locale: 'en-US',
+  viewport: { width: 1280, height: 800 },
+  extraHTTPHeaders: {
+    'Accept-Language': 'en-US,en;q=0.9',
+  },
+};
 
 // ---------------------------------------------------------------------------
 // Browser extraction
@@ -52,53 +34,36 @@ function deepFind(obj, key, seen = new WeakSet()) {
  * Extracts media from a Pinterest pin using headless Chromium.
  *
  * First tries Pinterest's internal API directly (fast path, no browser needed).
- * Falls back to full browser navigation if the API call returns no video,
- * intercepting XHR responses and v.pinimg.com video CDN requests.
+ * Falls back to full browser navigation if the API call returns no MP4 video
+ * (or Idea / Story or carousel pin), intercepting XHR responses and
+ * v.pinimg.com video CDN requests.
+ *
+ * Pin JSON from either path goes through pinObjectToMedia(), exactly like
+ * the static extractor; only video URLs captured off the network (with no
+ * pin JSON behind them) are described by capturedToMedia().
+ *
+ * `skipApi` goes straight to the browser, for callers that have just made
+ * the same page + API requests themselves (mode=auto escalation).
  *
  * @param {string} pinUrl  Canonical Pinterest pin URL
- * @returns {{ type, media_url, thumbnail, title } | null}
+ * @param {{ skipApi?: boolean }} [options]
+ * @returns {{ type, media_url, thumbnail, title, renditions, metadata } | null}
  */
-async function extractWithBrowser(pinUrl) {
+async function extractWithBrowser(pinUrl, { skipApi = false } = {}) {
   // Fast path: fetch the page to get session cookies, then hit the API
   // (same flow a real browser uses, so the API returns full pin JSON)
   const pinId = extractPinId(pinUrl);
-  if (pinId) {
+  if (pinId && !skipApi) {
     try {
       const { cookies } = await fetchPage(pinUrl);
       const apiResult = await extractFromApi(pinId, cookies);
-      if (apiResult?.type === 'video') return apiResult;
+      if (isComplete(apiResult)) return apiResult;
     } catch (_) { /* fall through to Playwright */ }
   }
 
-  // Full browser path — needed when the API is blocked or returns no video
-  let browser = null;
-  try {
-    browser = await chromium.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--no-first-run',
-        '--single-process',
-        // Prevent Pinterest from detecting headless/automation
-        '--disable-blink-features=AutomationControlled',
-      ],
-    });
-
-    const context = await browser.newContext({
-      userAgent:
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
-        '(KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
-      locale: 'en-US',
-      viewport: { width: 1280, height: 800 },
-      // Mimic a real browser that has been used before
-      extraHTTPHeaders: {
-        'Accept-Language': 'en-US,en;q=0.9',
-      },
-    });
-
+  // Full browser path — needed when the API is blocked or returns no video.
+  // Runs in a fresh context on a pooled browser (see src/browser).
+  return getBrowserPool().withContext(async (context) => {
     // Hide navigator.webdriver — the main signal Pinterest uses to detect bots
     await context.addInitScript(() => {
       Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
@@ -108,9 +73,8 @@ async function extractWithBrowser(pinUrl) {
 
     // Captured data
     const capturedVideoUrls = new Set();
-    let bestVideoFromApi = null;
-    let thumbnail = null;
-    let title = 'Pinterest Video';
+    let pinMedia = null;   // normalised media of the first intercepted pin JSON
+    let pinFromApi = null; // that pin object, for metadata
 
     // --- Intercept responses ---
     page.on('response', async (response) => {
@@ -122,7 +86,7 @@ async function extractWithBrowser(pinUrl) {
         return;
       }
 
-      // Pinterest API responses that carry pin data with video_list
+      // Pinterest API responses that carry pin data
       if (
         response.status() === 200 &&
         (url.includes('/resource/PinResource/') ||
@@ -133,15 +97,13 @@ async function extractWithBrowser(pinUrl) {
           const ct = response.headers()['content-type'] || '';
           if (!ct.includes('json')) return;
           const json = await response.json().catch(() => null);
-          if (!json || bestVideoFromApi) return;
-
-          const videoLists = deepFind(json, 'video_list');
-          for (const vl of videoLists) {
-            const best = pickBestVideo(vl);
-            if (best?.url) {
-              bestVideoFromApi = best.url;
-              break;
-            }
+          if (!json || isComplete(pinMedia)) return;
+
+          const pin = json.resource_response?.data ?? json.data;
+          const media = withMetadata(pinObjectToMedia(pin), pin);
+          if (media && (!pinMedia || isComplete(media))) {
+            pinMedia = media;
+            pinFromApi = pin;
           }
         } catch (_) { /* ignore parse errors */ }
       }
@@ -157,8 +119,11 @@ async function extractWithBrowser(pinUrl) {
 
     // Navigate and wait for network to settle
     await page.goto(pinUrl, { waitUntil: 'networkidle', timeout: 30_000 });
+    if (isComplete(pinMedia)) return pinMedia;
 
     // Grab meta-tag title and thumbnail
+    let title = 'Pinterest Video';
+    let thumbnail = null;
     try {
       const rawTitle = await page.title();
       title = rawTitle.replace(/ \| Pinterest$/i, '').trim() || title;
@@ -169,14 +134,16 @@ async function extractWithBrowser(pinUrl) {
         .catch(() => null);
     } catch (_) {}
 
+    const nothingYet = () => capturedVideoUrls.size === 0 && !isComplete(pinMedia);
+
     // If nothing captured yet, scroll to trigger lazy loading
-    if (capturedVideoUrls.size === 0 && !bestVideoFromApi) {
+    if (nothingYet()) {
       await page.evaluate(() => window.scrollTo(0, 400)).catch(() => {});
       await page.waitForTimeout(2_000);
     }
 
     // Try clicking the play button to force video load
-    if (capturedVideoUrls.size === 0 && !bestVideoFromApi) {
+    if (nothingYet()) {
       try {
         const playBtn = page
           .locator('[aria-label="Play"], [data-test-id="play-button"]')
@@ -190,7 +157,7 @@ async function extractWithBrowser(pinUrl) {
     }
 
     // Last resort: scan page source for embedded v.pinimg.com MP4 references
-    if (capturedVideoUrls.size === 0 && !bestVideoFromApi) {
+    if (nothingYet()) {
       try {
         const found = await page.evaluate(() => {
           const html = document.documentElement.innerHTML;
@@ -201,39 +168,13 @@ async function extractWithBrowser(pinUrl) {
       } catch (_) {}
     }
 
-    // Resolve best video URL
-    const videoUrl =
-      bestVideoFromApi ||
-      (capturedVideoUrls.size > 0 ? pickBestCapturedUrl([...capturedVideoUrls]) : null);
-
-    if (videoUrl) {
-      return { type: 'video', media_url: videoUrl, thumbnail, title };
-    }
+    // Prefer the pin JSON (complete, or an HLS / image result when no MP4
+    // was captured), then the captured MP4s, then the og:image
+    if (isComplete(pinMedia) || (pinMedia && capturedVideoUrls.size === 0)) return pinMedia;
 
-    // Fallback: return best available image
-    if (thumbnail) {
-      const type = thumbnail.toLowerCase().endsWith('.gif') ? 'gif' : 'image';
-      return { type, media_url: thumbnail, thumbnail, title };
-    }
-
-    return null;
-  } finally {
-    if (browser) await browser.close().catch(() => {});
-  }
-}
-
-/**
- * From a list of captured MP4 URLs, prefer higher-resolution ones.
- * Pinterest encodes quality in the path (e.g. /1080P/, /720P/).
- */
-function pickBestCapturedUrl(urls) {
-  const resolutions = ['1080', '720', '480', '360', '240'];
-  for (const r of resolutions) {
-    const match = urls.find((u) => u.includes(r));
-    if (match) return match;
-  }
-  // Prefer longer/more-specific paths as a rough quality heuristic
-  return urls.sort((a, b) => b.length - a.length)[0];
+    const captured = capturedToMedia({ videoUrls: [...capturedVideoUrls], thumbnail, title });
+    return captured && { ...captured, metadata: pinObjectToMetadata(pinFromApi) };
+  }, CONTEXT_OPTIONS);
 }
 
 module.exports = { extractWithBrowser };
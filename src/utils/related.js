@@ -0,0 +1,50 @@
+'use strict';
+
+const {
+  extractPinId,
+  openSession,
+  fetchFeed,
+} = require('./pinterest');
+const { resolveShortLink } = require('../cache');
+const { feedPinToMedia } = require('./normalize');
+
+/**
+ * Returns one page of the "More like this" pins Pinterest shows under a pin
+ * (RelatedPinFeedResource), each in the standard media shape plus `id` and
+ * `url`.
+ *
+ * pin.it short links are resolved through the shortcode cache (see
+ * resolveShortLink).
+ *
+ * @param {string} url                                     Pin URL (full or pin.it short link)
+ * @param {{ limit: number, cursor: string | null }} page  From validatePagination()
+ * @returns {Promise<{ pin_id, pins, cursor }>}  `cursor` is null on the last page
+ */
+async function extractRelatedPins(url, { limit, cursor }) {
+  if (/pin\.it\//i.test(url)) {
+    url = (await resolveShortLink(url)).url;
+  }
+
+  const pinId = extractPinId(url);
+  if (!pinId) {
+    throw Object.assign(
+      new Error('Could not determine the pin ID for this URL.'),
+      { statusCode: 422 },
+    );
+  }
+
+  const session = await openSession(url);
+  const feed = await fetchFeed(
+    'RelatedPinFeedResource',
+    { pin_id: pinId, add_vase: true, field_set_key: 'unauth_react' },
+    { session, cursor, limit },
+  );
+
+  return {
+    pin_id: pinId,
+    pins: feed.items.map(feedPinToMedia).filter(Boolean),
+    cursor: feed.cursor,
+  };
+}
+
+module.exports = { extractRelatedPins };
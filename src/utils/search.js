@@ -0,0 +1,42 @@
+'use strict';
+
+const { openSession, fetchFeed } = require('./pinterest');
+const { feedPinToMedia } = require('./normalize');
+const { toBoardSummary } = require('./boards');
+
+/**
+ * Returns one page of Pinterest search results (BaseSearchResource).
+ *
+ * Pin and video results are normalised through pinObjectToMedia (standard
+ * media shape plus `id` and `url`); board results use the same summary
+ * shape as POST /api/extract/board.
+ *
+ * @param {{ query: string, filter: 'pins' | 'videos' | 'boards' }} search  From validateSearchQuery()
+ * @param {{ limit: number, cursor: string | null }} page                   From validatePagination()
+ * @returns {Promise<{ results, cursor }>}  `cursor` is null on the last page
+ */
+async function searchPinterest({ query, filter }, { limit, cursor }) {
+  const sourceUrl = `/search/${filter}/?q=${encodeURIComponent(query)}&rs=typed`;
+  const session = await openSession(`https://www.pinterest.com${sourceUrl}`);
+
+  const feed = await fetchFeed(
+    'BaseSearchResource',
+    {
+      query,
+      scope: filter,
+      source_url: sourceUrl,
+      rs: 'typed',
+      auto_correction_disabled: false,
+      redux_normalize_feed: true,
+    },
+    { session, cursor, limit },
+  );
+
+  const results = filter === 'boards'
+    ? feed.items.filter((b) => b?.id && (!b.type || b.type === 'board')).map(toBoardSummary)
+    : feed.items.map(feedPinToMedia).filter(Boolean);
+
+  return { results, cursor: feed.cursor };
+}
+
+module.exports = { searchPinterest };
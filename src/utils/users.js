@@ -0,0 +1,101 @@
+'use strict';
+
+const { openSession, fetchResource, fetchFeed } = require('./pinterest');
+const { feedPinToMedia } = require('./normalize');
+const { toBoardSummary } = require('./boards');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Upper bound on boards listed for a profile — far above what Pinterest
+ * profiles carry in practice.
+ */
+const MAX_BOARDS = 250;
+
+function userNotFound() {
+  return Object.assign(
+    new Error('Pinterest user not found. The profile may be private or deleted.'),
+    { statusCode: 404 },
+  );
+}
+
+/**
+ * Reduces a raw UserResource object to the profile fields we return.
+ */
+function toProfileSummary(user) {
+  return {
+    id: user.id != null ? String(user.id) : null,
+    username: user.username,
+    display_name: user.full_name || user.username,
+    about: user.about || null,
+    avatar:
+      user.image_xlarge_url || user.image_large_url || user.image_medium_url || null,
+    follower_count: user.follower_count ?? null,
+    following_count: user.following_count ?? null,
+    board_count: user.board_count ?? null,
+    pin_count: user.pin_count ?? null,
+    website: user.website_url || null,
+    url: `https://www.pinterest.com/${user.username}/`,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Profile lookup + feeds
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns a profile summary plus one page of the user's created pins in the
+ * standard media shape. The board list is only fetched for the first page
+ * (no `cursor`); later pages return `boards: null`.
+ *
+ * @param {{ username: string }} target                   From validateProfileUrl()
+ * @param {{ limit: number, cursor: string | null }} page  From validatePagination()
+ * @returns {Promise<{ profile, boards, pins, cursor }>}  `cursor` is null on the last page
+ */
+async function extractUserPins({ username }, { limit, cursor }) {
+  const profileUrl = `https://www.pinterest.com/${username}/`;
+
+  let session;
+  let response;
+  try {
+    session = await openSession(profileUrl);
+    response = await fetchResource(
+      'UserResource',
+      { username, field_set_key: 'profile' },
+      session,
+    );
+  } catch (err) {
+    if (err.response?.status === 404) throw userNotFound();
+    throw err;
+  }
+
+  const user = response?.data;
+  if (!user?.username) throw userNotFound();
+
+  let boards = null;
+  if (!cursor) {
+    const { items } = await fetchFeed(
+      'BoardsResource',
+      { username, sort: 'last_pinned_to', field_set_key: 'profile_grid_item', privacy_filter: 'public' },
+      { session, limit: MAX_BOARDS },
+    );
+    boards = items.filter((b) => b?.id && (!b.type || b.type === 'board')).map(toBoardSummary);
+  }
+
+  const feed = await fetchFeed(
+    'UserActivityPinsResource',
+    { username, field_set_key: 'grid_item' },
+    { session, cursor, limit },
+  );
+
+  return {
+    profile: toProfileSummary(user),
+    boards,
+    pins: feed.items.map(feedPinToMedia).filter(Boolean),
+    cursor: feed.cursor,
+  };
+}
+
+module.exports = { extractUserPins };
@@ -1,5 +1,7 @@
 'use strict';
 
+const net = require('node:net');
+
 /**
  * Accepted Pinterest URL patterns:
  *  - https://pinterest.com/pin/123456/
@@ -15,10 +17,40 @@ const PINTEREST_PATTERNS = [
 ];
 
 /**
- * Validates that the provided value is a supported Pinterest URL.
- * Returns { valid: true, url: <trimmed url> } or { valid: false, error: <message> }.
+ * Accepted board URL patterns:
+ *  - https://www.pinterest.com/<username>/<board-slug>/             (and other country TLDs)
+ *  - https://www.pinterest.com/<username>/<board-slug>/<section>/   (board section)
  */
-function validatePinterestUrl(url) {
+const BOARD_PATTERN =
+  /^https?:\/\/(www\.)?pinterest(\.[a-z]{2,3}){1,2}\/([a-zA-Z0-9_.-]+)\/([a-zA-Z0-9_%.-]+)(?:\/([a-zA-Z0-9_%.-]+))?\/?(\?.*)?$/;
+
+/**
+ * Accepted profile URL patterns:
+ *  - https://www.pinterest.com/<username>/
+ *  - https://www.pinterest.com/<username>/_created/   (and other profile tabs)
+ */
+const PROFILE_PATTERN =
+  /^https?:\/\/(www\.)?pinterest(\.[a-z]{2,3}){1,2}\/([a-zA-Z0-9_.-]+)(?:\/(_[a-z]+|pins|boards))?\/?(\?.*)?$/;
+
+/**
+ * First path segments that are Pinterest pages rather than usernames.
+ */
+const RESERVED_USER_SEGMENTS = new Set([
+  'pin', 'search', 'ideas', 'today', 'explore', 'settings', 'business', 'resource',
+  'login', 'signup', 'categories', 'topics', 'videos', 'news_hub', 'shopping',
+]);
+
+/**
+ * Profile tabs that sit where a board slug would (anything starting with `_`
+ * — `_saved`, `_created`, ... — is a tab as well).
+ */
+const RESERVED_BOARD_SEGMENTS = new Set(['pins', 'boards', 'followers', 'following', 'more_ideas']);
+
+/**
+ * Shared checks for every URL field: present, a string, at most 2048 chars.
+ * Returns { valid: true, url: <trimmed url> } or { valid: false, error }.
+ */
+function checkUrlString(url) {
   if (!url || typeof url !== 'string') {
     return { valid: false, error: 'Field "url" is required and must be a string.' };
   }
@@ -29,6 +61,18 @@ function validatePinterestUrl(url) {
     return { valid: false, error: 'URL exceeds maximum length of 2048 characters.' };
   }
 
+  return { valid: true, url: trimmed };
+}
+
+/**
+ * Validates that the provided value is a supported Pinterest URL.
+ * Returns { valid: true, url: <trimmed url> } or { valid: false, error: <message> }.
+ */
+function validatePinterestUrl(url) {
+  const checked = checkUrlString(url);
+  if (!checked.valid) return checked;
+  const trimmed = checked.url;
+
   const matched = PINTEREST_PATTERNS.some((pattern) => pattern.test(trimmed));
 
   if (!matched) {
@@ -45,4 +89,425 @@ function validatePinterestUrl(url) {
   return { valid: true, url: trimmed };
 }
 
-module.exports = { validatePinterestUrl };
+/**
+ * Validates a public board or board-section URL
+ * (https://www.pinterest.com/<user>/<board>/[<section>/]).
+ * Returns { valid: true, url, username, slug, section } or { valid: false, error }.
+ * `section` is null for whole-board URLs.
+ */
+function validateBoardUrl(url) {
+  const checked = checkUrlString(url);
+  if (!checked.valid) return checked;
+  const trimmed = checked.url;
+
+  const m = trimmed.match(BOARD_PATTERN);
+  const username = m?.[3];
+  const slug = m?.[4];
+  const section = m?.[5] ?? null;
+
+  if (
+    !m ||
+    RESERVED_USER_SEGMENTS.has(username.toLowerCase()) ||
+    RESERVED_BOARD_SEGMENTS.has(slug.toLowerCase()) ||
+    slug.startsWith('_') ||
+    section?.startsWith('_')
+  ) {
+    return {
+      valid: false,
+      error:
+        'Invalid Pinterest board URL. Supported formats:\n' +
+        '  • https://www.pinterest.com/<username>/<board>/\n' +
+        '  • https://www.pinterest.com/<username>/<board>/<section>/',
+    };
+  }
+
+  return { valid: true, url: trimmed, username, slug, section };
+}
+
+/**
+ * Validates a user profile URL (https://www.pinterest.com/<username>/).
+ * Returns { valid: true, url, username } or { valid: false, error }.
+ */
+function validateProfileUrl(url) {
+  const checked = checkUrlString(url);
+  if (!checked.valid) return checked;
+  const trimmed = checked.url;
+
+  const m = trimmed.match(PROFILE_PATTERN);
+  const username = m?.[3];
+
+  if (!m || RESERVED_USER_SEGMENTS.has(username.toLowerCase())) {
+    return {
+      valid: false,
+      error:
+        'Invalid Pinterest profile URL. Supported format:\n' +
+        '  • https://www.pinterest.com/<username>/',
+    };
+  }
+
+  return { valid: true, url: trimmed, username };
+}
+
+/**
+ * Result types accepted by POST /api/search (Pinterest search scopes).
+ */
+const SEARCH_FILTERS = ['pins', 'videos', 'boards'];
+
+/**
+ * Validates a search request body: `query` (1–200 chars) and an optional
+ * `filter` (defaults to "pins").
+ * Returns { valid: true, query, filter } or { valid: false, error }.
+ */
+function validateSearchQuery(body) {
+  const query = typeof body?.query === 'string' ? body.query.trim() : '';
+  if (!query) {
+    return { valid: false, error: 'Field "query" is required and must be a non-empty string.' };
+  }
+  if (query.length > 200) {
+    return { valid: false, error: 'Query exceeds maximum length of 200 characters.' };
+  }
+
+  const filter = body.filter ?? 'pins';
+  if (!SEARCH_FILTERS.includes(filter)) {
+    return { valid: false, error: `Field "filter" must be one of: ${SEARCH_FILTERS.join(', ')}.` };
+  }
+
+  return { valid: true, query, filter };
+}
+
+/**
+ * Validates the `urls` array of a batch request: 1 to `max` entries.
+ * Individual URLs are validated per item by the batch runner so one bad
+ * URL does not reject the whole batch.
+ * Returns { valid: true, urls } or { valid: false, error }.
+ */
+function validateUrlList(urls, max) {
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return { valid: false, error: 'Field "urls" is required and must be a non-empty array.' };
+  }
+  if (urls.length > max) {
+    return { valid: false, error: `Field "urls" accepts at most ${max} URLs per batch.` };
+  }
+  return { valid: true, urls };
+}
+
+/**
+ * Hostnames a callback must never target. IP literals are checked against
+ * PRIVATE_ADDRESSES instead.
+ */
+const PRIVATE_HOST_PATTERNS = [
+  /^localhost$/i,
+  /\.localhost$/i,
+];
+
+/**
+ * Address ranges a callback must never reach, so webhooks cannot be pointed
+ * at the server's own network: loopback, RFC 1918, carrier-grade NAT
+ * (100.64.0.0/10), link-local, benchmarking, multicast and reserved ranges,
+ * IPv6 unique-local / link-local and NAT64. IPv4-mapped IPv6 addresses
+ * (::ffff:127.0.0.1) are checked against the IPv4 ranges.
+ */
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * True when `address` (an IP string, IPv6 with or without brackets) lies in
+ * PRIVATE_ADDRESSES. Non-IP strings return false.
+ */
+function isPrivateAddress(address) {
+  const ip = String(address).replace(/^\[(.*)\]$/, '$1');
+  const family = net.isIP(ip);
+  if (family === 0) return false;
+  return PRIVATE_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Validates a webhook `callback_url`: an absolute http(s) URL on a public host.
+ * Host names are only checked by name here; webhooks.js checks the address
+ * they resolve to before every delivery.
+ * Returns { valid: true, url } or { valid: false, error }.
+ */
+function validateCallbackUrl(url) {
+  if (typeof url !== 'string' || url.trim().length === 0 || url.length > 2048) {
+    return { valid: false, error: 'Field "callback_url" must be a URL of at most 2048 characters.' };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (_) {
+    return { valid: false, error: 'Field "callback_url" must be an absolute http(s) URL.' };
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return { valid: false, error: 'Field "callback_url" must be an absolute http(s) URL.' };
+  }
+  if (PRIVATE_HOST_PATTERNS.some((p) => p.test(parsed.hostname)) || isPrivateAddress(parsed.hostname)) {
+    return { valid: false, error: 'Field "callback_url" must point at a public host.' };
+  }
+
+  return { valid: true, url: parsed.href };
+}
+
+/**
+ * Pinterest CDN hosts that GET /api/download will fetch from. Anything else
+ * is refused so the endpoint cannot be used as an open proxy.
+ */
+const MEDIA_HOSTS = new Set(['i.pinimg.com', 'v.pinimg.com', 'v1.pinimg.com']);
+
+/**
+ * Validates the query of GET /api/download: exactly one of
+ *   url    — an https URL on a Pinterest CDN host (see MEDIA_HOSTS)
+ *   pin_id — a numeric pin ID, resolved to its media_url
+ * and optionally
+ *   max_height — for HLS streams, the tallest variant to download
+ * Returns { valid: true, url, pinId, maxHeight } (url or pinId null) or { valid: false, error }.
+ */
+function validateDownloadQuery(query) {
+  const url = query?.url;
+  const pinId = query?.pin_id;
+  const rawMaxHeight = query?.max_height;
+
+  if ((url === undefined) === (pinId === undefined)) {
+    return { valid: false, error: 'Provide exactly one of the "url" or "pin_id" query parameters.' };
+  }
+
+  let maxHeight = null;
+  if (rawMaxHeight !== undefined) {
+    maxHeight = Number(rawMaxHeight);
+    if (typeof rawMaxHeight !== 'string' || !Number.isInteger(maxHeight) || maxHeight < 1 || maxHeight > 4320) {
+      return { valid: false, error: 'Parameter "max_height" must be an integer between 1 and 4320.' };
+    }
+  }
+
+  if (pinId !== undefined) {
+    if (typeof pinId !== 'string' || !/^\d{1,25}$/.test(pinId)) {
+      return { valid: false, error: 'Parameter "pin_id" must be a numeric pin ID.' };
+    }
+    return { valid: true, url: null, pinId, maxHeight };
+  }
+
+  const check = checkUrlString(url);
+  if (!check.valid) return check;
+
+  let parsed;
+  try {
+    parsed = new URL(check.url);
+  } catch (_) {
+    return { valid: false, error: 'Parameter "url" must be an absolute https URL.' };
+  }
+
+  if (parsed.protocol !== 'https:' || !MEDIA_HOSTS.has(parsed.hostname.toLowerCase()) || parsed.port) {
+    return {
+      valid: false,
+      error: `Parameter "url" must point at a Pinterest CDN host (${[...MEDIA_HOSTS].join(', ')}).`,
+    };
+  }
+
+  return { valid: true, url: parsed.href, pinId: null, maxHeight };
+}
+
+/**
+ * Validates the query of GET /api/download/archive:
+ *   url      — a pin URL (including pin.it short links) or a board / section URL
+ *   max_pins — optional, boards only: how many pins to include (1..maxPins)
+ * Returns { valid: true, kind: 'pin' | 'board', target, maxPins } where
+ * `target` is the validatePinterestUrl / validateBoardUrl result,
+ * or { valid: false, error }.
+ */
+function validateArchiveQuery(query, { defaultPins, maxPins }) {
+  const pin = validatePinterestUrl(query?.url);
+  const board = pin.valid ? null : validateBoardUrl(query?.url);
+
+  if (!pin.valid && !board.valid) {
+    return {
+      valid: false,
+      error: typeof query?.url === 'string'
+        ? 'Parameter "url" must be a Pinterest pin or board URL.'
+        : pin.error,
+    };
+  }
+
+  let limit = defaultPins;
+  if (query.max_pins !== undefined) {
+    limit = Number(query.max_pins);
+    if (typeof query.max_pins !== 'string' || !Number.isInteger(limit) || limit < 1 || limit > maxPins) {
+      return { valid: false, error: `Parameter "max_pins" must be an integer between 1 and ${maxPins}.` };
+    }
+  }
+
+  return pin.valid
+    ? { valid: true, kind: 'pin', target: pin, maxPins: limit }
+    : { valid: true, kind: 'board', target: board, maxPins: limit };
+}
+
+/**
+ * Validates the pagination fields of a list request body.
+ *
+ *   body[field]   — optional positive integer, at most `maxLimit`
+ *   body.cursor   — optional string returned by a previous page
+ *
+ * Returns { valid: true, limit, cursor } or { valid: false, error }.
+ */
+function validatePagination(body, { field, defaultLimit, maxLimit }) {
+  const rawLimit = body?.[field];
+  const limit = rawLimit === undefined || rawLimit === null ? defaultLimit : rawLimit;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    return {
+      valid: false,
+      error: `Field "${field}" must be an integer between 1 and ${maxLimit}.`,
+    };
+  }
+
+  const cursor = body?.cursor ?? null;
+  if (cursor !== null && (typeof cursor !== 'string' || cursor.length === 0 || cursor.length > 2048)) {
+    return { valid: false, error: 'Field "cursor" must be a non-empty string when provided.' };
+  }
+
+  return { valid: true, limit, cursor };
+}
+
+// Optional response sections a request can opt into with `include`
+const INCLUDE_OPTIONS = ['metadata'];
+
+/**
+ * Validates the optional `include` field (body or query string): one of
+ * INCLUDE_OPTIONS, a comma-separated list of them, or an array.
+ *
+ * Returns { valid: true, include: { metadata: boolean } } or { valid: false, error }.
+ */
+function validateInclude(value) {
+  const none = Object.fromEntries(INCLUDE_OPTIONS.map((o) => [o, false]));
+  if (value === undefined || value === null || value === '') return { valid: true, include: none };
+
+  const parts = Array.isArray(value) ? value : [value];
+  if (!parts.every((p) => typeof p === 'string')) {
+    return { valid: false, error: 'Field "include" must be a string or an array of strings.' };
+  }
+
+  const names = parts.flatMap((p) => p.split(',')).map((n) => n.trim().toLowerCase()).filter(Boolean);
+  const unknown = names.find((n) => !INCLUDE_OPTIONS.includes(n));
+  if (unknown) {
+    return { valid: false, error: `Field "include" must only list: ${INCLUDE_OPTIONS.join(', ')}.` };
+  }
+
+  return { valid: true, include: { ...none, ...Object.fromEntries(names.map((n) => [n, true])) } };
+}
+
+// Extraction engines POST /api/extract can be asked to use
+const EXTRACT_MODES = ['static', 'auto'];
+
+/**
+ * Validates the optional `mode` field (body or query string): "static"
+ * (the default) or "auto", which escalates to the browser extractor when the
+ * static result looks like a video it could not fully read.
+ *
+ * Returns { valid: true, mode } or { valid: false, error }.
+ */
+function validateMode(value) {
+  if (value === undefined || value === null || value === '') return { valid: true, mode: 'static' };
+
+  const mode = typeof value === 'string' ? value.trim().toLowerCase() : null;
+  if (!EXTRACT_MODES.includes(mode)) {
+    return { valid: false, error: `Field "mode" must be one of: ${EXTRACT_MODES.join(', ')}.` };
+  }
+  return { valid: true, mode };
+}
+
+/**
+ * Validates the optional `verify` flag (body or query string): true / false,
+ * also as the strings "true" / "false" / "1" / "0". Defaults to false.
+ *
+ * Returns { valid: true, verify } or { valid: false, error }.
+ */
+function validateVerify(value) {
+  if (value === undefined || value === null || value === '' || value === false || value === 'false' || value === '0') {
+    return { valid: true, verify: false };
+  }
+  if (value !== true && value !== 'true' && value !== '1') {
+    return { valid: false, error: 'Field "verify" must be true or false.' };
+  }
+  return { valid: true, verify: true };
+}
+
+// Values accepted for the quality preference fields
+const PREFER_OPTIONS = ['highest', 'smallest'];
+const FORMAT_OPTIONS = ['mp4', 'hls'];
+const MAX_HEIGHT_LIMIT = 4320;
+
+/**
+ * Validates the optional quality preference fields of an extraction
+ * request (body or query string, so numbers may arrive as strings):
+ *   max_height  — integer between 1 and MAX_HEIGHT_LIMIT
+ *   prefer      — "highest" | "smallest"
+ *   format      — "mp4" | "hls"
+ *   image_size  — a Pinterest image size key: "orig" or e.g. "736x", "600x315"
+ *
+ * Returns { valid: true, preferences } (unset fields are null, see
+ * DEFAULT_PREFERENCES in normalize.js) or { valid: false, error }.
+ */
+function validatePreferences({ max_height: rawHeight, prefer, format, image_size: imageSize } = {}) {
+  const unset = (v) => v === undefined || v === null || v === '';
+
+  let maxHeight = null;
+  if (!unset(rawHeight)) {
+    maxHeight = typeof rawHeight === 'string' && /^\d+$/.test(rawHeight) ? Number(rawHeight) : rawHeight;
+    if (!Number.isInteger(maxHeight) || maxHeight < 1 || maxHeight > MAX_HEIGHT_LIMIT) {
+      return { valid: false, error: `Field "max_height" must be an integer between 1 and ${MAX_HEIGHT_LIMIT}.` };
+    }
+  }
+
+  const option = (name, value, options) => {
+    if (unset(value)) return { value: null };
+    const v = typeof value === 'string' ? value.trim().toLowerCase() : null;
+    return options.includes(v)
+      ? { value: v }
+      : { error: `Field "${name}" must be one of: ${options.join(', ')}.` };
+  };
+  const preferOption = option('prefer', prefer, PREFER_OPTIONS);
+  if (preferOption.error) return { valid: false, error: preferOption.error };
+  const formatOption = option('format', format, FORMAT_OPTIONS);
+  if (formatOption.error) return { valid: false, error: formatOption.error };
+
+  let size = null;
+  if (!unset(imageSize)) {
+    size = typeof imageSize === 'string' ? imageSize.trim().toLowerCase() : null;
+    if (size === 'originals') size = 'orig';
+    if (!size || !/^(orig|\d{2,4}x(\d{2,4})?)$/.test(size)) {
+      return { valid: false, error: 'Field "image_size" must be "orig" or a Pinterest size such as "736x".' };
+    }
+  }
+
+  return {
+    valid: true,
+    preferences: { max_height: maxHeight, prefer: preferOption.value, format: formatOption.value, image_size: size },
+  };
+}
+
+module.exports = {
+  validatePinterestUrl,
+  validateBoardUrl,
+  validateProfileUrl,
+  validateSearchQuery,
+  validateUrlList,
+  validateCallbackUrl,
+  isPrivateAddress,
+  validateDownloadQuery,
+  validateArchiveQuery,
+  validatePagination,
+  validateInclude,
+  validateMode,
+  validatePreferences,
+  validateVerify,
+  MEDIA_HOSTS,
+};
@@ -0,0 +1,308 @@
+'use strict';
+
+const axios = require('axios');
+const { UPSTREAM_HEADERS } = require('./download');
+const { MEDIA_HOSTS } = require('./validators');
+const {
+  MULTI_ITEM_TYPES,
+  DEFAULT_PREFERENCES,
+  videoCandidates,
+  imageCandidates,
+  containerFromUrl,
+} = require('./normalize');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const VERIFY_TIMEOUT_MS = 10_000;
+
+// URLs HEAD-requested per result before giving up
+const MAX_ATTEMPTS = 4;
+
+// Bytes read per ranged request while looking for the MP4 `moov` box
+const PROBE_BYTES = 64 * 1024;
+
+// Ranged requests per file: enough to skip an `mdat` box that precedes `moov`
+const MAX_PROBE_HOPS = 3;
+
+// Larger `moov` boxes (hours of video) are not downloaded
+const MAX_MOOV_BYTES = 4 * 1024 * 1024;
+
+// ---------------------------------------------------------------------------
+// MP4 header parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads the header of the ISO-BMFF box starting at `pos`:
+ * { type, size, header } where `size` includes the header and is Infinity
+ * for a box that runs to the end of the file. Returns null when the header
+ * is cut off by the end of `buf` or is corrupt.
+ */
+function readBoxHeader(buf, pos) {
+  if (pos + 8 > buf.length) return null;
+  let size = buf.readUInt32BE(pos);
+  const type = buf.toString('latin1', pos + 4, pos + 8);
+  let header = 8;
+
+  if (size === 1) {
+    if (pos + 16 > buf.length) return null;
+    size = Number(buf.readBigUInt64BE(pos + 8));
+    header = 16;
+  } else if (size === 0) {
+    size = Infinity;
+  }
+  return size < header ? null : { type, size, header };
+}
+
+/**
+ * Payloads of the child boxes of type `type` in a buffer of boxes.
+ */
+function findBoxes(buf, type) {
+  const found = [];
+  let pos = 0;
+  while (buf && pos < buf.length) {
+    const box = readBoxHeader(buf, pos);
+    if (!box) break;
+    const end = Math.min(pos + box.size, buf.length);
+    if (box.type === type) found.push(buf.subarray(pos + box.header, end));
+    pos = end;
+  }
+  return found;
+}
+
+/**
+ * Payload of the first child box of type `type`, or null.
+ */
+function findBox(buf, type) {
+  return findBoxes(buf, type)[0] ?? null;
+}
+
+/**
+ * Reads the duration and the video track's resolution from the payload of
+ * an MP4 `moov` box:
+ *   duration — mvhd, or mvex/mehd for fragmented files whose mvhd says 0
+ *   width / height — tkhd of the first track whose handler is "vide"
+ *
+ * Returns { duration_ms, width, height } (fields null when absent), or
+ * null when there is no movie header.
+ */
+function parseMoov(moov) {
+  const mvhd = findBox(moov, 'mvhd');
+  if (!mvhd || mvhd.length < (mvhd[0] === 1 ? 32 : 20)) return null;
+
+  const v1 = mvhd[0] === 1;
+  const timescale = mvhd.readUInt32BE(v1 ? 20 : 12);
+  let duration = v1 ? Number(mvhd.readBigUInt64BE(24)) : mvhd.readUInt32BE(16);
+
+  const mehd = findBox(findBox(moov, 'mvex'), 'mehd');
+  if ((duration === 0 || duration === 0xffffffff) && mehd?.length >= 8) {
+    duration = mehd[0] === 1 && mehd.length >= 12 ? Number(mehd.readBigUInt64BE(4)) : mehd.readUInt32BE(4);
+  }
+
+  let width = null;
+  let height = null;
+  for (const trak of findBoxes(moov, 'trak')) {
+    const hdlr = findBox(findBox(trak, 'mdia'), 'hdlr');
+    if (!hdlr || hdlr.length < 12 || hdlr.toString('latin1', 8, 12) !== 'vide') continue;
+
+    const tkhd = findBox(trak, 'tkhd');
+    const offset = tkhd?.[0] === 1 ? 88 : 76;
+    if (!tkhd || tkhd.length < offset + 8) continue;
+
+    // 16.16 fixed-point
+    width = Math.round(tkhd.readUInt32BE(offset) / 65536);
+    height = Math.round(tkhd.readUInt32BE(offset + 4) / 65536);
+    break;
+  }
+
+  return {
+    duration_ms: timescale > 0 && duration > 0 && duration !== 0xffffffff
+      ? Math.round((duration * 1000) / timescale)
+      : null,
+    width: width || null,
+    height: height || null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Fetching
+// ---------------------------------------------------------------------------
+
+/**
+ * True for https URLs on a Pinterest CDN host (see MEDIA_HOSTS) — the only
+ * URLs verification requests.
+ */
+function isCdnUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && !parsed.port && MEDIA_HOSTS.has(parsed.hostname);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * HEAD-requests a media URL. Redirects are not followed.
+ *
+ * @returns {Promise<{ status: number, content_type: string|null, bytes: number|null }>}
+ */
+async function headMedia(url) {
+  const res = await axios.head(url, {
+    headers: UPSTREAM_HEADERS,
+    timeout: VERIFY_TIMEOUT_MS,
+    maxRedirects: 0,
+    validateStatus: () => true,
+  });
+
+  const length = Number(res.headers['content-length']);
+  return {
+    status: res.status,
+    content_type: String(res.headers['content-type'] || '').split(';')[0].trim() || null,
+    bytes: Number.isFinite(length) ? length : null,
+  };
+}
+
+/**
+ * GETs bytes `start`–`end` of a file. Returns null unless the server
+ * answers 206, so a server that ignores Range is never read in full.
+ */
+async function fetchRange(url, start, end) {
+  const res = await axios.get(url, {
+    headers: { ...UPSTREAM_HEADERS, Range: `bytes=${start}-${end}` },
+    responseType: 'arraybuffer',
+    timeout: VERIFY_TIMEOUT_MS,
+    maxRedirects: 0,
+    maxContentLength: end - start + 1,
+    validateStatus: () => true,
+  });
+  return res.status === 206 ? Buffer.from(res.data) : null;
+}
+
+/**
+ * Reads the duration and resolution of an MP4 file from its header
+ * without downloading it: walks the top-level boxes with ranged requests
+ * until it finds `moov` (at the start of web-optimised files, after `mdat`
+ * otherwise), then parses it (see parseMoov).
+ *
+ * @param {string} url
+ * @param {number|null} [size]  File size from HEAD, to stop at the end of the file
+ * @returns {Promise<{ duration_ms, width, height }|null>}
+ */
+async function probeMp4(url, size = null) {
+  let offset = 0;
+  for (let hop = 0; hop < MAX_PROBE_HOPS; hop++) {
+    if (size !== null && offset >= size) return null;
+    const buf = await fetchRange(url, offset, offset + PROBE_BYTES - 1);
+    if (!buf || buf.length === 0) return null;
+
+    let pos = 0;
+    while (pos < buf.length) {
+      const box = readBoxHeader(buf, pos);
+      if (!box) break; // header cut off — read on from here
+
+      if (box.type === 'moov') {
+        if (pos + box.size <= buf.length) return parseMoov(buf.subarray(pos + box.header, pos + box.size));
+        if (box.size > MAX_MOOV_BYTES) return null;
+        const moov = await fetchRange(url, offset + pos, offset + pos + box.size - 1);
+        return moov?.length === box.size ? parseMoov(moov.subarray(box.header)) : null;
+      }
+      if (box.size === Infinity) return null;
+      pos += box.size;
+    }
+
+    // A short read is the end of the file; no progress means a corrupt box
+    if (buf.length < PROBE_BYTES || pos === 0) return null;
+    offset += pos;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Verification
+// ---------------------------------------------------------------------------
+
+/**
+ * URLs to try for a result, in order: its media_url, then the other
+ * renditions of the same kind that satisfy `prefs`, best first. Idea /
+ * Story pins and carousels only have their media_url checked, since their
+ * renditions belong to the individual blocks and slides.
+ */
+function verificationCandidates(media, prefs) {
+  if (MULTI_ITEM_TYPES.includes(media.type)) return [media.media_url];
+
+  const renditions = media.renditions || [];
+  const ranked = media.type === 'video'
+    ? [
+      ...videoCandidates(renditions, prefs),
+      ...(prefs.format ? [] : videoCandidates(renditions, { ...prefs, format: 'hls' })),
+    ]
+    : imageCandidates(renditions, prefs);
+  return [...new Set([media.media_url, ...ranked.map((r) => r.url)])];
+}
+
+/**
+ * HEAD-checks the media_url of an extraction result and, when it does not
+ * answer 200, the next rendition that satisfies `prefs` (see
+ * verificationCandidates), up to MAX_ATTEMPTS URLs. MP4 files are also
+ * probed for their duration and resolution (see probeMp4).
+ *
+ * Returns the result with `media_url` set to the first URL that answered
+ * and a `verification` object:
+ *   { verified, fallback, content_type, bytes, duration_ms, width, height,
+ *     attempts: [{ url, status, error? }] }
+ * When no URL answers, `verified` is false and media_url is left as is.
+ * Only Pinterest CDN URLs are requested.
+ */
+async function verifyMedia(media, prefs = DEFAULT_PREFERENCES) {
+  const attempts = [];
+  for (const url of verificationCandidates(media, prefs).slice(0, MAX_ATTEMPTS)) {
+    if (!isCdnUrl(url)) {
+      attempts.push({ url, status: null, error: 'Not a Pinterest CDN URL.' });
+      continue;
+    }
+
+    let head;
+    try {
+      head = await headMedia(url);
+    } catch (err) {
+      attempts.push({ url, status: null, error: err.message });
+      continue;
+    }
+    attempts.push({ url, status: head.status });
+    if (head.status !== 200) continue;
+
+    const mp4 = head.content_type === 'video/mp4' || containerFromUrl(url) === 'mp4';
+    const probe = mp4 ? await probeMp4(url, head.bytes).catch(() => null) : null;
+    return {
+      ...media,
+      media_url: url,
+      verification: {
+        verified: true,
+        fallback: url !== media.media_url,
+        content_type: head.content_type,
+        bytes: head.bytes,
+        duration_ms: probe?.duration_ms ?? null,
+        width: probe?.width ?? null,
+        height: probe?.height ?? null,
+        attempts,
+      },
+    };
+  }
+
+  return {
+    ...media,
+    verification: {
+      verified: false,
+      fallback: false,
+      content_type: null,
+      bytes: null,
+      duration_ms: null,
+      width: null,
+      height: null,
+      attempts,
+    },
+  };
+}
+
+module.exports = { parseMoov, headMedia, probeMp4, verifyMedia };
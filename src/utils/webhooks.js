@@ -0,0 +1,155 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const dns = require('node:dns');
+const net = require('node:net');
+const axios = require('axios');
+const { validateCallbackUrl, isPrivateAddress } = require('./validators');
+
+/**
+ * Signs a webhook body. The signature covers `<timestamp>.<body>` so a
+ * captured delivery cannot be replayed with a different timestamp.
+ *
+ * Receivers verify with:
+ *   HMAC-SHA256(WEBHOOK_SECRET, `${X-Webhook-Timestamp}.${rawBody}`) === X-Webhook-Signature (after "sha256=")
+ */
+function signPayload(body, secret, timestamp) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Retry only when the receiver might succeed later: network errors,
+ * timeouts, 408, 429 and 5xx. Other 4xx responses mean the receiver
+ * rejected the payload and retrying would not help.
+ */
+function isRetryable(status) {
+  return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Resolves a callback host to the address a delivery connects to, refusing
+ * hosts with any private address (see isPrivateAddress) — checking every
+ * record, so a name cannot mix a public and a private one. IP literals are
+ * checked as they are.
+ *
+ * Throws an error with `refused: true` for private addresses; DNS failures
+ * are thrown as they come.
+ *
+ * @param {string} hostname  URL hostname (IPv6 literals in brackets)
+ * @param {Function} [lookup]  dns.promises.lookup-compatible resolver
+ * @returns {Promise<{ address: string, family: number }>}
+ */
+async function resolvePublicAddress(hostname, lookup = dns.promises.lookup) {
+  const literal = hostname.replace(/^\[(.*)\]$/, '$1');
+  const records = net.isIP(literal)
+    ? [{ address: literal, family: net.isIP(literal) }]
+    : await lookup(hostname, { all: true, verbatim: true });
+
+  const blocked = records.find((r) => isPrivateAddress(r.address));
+  if (blocked || records.length === 0) {
+    throw Object.assign(
+      new Error(`Callback host ${hostname} resolves to a non-public address${blocked ? ` (${blocked.address})` : ''}.`),
+      { refused: true },
+    );
+  }
+  return records[0];
+}
+
+/**
+ * POSTs `payload` as JSON to `url`, signed with `secret`, retrying with
+ * exponential backoff (baseDelayMs, 2×, 4×, ...) up to `maxAttempts` times.
+ *
+ * Before every attempt the host is resolved with `resolveAddress` (see
+ * resolvePublicAddress) and the connection is pinned to that address, so a
+ * name that later resolves elsewhere (DNS rebinding) cannot redirect it.
+ * A host that resolves to a private address is not retried. Redirects are
+ * never followed.
+ *
+ * `onAttempt` is called after every attempt with its log entry:
+ *   { attempt, at, status, duration_ms, error }
+ * so callers can persist a delivery log. Never throws; resolves to
+ * { delivered: boolean, attempts: number }.
+ */
+async function deliverWebhook({
+  url,
+  payload,
+  secret,
+  id,
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  timeoutMs = 10_000,
+  onAttempt,
+  resolveAddress = resolvePublicAddress,
+}) {
+  const body = JSON.stringify(payload);
+  const { hostname } = new URL(url);
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = Date.now();
+    let status = null;
+    let error = null;
+    let refused = false;
+
+    try {
+      const pinned = await resolveAddress(hostname);
+      const res = await axios.post(url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'pinterest-downloader-api-webhook/1.0',
+          'X-Webhook-Id': id,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(body, secret, timestamp),
+        },
+        timeout: timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        lookup: async () => [pinned.address, pinned.family],
+      });
+      status = res.status;
+      if (status < 200 || status >= 300) error = `Receiver responded with HTTP ${status}`;
+    } catch (err) {
+      error = err.message;
+      refused = Boolean(err.refused);
+    }
+
+    await onAttempt?.({
+      attempt,
+      at: new Date(startedAt).toISOString(),
+      status,
+      duration_ms: Date.now() - startedAt,
+      error,
+    });
+
+    if (!error) return { delivered: true, attempts: attempt };
+    if (refused || !isRetryable(status) || attempt === maxAttempts) return { delivered: false, attempts: attempt };
+
+    await sleep(baseDelayMs * 2 ** (attempt - 1));
+  }
+
+  return { delivered: false, attempts: maxAttempts };
+}
+
+/**
+ * Reads the optional `callback_url` from a request body.
+ * Returns { valid: true, url } (url is null when absent) or { valid: false, error }.
+ * Callbacks are refused unless WEBHOOK_SECRET is configured, since every
+ * delivery must be signed.
+ */
+function readCallbackUrl(body) {
+  if (body?.callback_url === undefined || body.callback_url === null) {
+    return { valid: true, url: null };
+  }
+  if (!process.env.WEBHOOK_SECRET) {
+    return {
+      valid: false,
+      error: 'Field "callback_url" is not available: the server has no WEBHOOK_SECRET configured.',
+    };
+  }
+  return validateCallbackUrl(body.callback_url);
+}
+
+module.exports = { deliverWebhook, resolvePublicAddress, signPayload, readCallbackUrl };
@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * Fixture harness for the extractor.
+ *
+ * A fixture is a directory holding the responses for one pin:
+ *
+ *   fixture.json       { url, source, recorded_at, page_status, api_status, expected }
+ *   page.html          the pin page
+ *   PinResource.json   the PinResource response body (only when api_status is 2xx)
+ *
+ * The corpus is split by origin, and `source` says the same:
+ *   tests/fixtures/synthetic/<name>/  "synthetic" — hand-written pages modelled
+ *                                     on Pinterest's markup, not captures
+ *   tests/fixtures/recorded/<name>/   "recorded" — live captures (see record.js)
+ * `expected` summarises what the extractor returned when the fixture was
+ * made, including the winning `strategy`, so test runs can detect regressions.
+ *
+ * replayFixture() swaps axios.get for a stub that answers from the fixture
+ * and refuses every other request, so tests never touch the network.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const axios = require('axios');
+const { extractPinterestMedia, createTrace } = require('../../src/utils/pinterest');
+
+const SYNTHETIC_DIR = path.join(__dirname, 'synthetic');
+const RECORDED_DIR = path.join(__dirname, 'recorded');
+const FIXTURE_ROOTS = [SYNTHETIC_DIR, RECORDED_DIR];
+
+const PIN_RESOURCE_PATTERN = /\/resource\/PinResource\//;
+const PAGE_PATTERN = /^https:\/\/([a-z]+\.)?pinterest\.[a-z.]+\//;
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Names of every fixture in the corpus — synthetic and recorded — or in
+ * `root`, sorted.
+ */
+function listFixtures(root = null) {
+  const roots = root ? [root] : FIXTURE_ROOTS.filter((dir) => fs.existsSync(dir));
+  return roots
+    .flatMap((dir) => fs.readdirSync(dir, { withFileTypes: true }))
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+/**
+ * Reads a fixture into
+ *   { name, url, source, page: { status, html }, api: { status, body }, expected }
+ * where `api.body` is null when the PinResource call failed. Without a
+ * `root`, the fixture is looked up in the synthetic, then the recorded corpus.
+ */
+function loadFixture(name, { root = null } = {}) {
+  const dir = root
+    ? path.join(root, name)
+    : FIXTURE_ROOTS.map((r) => path.join(r, name)).find((d) => fs.existsSync(d)) ?? path.join(SYNTHETIC_DIR, name);
+  const meta = JSON.parse(fs.readFileSync(path.join(dir, 'fixture.json'), 'utf8'));
+  const apiFile = path.join(dir, 'PinResource.json');
+
+  return {
+    name,
+    url: meta.url,
+    source: meta.source,
+    page: { status: meta.page_status, html: fs.readFileSync(path.join(dir, 'page.html'), 'utf8') },
+    api: {
+      status: meta.api_status,
+      body: fs.existsSync(apiFile) ? JSON.parse(fs.readFileSync(apiFile, 'utf8')) : null,
+    },
+    expected: meta.expected,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Interception
+// ---------------------------------------------------------------------------
+
+/**
+ * Replaces axios.get with `handler(url, config)` until the returned
+ * restore() is called.
+ */
+function interceptAxios(handler) {
+  const original = axios.get;
+  axios.get = handler;
+  return () => {
+    axios.get = original;
+  };
+}
+
+/**
+ * An axios-style error for a non-2xx status, as axios.get would reject with.
+ */
+function httpError(status, url) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    config: { url },
+    response: { status, headers: {}, data: null },
+  });
+}
+
+/**
+ * Serves `fixture` to the extractor: the pin page for any pinterest.com page
+ * URL, the recorded body (or error status) for PinResource, and a rejection
+ * for anything else. Returns restore().
+ */
+function replayFixture(fixture) {
+  return interceptAxios(async (url) => {
+    if (PIN_RESOURCE_PATTERN.test(url)) {
+      if (fixture.api.status < 200 || fixture.api.status >= 300) throw httpError(fixture.api.status, url);
+      return { status: fixture.api.status, headers: {}, data: fixture.api.body };
+    }
+    if (PAGE_PATTERN.test(url)) {
+      if (fixture.page.status >= 300) throw httpError(fixture.page.status, url);
+      return {
+        status: fixture.page.status,
+        headers: { 'set-cookie': ['csrftoken=replay; Path=/'] },
+        data: fixture.page.html,
+      };
+    }
+    throw Object.assign(new Error(`Unexpected request during replay: ${url}`), { code: 'ENOTFOUND' });
+  });
+}
+
+/**
+ * A stand-in for a browser context (see src/browser) whose page, once
+ * navigated, requests `videoUrl` from the video CDN, as a playing video pin
+ * does. Navigated URLs are pushed to `visited`. Hand it to the callback of
+ * a stubbed withContext() to run the browser extractor without Chromium.
+ */
+function fakeBrowserContext(videoUrl, visited = []) {
+  const listeners = { request: [], response: [] };
+  const page = {
+    on: (event, listener) => listeners[event].push(listener),
+    goto: async (url) => {
+      visited.push(url);
+      for (const listener of listeners.request) listener({ url: () => videoUrl });
+    },
+    title: async () => 'Video pin | Pinterest',
+    $eval: async () => null,
+  };
+  return {
+    addInitScript: async () => {},
+    newPage: async () => page,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------------------
+
+/**
+ * Summary of an extraction result stored as a fixture's `expected`.
+ */
+function summarise(media, strategy) {
+  return {
+    strategy,
+    type: media.type,
+    media_url: media.media_url,
+    thumbnail: media.thumbnail,
+    title: media.title,
+    ...(media.pages && { pages: media.pages.length }),
+    ...(media.slides && { slides: media.slides.length }),
+  };
+}
+
+/**
+ * Extracts `url` against live Pinterest, capturing the pin page and the
+ * PinResource response, and writes them as fixture `name`. Fails when the
+ * extraction fails, since there is nothing to expect.
+ *
+ * Requests go through whatever axios.get currently is, so a replay can be
+ * re-recorded (used to test the recorder itself).
+ *
+ * @param {{ root?: string }} [options]  Corpus directory (default tests/fixtures/recorded)
+ * @returns {Promise<string>}  The fixture directory
+ */
+async function recordFixture(name, url, { root = RECORDED_DIR } = {}) {
+  const original = axios.get;
+  const captured = {};
+
+  // Only the page and PinResource are kept; CDN requests (HLS playlists) pass through
+  const restore = interceptAxios(async (requestUrl, config) => {
+    const kind = PIN_RESOURCE_PATTERN.test(requestUrl) ? 'api' : PAGE_PATTERN.test(requestUrl) ? 'page' : null;
+    if (!kind) return original.call(axios, requestUrl, config);
+    try {
+      const res = await original.call(axios, requestUrl, config);
+      captured[kind] = { status: res.status, body: res.data };
+      return res;
+    } catch (err) {
+      captured[kind] = { status: err.response?.status ?? null, body: null };
+      throw err;
+    }
+  });
+
+  const trace = createTrace();
+  let media;
+  try {
+    media = await extractPinterestMedia(url, { trace });
+  } finally {
+    restore();
+  }
+
+  const winner = trace.toJSON().strategies.find((s) => s.result)?.name ?? null;
+  const dir = path.join(root, name);
+  fs.mkdirSync(dir, { recursive: true });
+
+  fs.writeFileSync(path.join(dir, 'page.html'), captured.page.body);
+  const apiFile = path.join(dir, 'PinResource.json');
+  if (captured.api?.body) {
+    fs.writeFileSync(apiFile, `${JSON.stringify(captured.api.body, null, 2)}\n`);
+  } else {
+    fs.rmSync(apiFile, { force: true });
+  }
+
+  const meta = {
+    url: trace.toJSON().url,
+    source: 'recorded',
+    recorded_at: new Date().toISOString(),
+    page_status: captured.page.status,
+    api_status: captured.api?.status ?? null,
+    expected: summarise(media, winner),
+  };
+  fs.writeFileSync(path.join(dir, 'fixture.json'), `${JSON.stringify(meta, null, 2)}\n`);
+  return dir;
+}
+
+module.exports = {
+  SYNTHETIC_DIR,
+  RECORDED_DIR,
+  listFixtures,
+  loadFixture,
+  interceptAxios,
+  httpError,
+  replayFixture,
+  fakeBrowserContext,
+  recordFixture,
+  summarise,
+};
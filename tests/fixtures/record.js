@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Records a live Pinterest pin as an extractor fixture.
+ *
+ * Usage: npm run fixtures:record -- <name> <pin-url>
+ *   e.g. npm run fixtures:record -- video-720p https://www.pinterest.com/pin/774124931181173/
+ *
+ * Writes tests/fixtures/recorded/<name>/ (see harness.js). Review the captured
+ * HTML before committing it: pages can carry session data.
+ */
+
+const { recordFixture } = require('./harness');
+
+async function main() {
+  const [name, url] = process.argv.slice(2);
+  if (!name || !/^[a-z0-9-]+$/.test(name) || !url) {
+    console.error('Usage: npm run fixtures:record -- <name> <pin-url>   (name: lowercase letters, digits, dashes)');
+    process.exit(1);
+  }
+
+  const dir = await recordFixture(name, url);
+  console.log(`Recorded ${url} → ${dir}`);
+}
+
+main().catch((err) => {
+  console.error(`Recording failed: ${err.message}`);
+  process.exit(1);
+});
@@ -38,7 +38,7 @@ after(() => {
 // Tiny HTTP helper (no extra deps — uses Node's built-in http module)
 // ---------------------------------------------------------------------------
 
-function request(method, path, body) {
+function request(method, path, body, extraHeaders = {}) {
   return new Promise((resolve, reject) => {
     const payload = body ? JSON.stringify(body) : null;
     const url = new URL(path, BASE);
@@ -46,10 +46,11 @@ function request(method, path, body) {
     const options = {
       hostname: url.hostname,
       port: url.port,
-      path: url.pathname,
+      path: url.pathname + url.search,
       method,
       headers: {
         'Content-Type': 'application/json',
+        ...extraHeaders,
         ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {}),
       },
     };
@@ -73,7 +74,7 @@ function request(method, path, body) {
 }
 
 const get  = (path)       => request('GET',  path, null);
-const post = (path, body) => request('POST', path, body);
+const post = (path, body, headers) => request('POST', path, body, headers);
 
 // ---------------------------------------------------------------------------
 // Health endpoint
@@ -93,6 +94,16 @@ describe('GET /health', () => {
   });
 });
 
+describe('GET /health/browser', () => {
+  it('returns pool stats without launching a browser', async () => {
+    const res = await get('/health/browser');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.ok(Array.isArray(res.body.pool.browsers));
+    assert.equal(res.body.pool.totals.launched, 0);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Unknown routes
 // ---------------------------------------------------------------------------
@@ -158,6 +169,18 @@ describe('POST /api/extract — request validation', () => {
     assert.equal(typeof res.body.error, 'string');
     assert.ok(res.body.error.length > 0);
   });
+
+  it('debug without a configured API_KEY → 400', async () => {
+    const res = await post('/api/extract', { url: 'https://www.pinterest.com/pin/123456789/', debug: true });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /debug/);
+  });
+
+  it('unknown include option → 400', async () => {
+    const res = await post('/api/extract?include=everything', { url: 'https://www.pinterest.com/pin/123456789/' });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /include/);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -188,6 +211,289 @@ describe('POST /api/extract — valid URL format (graceful handling)', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// POST /api/extract/board — input validation (no network calls to Pinterest)
+// ---------------------------------------------------------------------------
+
+describe('POST /api/extract/board — request validation', () => {
+  it('missing url → 400', async () => {
+    const res = await post('/api/extract/board', {});
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+    assert.ok(res.body.error);
+  });
+
+  it('pin URL instead of a board → 400', async () => {
+    const res = await post('/api/extract/board', { url: 'https://www.pinterest.com/pin/123/' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+  });
+
+  it('out-of-range max_pins → 400', async () => {
+    const res = await post('/api/extract/board', {
+      url: 'https://www.pinterest.com/someuser/some-board/',
+      max_pins: 0,
+    });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /max_pins/);
+  });
+
+  it('sections listing with a pin URL → 400', async () => {
+    const res = await post('/api/extract/board/sections', { url: 'https://www.pinterest.com/pin/123/' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/extract/user — input validation (no network calls to Pinterest)
+// ---------------------------------------------------------------------------
+
+describe('POST /api/extract/user — request validation', () => {
+  it('missing url → 400', async () => {
+    const res = await post('/api/extract/user', {});
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+  });
+
+  it('board URL instead of a profile → 400', async () => {
+    const res = await post('/api/extract/user', { url: 'https://www.pinterest.com/someuser/some-board/' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/extract/related — input validation (no network calls to Pinterest)
+// ---------------------------------------------------------------------------
+
+describe('POST /api/extract/related — request validation', () => {
+  it('board URL instead of a pin → 400', async () => {
+    const res = await post('/api/extract/related', { url: 'https://www.pinterest.com/someuser/some-board/' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+  });
+
+  it('out-of-range limit → 400', async () => {
+    const res = await post('/api/extract/related', {
+      url: 'https://www.pinterest.com/pin/123/',
+      limit: 101,
+    });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /limit/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/extract/comments — input validation (no network calls to Pinterest)
+// ---------------------------------------------------------------------------
+
+describe('POST /api/extract/comments — request validation', () => {
+  it('board URL instead of a pin → 400', async () => {
+    const res = await post('/api/extract/comments', { url: 'https://www.pinterest.com/someuser/some-board/' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+  });
+
+  it('out-of-range limit → 400', async () => {
+    const res = await post('/api/extract/comments', {
+      url: 'https://www.pinterest.com/pin/123/',
+      limit: 0,
+    });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /limit/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/extract/batch — input validation (no network calls to Pinterest)
+// ---------------------------------------------------------------------------
+
+describe('POST /api/extract/batch — request validation', () => {
+  it('missing urls → 400', async () => {
+    const res = await post('/api/extract/batch', {});
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+  });
+
+  it('empty urls array → 400', async () => {
+    const res = await post('/api/extract/batch', { urls: [] });
+    assert.equal(res.status, 400);
+  });
+
+  it('invalid URLs fail per item without failing the batch', async () => {
+    const res = await post('/api/extract/batch', { urls: ['not-a-url', 'https://google.com'] });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.summary.failed, 2);
+    for (const item of res.body.results) {
+      assert.equal(item.success, false);
+      assert.equal(item.status, 400);
+      assert.ok(item.error);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// /api/jobs — input validation and lookup (no network calls to Pinterest)
+// ---------------------------------------------------------------------------
+
+describe('/api/jobs', () => {
+  // Batch jobs share the 5 req/min batch budget with /api/extract/batch and
+  // /api/download/archive; a client IP of their own keeps them from spending it
+  const JOB_CLIENT = { 'X-Forwarded-For': '203.0.113.10' };
+
+  it('unknown job type → 400', async () => {
+    const res = await post('/api/jobs', { type: 'nope', url: 'https://www.pinterest.com/pin/1/' });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /type/);
+  });
+
+  it('invalid input for the job type → 400', async () => {
+    const res = await post('/api/jobs', { type: 'board', url: 'https://www.pinterest.com/pin/1/' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+  });
+
+  it('board job above the board endpoint\'s max_pins → 400', async () => {
+    const res = await post('/api/jobs', {
+      type: 'board',
+      url: 'https://www.pinterest.com/someuser/some-board/',
+      max_pins: 251,
+    }, JOB_CLIENT);
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /max_pins.*250/);
+  });
+
+  it('invalid include for an extraction job → 400', async () => {
+    const res = await post('/api/jobs', { type: 'single', url: 'https://www.pinterest.com/pin/1/', include: 'everything' });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /include/);
+  });
+
+  it('enqueues a batch job and reports it by ID', async () => {
+    const created = await post('/api/jobs', { type: 'batch', urls: ['not-a-url'] }, JOB_CLIENT);
+    assert.equal(created.status, 202);
+    assert.equal(created.headers.location, `/api/jobs/${created.body.job.id}`);
+
+    let job;
+    for (let i = 0; i < 50; i++) {
+      job = (await get(`/api/jobs/${created.body.job.id}`)).body.job;
+      if (job.status === 'completed') break;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result.summary.failed, 1);
+  });
+
+  it('callback_url without a configured WEBHOOK_SECRET → 400', async () => {
+    const res = await post('/api/jobs', {
+      type: 'batch',
+      urls: ['not-a-url'],
+      callback_url: 'https://hooks.example.com/done',
+    }, JOB_CLIENT);
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /WEBHOOK_SECRET/);
+  });
+
+  it('GET unknown job → 404', async () => {
+    const res = await get('/api/jobs/00000000-0000-0000-0000-000000000000');
+    assert.equal(res.status, 404);
+    assert.equal(res.body.success, false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/search — input validation (no network calls to Pinterest)
+// ---------------------------------------------------------------------------
+
+describe('POST /api/search — request validation', () => {
+  it('missing query → 400', async () => {
+    const res = await post('/api/search', {});
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+  });
+
+  it('unknown filter → 400', async () => {
+    const res = await post('/api/search', { query: 'sunset', filter: 'users' });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /filter/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/resolve — input validation (no network calls to Pinterest)
+// ---------------------------------------------------------------------------
+
+describe('POST /api/resolve', () => {
+  it('missing url → 400', async () => {
+    const res = await post('/api/resolve', {});
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+  });
+
+  it('full pin URL resolves to its canonical URL without a lookup', async () => {
+    const res = await post('/api/resolve', { url: 'https://pinterest.co.uk/pin/774124931181173/' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.pin_id, '774124931181173');
+    assert.equal(res.body.url, 'https://www.pinterest.com/pin/774124931181173/');
+  });
+
+  it('bulk: invalid entries fail per item', async () => {
+    // Own client IP: bulk lookups spend the batch budget the batch / archive tests need
+    const res = await post(
+      '/api/resolve',
+      { urls: ['https://www.pinterest.com/pin/1/', 'https://google.com'] },
+      { 'X-Forwarded-For': '203.0.113.11' },
+    );
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.summary, { total: 2, resolved: 1, failed: 1 });
+    assert.equal(res.body.results[0].pin_id, '1');
+    assert.equal(res.body.results[1].status, 400);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/download — input validation (no network calls to Pinterest)
+// ---------------------------------------------------------------------------
+
+describe('GET /api/download — request validation', () => {
+  it('no url or pin_id → 400', async () => {
+    const res = await get('/api/download');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+  });
+
+  it('both url and pin_id → 400', async () => {
+    const res = await get('/api/download?pin_id=1&url=https%3A%2F%2Fi.pinimg.com%2Fa.jpg');
+    assert.equal(res.status, 400);
+  });
+
+  it('non-CDN host → 400 (not an open proxy)', async () => {
+    const res = await get('/api/download?url=' + encodeURIComponent('https://example.com/video.mp4'));
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /pinimg/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/download/archive — input validation (shares the 5/min batch budget)
+// ---------------------------------------------------------------------------
+
+describe('GET /api/download/archive — request validation', () => {
+  it('missing url → 400', async () => {
+    const res = await get('/api/download/archive');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+  });
+
+  it('non-Pinterest URL → 400', async () => {
+    const res = await get('/api/download/archive?url=' + encodeURIComponent('https://example.com/pin/1/'));
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /pin or board/);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Rate limiting — 30 req/min window
 // ---------------------------------------------------------------------------
@@ -0,0 +1,192 @@
+'use strict';
+
+/**
+ * Integration tests — rate limit budgets across endpoints
+ *
+ * Kept out of api.test.js: limiter counters live in the server process, so
+ * these run against a fresh server whose budgets no other test has spent.
+ * Every request here fails validation, needs no network, is answered from
+ * the cache or from a fake browser context, so nothing reaches Pinterest.
+ *
+ * Run: node --test tests/integration/rateLimits.test.js
+ */
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const app = require('../../src/server');
+const { getCache, getShortLinkCache } = require('../../src/cache');
+const { getBrowserPool } = require('../../src/browser');
+const { interceptAxios, fakeBrowserContext } = require('../fixtures/harness');
+
+// Keep the shortcode cache in memory rather than under ./data during tests
+process.env.SHORTLINK_STORE = 'memory';
+
+// ---------------------------------------------------------------------------
+// Server lifecycle
+// ---------------------------------------------------------------------------
+
+let server;
+let BASE;
+
+before(() => {
+  return new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', () => {
+      BASE = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => server.close(resolve));
+});
+
+function post(path, body, extraHeaders = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const url = new URL(path, BASE);
+
+    const req = http.request({
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...extraHeaders,
+      },
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => (data += chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(data) }));
+    });
+
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// ---------------------------------------------------------------------------
+// POST /api/jobs
+// ---------------------------------------------------------------------------
+
+describe('POST /api/jobs — rate limits', () => {
+  it('counts batch jobs against the batch limit (5 req/min)', async () => {
+    const statuses = [];
+    let last;
+    for (let i = 0; i < 6; i++) {
+      last = await post('/api/jobs', { type: 'batch', urls: ['not-a-url'] });
+      statuses.push(last.status);
+    }
+    assert.deepEqual(statuses, [202, 202, 202, 202, 202, 429]);
+    assert.match(last.body.error, /Batch extraction/);
+  });
+
+  it('leaves the extract budget to single jobs', async () => {
+    const res = await post('/api/jobs', { type: 'single', url: 'https://www.pinterest.com/pin/1/', include: 'nope' });
+    assert.equal(res.status, 400); // validated, not rate limited
+  });
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/resolve
+// ---------------------------------------------------------------------------
+
+describe('POST /api/resolve — rate limits', () => {
+  // Full pin URLs resolve without a lookup
+  const urls = Array.from({ length: 100 }, (_, i) => `https://www.pinterest.com/pin/${i + 1}/`);
+  const client = { 'X-Forwarded-For': '203.0.113.20' };
+
+  it('counts bulk lookups against the batch limit (5 req/min)', async () => {
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      statuses.push((await post('/api/resolve', { urls }, client)).status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+  });
+
+  it('keeps single lookups on the extract limit', async () => {
+    const res = await post('/api/resolve', { url: 'https://www.pinterest.com/pin/1/' }, client);
+    assert.equal(res.status, 200);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/extract — mode=auto
+// ---------------------------------------------------------------------------
+
+describe('POST /api/extract — mode=auto escalations', () => {
+  // The static result comes from the cache and flags a video; the browser
+  // path runs on a fake context whose page plays an MP4
+  const pinId = '100000000000000001';
+  const pinUrl = `https://www.pinterest.com/pin/${pinId}/`;
+  const mp4 = 'https://v.pinimg.com/videos/mc/720p/aa/bb/cc/x.mp4';
+  const staticImage = {
+    type: 'image',
+    media_url: 'https://i.pinimg.com/originals/aa/bb/cc/x.jpg',
+    thumbnail: null,
+    title: 'x',
+    renditions: [],
+    video_signals: ['is_video'],
+  };
+
+  let requested;
+  let visited;
+  let restore;
+
+  before(async () => {
+    await getCache().set(`pin:${pinId}`, staticImage, 60_000);
+    await getShortLinkCache().set('short:AutoMode1', { pin_id: pinId, url: pinUrl }, 60_000);
+  });
+
+  function stubBrowser() {
+    requested = [];
+    visited = [];
+    restore = interceptAxios(async (url) => {
+      requested.push(url);
+      throw new Error(`Unexpected request: ${url}`);
+    });
+    mock.method(getBrowserPool(), 'withContext', async (run) => run(fakeBrowserContext(mp4, visited)));
+  }
+
+  afterEach(() => {
+    restore?.();
+    restore = null;
+    mock.restoreAll();
+  });
+
+  it('escalates a pin.it short link with the canonical pin URL', async () => {
+    stubBrowser();
+    const res = await post('/api/extract', { url: 'https://pin.it/AutoMode1', mode: 'auto' }, {
+      'X-Forwarded-For': '203.0.113.30',
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.engine, 'browser');
+    assert.equal(res.body.media_url, mp4);
+    assert.deepEqual(visited, [pinUrl]);
+    assert.deepEqual(requested, []); // no short link, page or PinResource request
+  });
+
+  it('refuses escalations with a 429 once the browser budget is spent', async () => {
+    stubBrowser();
+    const budget = Number(process.env.BROWSER_RATE_LIMIT) || 5;
+    const client = { 'X-Forwarded-For': '203.0.113.31' };
+
+    const statuses = [];
+    let last;
+    for (let i = 0; i <= budget; i++) {
+      last = await post('/api/extract', { url: pinUrl, mode: 'auto' }, client);
+      statuses.push(last.status);
+    }
+    assert.deepEqual(statuses, [...Array(budget).fill(200), 429]);
+    assert.match(last.body.error, /Browser extraction/);
+
+    // Static extractions from the same client are not charged to that budget
+    const res = await post('/api/extract', { url: pinUrl }, client);
+    assert.equal(res.status, 200);
+  });
+});
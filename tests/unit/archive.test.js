@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Unit tests — ZIP archive contents
+ * Run: node --test tests/unit/archive.test.js
+ */
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
+const axios = require('axios');
+const archiver = require('archiver');
+const { mediaItems, writeArchive } = require('../../src/utils/archive');
+
+afterEach(() => mock.restoreAll());
+
+// ---------------------------------------------------------------------------
+// Items
+// ---------------------------------------------------------------------------
+
+describe('mediaItems', () => {
+  it('lists the single media_url of a plain pin', () => {
+    const items = mediaItems({ type: 'image', title: 'Sunset', media_url: 'https://i.pinimg.com/originals/a.jpg' }, '1');
+    assert.deepEqual(items, [{ pin_id: '1', title: 'Sunset', media_url: 'https://i.pinimg.com/originals/a.jpg' }]);
+  });
+
+  it('lists every media block of an Idea Pin, skipping text blocks', () => {
+    const items = mediaItems({
+      type: 'story',
+      title: 'Recipe',
+      media_url: 'https://v.pinimg.com/1.mp4',
+      pages: [
+        { blocks: [{ type: 'video', media_url: 'https://v.pinimg.com/1.mp4' }, { type: 'text', text: 'Step 1' }] },
+        { blocks: [{ type: 'image', media_url: 'https://i.pinimg.com/originals/2.jpg' }] },
+      ],
+    });
+    assert.deepEqual(items.map((i) => i.media_url), ['https://v.pinimg.com/1.mp4', 'https://i.pinimg.com/originals/2.jpg']);
+  });
+
+  it('names carousel slides after their own title when they have one', () => {
+    const items = mediaItems({
+      type: 'carousel',
+      title: 'Outfits',
+      media_url: 'https://i.pinimg.com/originals/a.jpg',
+      slides: [
+        { media_url: 'https://i.pinimg.com/originals/a.jpg', title: 'Look A' },
+        { media_url: 'https://i.pinimg.com/originals/b.jpg', title: null },
+      ],
+    });
+    assert.deepEqual(items.map((i) => i.title), ['Look A', 'Outfits']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Archive writing
+// ---------------------------------------------------------------------------
+
+describe('writeArchive', () => {
+  it('records unfetchable items in manifest.json instead of failing', async () => {
+    const archive = archiver('zip', { store: true });
+    const chunks = [];
+    archive.on('data', (chunk) => chunks.push(chunk));
+    const ended = new Promise((resolve) => archive.on('end', resolve));
+
+    await writeArchive(archive, {
+      sourceUrl: 'https://www.pinterest.com/pin/1/',
+      metadata: { pin: { type: 'image', title: 'Off CDN' } },
+      items: [{ pin_id: '1', title: 'Off CDN', media_url: 'https://example.com/a.jpg' }],
+    });
+    await ended;
+
+    // Entries are stored uncompressed, so the manifest JSON is readable as-is
+    const zip = Buffer.concat(chunks).toString('utf8');
+    assert.ok(zip.includes('manifest.json'));
+    const start = zip.indexOf('{\n  "source_url"');
+    const manifest = JSON.parse(zip.slice(start, zip.indexOf('\n}', start) + 2));
+
+    assert.equal(manifest.source_url, 'https://www.pinterest.com/pin/1/');
+    assert.equal(manifest.pin.title, 'Off CDN');
+    assert.deepEqual(manifest.files, [{
+      name: null,
+      pin_id: '1',
+      media_url: 'https://example.com/a.jpg',
+      status: 422,
+      error: 'Media file is not hosted on the Pinterest CDN.',
+    }]);
+  });
+
+  it('stops and destroys the file being written when the client goes away', { timeout: 5000 }, async () => {
+    // A CDN file that never finishes, so its entry is never written. The
+    // client leaves once the download is under way.
+    const upstream = new PassThrough();
+    const archive = archiver('zip', { store: true });
+    const controller = new AbortController();
+    mock.method(axios, 'get', async () => {
+      setImmediate(() => {
+        controller.abort();
+        archive.abort();
+      });
+      return { status: 200, headers: {}, data: upstream };
+    });
+
+    await writeArchive(archive, {
+      sourceUrl: 'https://www.pinterest.com/pin/1/',
+      metadata: {},
+      items: [
+        { pin_id: '1', title: 'Slow', media_url: 'https://v1.pinimg.com/videos/mc/720p/aa/bb/cc/x.mp4' },
+        { pin_id: '1', title: 'Next', media_url: 'https://i.pinimg.com/originals/aa/bb/cc/y.jpg' },
+      ],
+    }, { signal: controller.signal });
+
+    assert.equal(upstream.destroyed, true);
+    assert.equal(axios.get.mock.callCount(), 1);
+  });
+});
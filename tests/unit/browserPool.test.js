@@ -0,0 +1,299 @@
+'use strict';
+
+/**
+ * Unit tests — headless browser pool
+ * Run: node --test tests/unit/browserPool.test.js
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { createBrowserPool } = require('../../src/browser/pool');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Stand-in for a Playwright Browser: counts contexts and emits
+ * 'disconnected' when closed or crashed.
+ */
+function fakeBrowser() {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.contexts = 0;
+  browser.isConnected = () => browser.connected;
+  browser.newContext = async () => {
+    browser.contexts++;
+    return { close: async () => { browser.contexts--; } };
+  };
+  browser.crash = () => {
+    browser.connected = false;
+    browser.emit('disconnected');
+  };
+  browser.close = async () => {
+    if (browser.connected) browser.crash();
+  };
+  return browser;
+}
+
+/**
+ * A pool whose launch() records every fake browser it creates.
+ */
+function testPool(options = {}) {
+  const launched = [];
+  const pool = createBrowserPool({
+    launch: async () => {
+      const browser = fakeBrowser();
+      launched.push(browser);
+      return browser;
+    },
+    healthCheckMs: 0,
+    ...options,
+  });
+  return { pool, launched };
+}
+
+/**
+ * Starts a withContext() call that holds its slot until release() is called.
+ */
+function hold(pool) {
+  let release;
+  const gate = new Promise((resolve) => { release = resolve; });
+  const done = pool.withContext(() => gate);
+  return { release, done };
+}
+
+let current = null;
+
+afterEach(async () => {
+  await current?.close();
+  current = null;
+});
+
+describe('createBrowserPool', () => {
+  it('reuses one browser for sequential requests', async () => {
+    const { pool, launched } = testPool();
+    current = pool;
+
+    assert.equal(await pool.withContext(async () => 'a'), 'a');
+    assert.equal(await pool.withContext(async () => 'b'), 'b');
+
+    assert.equal(launched.length, 1);
+    assert.equal(pool.stats().totals.served, 2);
+  });
+
+  it('gives every request a fresh context and closes it afterwards', async () => {
+    const { pool, launched } = testPool();
+    current = pool;
+
+    const contexts = [];
+    await pool.withContext(async (ctx) => contexts.push(ctx));
+    await assert.rejects(pool.withContext(async (ctx) => {
+      contexts.push(ctx);
+      throw new Error('boom');
+    }), /boom/);
+
+    assert.notEqual(contexts[0], contexts[1]);
+    assert.equal(launched[0].contexts, 0);
+  });
+
+  it('fills a browser up to maxContexts before launching another', async () => {
+    const { pool, launched } = testPool({ size: 2, maxContexts: 2 });
+    current = pool;
+
+    const held = [hold(pool), hold(pool), hold(pool)];
+    await sleep(5);
+    assert.equal(launched.length, 2);
+    assert.equal(pool.stats().active, 3);
+
+    held.forEach((h) => h.release());
+    await Promise.all(held.map((h) => h.done));
+    assert.equal(pool.stats().active, 0);
+  });
+
+  it('recycles a browser after maxUses', async () => {
+    const { pool, launched } = testPool({ size: 1, maxUses: 2 });
+    current = pool;
+
+    await pool.withContext(async () => {});
+    await pool.withContext(async () => {});
+    assert.equal(launched[0].isConnected(), false);
+
+    await pool.withContext(async () => {});
+    const { totals, browsers } = pool.stats();
+    assert.equal(launched.length, 2);
+    assert.equal(totals.recycled, 1);
+    assert.equal(totals.crashed, 0);
+    assert.equal(browsers.length, 1);
+  });
+
+  it('lets a retiring browser finish before closing it', async () => {
+    const { pool, launched } = testPool({ size: 1, maxContexts: 2, maxUses: 1 });
+    current = pool;
+
+    const first = hold(pool);
+    await sleep(5);
+    const second = pool.withContext(async () => 'replacement');
+
+    assert.equal(await second, 'replacement');
+    assert.equal(launched.length, 2);
+    assert.equal(launched[0].isConnected(), true);
+
+    first.release();
+    await first.done;
+    assert.equal(launched[0].isConnected(), false);
+  });
+
+  it('replaces a browser that crashed', async () => {
+    const { pool, launched } = testPool({ size: 1 });
+    current = pool;
+
+    await pool.withContext(async () => {});
+    launched[0].crash();
+    await pool.withContext(async () => {});
+
+    assert.equal(launched.length, 2);
+    assert.equal(pool.stats().totals.crashed, 1);
+  });
+
+  it('queues requests until a slot frees up', async () => {
+    const { pool, launched } = testPool({ size: 1, maxContexts: 1 });
+    current = pool;
+
+    const first = hold(pool);
+    await sleep(5);
+    const second = pool.withContext(async () => 'second');
+    await sleep(5);
+    assert.equal(pool.stats().queued, 1);
+
+    first.release();
+    assert.equal(await second, 'second');
+    assert.equal(launched.length, 1);
+    assert.ok(pool.stats().wait_ms.max > 0);
+  });
+
+  it('rejects with 503 when the queue is full', async () => {
+    const { pool } = testPool({ size: 1, maxContexts: 1, maxQueue: 1 });
+    current = pool;
+
+    const first = hold(pool);
+    await sleep(5);
+    const queued = pool.withContext(async () => {});
+
+    await assert.rejects(pool.withContext(async () => {}), (err) => {
+      assert.equal(err.statusCode, 503);
+      return true;
+    });
+    assert.equal(pool.stats().totals.rejected, 1);
+
+    first.release();
+    await Promise.all([first.done, queued]);
+  });
+
+  it('rejects with 503 when no slot frees up within maxWaitMs', async () => {
+    const { pool } = testPool({ size: 1, maxContexts: 1, maxWaitMs: 20 });
+    current = pool;
+
+    const first = hold(pool);
+    await sleep(5);
+
+    await assert.rejects(pool.withContext(async () => {}), (err) => {
+      assert.equal(err.statusCode, 503);
+      assert.match(err.message, /No browser became available/);
+      return true;
+    });
+    assert.equal(pool.stats().totals.timed_out, 1);
+    assert.equal(pool.stats().queued, 0);
+
+    first.release();
+    await first.done;
+  });
+
+  it('passes launch failures to the caller', async () => {
+    const pool = createBrowserPool({
+      launch: async () => { throw new Error('no chromium'); },
+      healthCheckMs: 0,
+    });
+    current = pool;
+
+    await assert.rejects(pool.withContext(async () => {}), /no chromium/);
+    assert.equal(pool.stats().totals.launch_failures, 1);
+    assert.equal(pool.stats().launching, 0);
+  });
+
+  it('drops disconnected idle browsers on the health check', async () => {
+    const { pool, launched } = testPool({ healthCheckMs: 10 });
+    current = pool;
+
+    await pool.withContext(async () => {});
+    launched[0].connected = false; // lost without a 'disconnected' event
+    await sleep(30);
+
+    assert.equal(pool.stats().browsers.length, 0);
+    assert.equal(pool.stats().totals.crashed, 1);
+  });
+
+  it('keeps idle browsers that pass the health probe', async () => {
+    const { pool, launched } = testPool({ healthCheckMs: 10 });
+    current = pool;
+
+    await pool.withContext(async () => {});
+    await sleep(30);
+
+    assert.equal(launched[0].isConnected(), true);
+    assert.equal(launched[0].contexts, 0);
+    assert.equal(pool.stats().browsers.length, 1);
+    assert.equal(pool.stats().totals.unhealthy, 0);
+  });
+
+  it('closes and replaces a browser whose health probe hangs', async () => {
+    const { pool, launched } = testPool({ healthCheckMs: 10, probeTimeoutMs: 20 });
+    current = pool;
+
+    await pool.withContext(async () => {});
+    launched[0].newContext = () => new Promise(() => {}); // connected, but never answers
+    await sleep(60);
+
+    assert.equal(launched[0].isConnected(), false);
+    assert.equal(pool.stats().browsers.length, 0);
+    assert.deepEqual([pool.stats().totals.unhealthy, pool.stats().totals.crashed], [1, 0]);
+
+    assert.equal(await pool.withContext(async () => 'ok'), 'ok');
+    assert.equal(launched.length, 2);
+  });
+
+  it('reports its state in stats()', async () => {
+    const { pool } = testPool({ size: 3, maxContexts: 4, maxUses: 10, maxQueue: 5 });
+    current = pool;
+
+    await pool.withContext(async () => {});
+    const stats = pool.stats();
+
+    assert.equal(stats.size, 3);
+    assert.equal(stats.max_contexts, 4);
+    assert.equal(stats.max_uses, 10);
+    assert.equal(stats.max_queue, 5);
+    assert.equal(stats.browsers.length, 1);
+    assert.deepEqual(Object.keys(stats.browsers[0]), ['id', 'active', 'uses', 'age_ms', 'retiring', 'connected']);
+    assert.equal(stats.browsers[0].uses, 1);
+    assert.deepEqual(Object.keys(stats.totals), [
+      'served', 'launched', 'recycled', 'crashed', 'unhealthy', 'launch_failures', 'rejected', 'timed_out',
+    ]);
+    assert.deepEqual(Object.keys(stats.wait_ms), ['avg', 'max']);
+  });
+
+  it('rejects queued and new requests after close()', async () => {
+    const { pool, launched } = testPool({ size: 1, maxContexts: 1 });
+
+    const first = hold(pool);
+    await sleep(5);
+    const queued = pool.withContext(async () => {});
+
+    await pool.close();
+    await assert.rejects(queued, (err) => err.statusCode === 503);
+    await assert.rejects(pool.withContext(async () => {}), (err) => err.statusCode === 503);
+    assert.equal(launched[0].isConnected(), false);
+
+    first.release();
+    await first.done;
+  });
+});
@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * Unit tests — extraction cache stores and directives
+ * Run: node --test tests/unit/cache.test.js
+ */
+
+const { describe, it, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const axios = require('axios');
+const { createMemoryCache } = require('../../src/cache/stores/memory');
+const { createFileCache } = require('../../src/cache/stores/file');
+const { createRedisCache } = require('../../src/cache/stores/redis');
+const {
+  getCache,
+  getShortLinkCache,
+  cacheDirectives,
+  resolveShortLink,
+  extractWithCache,
+} = require('../../src/cache');
+
+// Keep the shortcode cache in memory rather than under ./data during tests
+process.env.SHORTLINK_STORE = 'memory';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ---------------------------------------------------------------------------
+// Stores — the same contract for every backend
+// ---------------------------------------------------------------------------
+
+// Minimal stand-in for an ioredis client (get / set with PX / del)
+function fakeRedisClient() {
+  const data = new Map();
+  return {
+    async get(key) {
+      const entry = data.get(key);
+      return entry && entry.expiresAt > Date.now() ? entry.value : null;
+    },
+    async set(key, value, mode, ttlMs) {
+      assert.equal(mode, 'PX');
+      data.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return 'OK';
+    },
+    async del(key) {
+      data.delete(key);
+    },
+  };
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pin-cache-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const stores = {
+  memory: () => createMemoryCache(),
+  file: () => createFileCache({ dir: path.join(tmpDir, String(Math.random()).slice(2)) }),
+  redis: () => createRedisCache({ client: fakeRedisClient() }),
+};
+
+for (const [name, create] of Object.entries(stores)) {
+  describe(`${name} cache store`, () => {
+    it('returns what was stored, then null after delete', async () => {
+      const store = create();
+      await store.set('pin:1', { title: 'a', renditions: [] }, 60_000);
+      assert.deepEqual(await store.get('pin:1'), { title: 'a', renditions: [] });
+      await store.delete('pin:1');
+      assert.equal(await store.get('pin:1'), null);
+    });
+
+    it('returns null for unknown keys', async () => {
+      assert.equal(await create().get('pin:missing'), null);
+    });
+
+    it('expires entries after their TTL', async () => {
+      const store = create();
+      await store.set('pin:2', { title: 'b' }, 20);
+      await sleep(40);
+      assert.equal(await store.get('pin:2'), null);
+    });
+  });
+}
+
+describe('memory cache LRU eviction', () => {
+  it('evicts the least recently used entry when full', async () => {
+    const store = createMemoryCache({ maxEntries: 2 });
+    await store.set('a', 1, 60_000);
+    await store.set('b', 2, 60_000);
+    await store.get('a'); // a is now the most recently used
+    await store.set('c', 3, 60_000);
+
+    assert.equal(await store.get('b'), null);
+    assert.equal(await store.get('a'), 1);
+    assert.equal(await store.get('c'), 3);
+  });
+
+  it('hands out copies so callers cannot mutate cached values', async () => {
+    const store = createMemoryCache();
+    await store.set('k', { list: [1] }, 60_000);
+    (await store.get('k')).list.push(2);
+    assert.deepEqual(await store.get('k'), { list: [1] });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Cache-Control
+// ---------------------------------------------------------------------------
+
+describe('cacheDirectives', () => {
+  it('reads and writes by default', () => {
+    assert.deepEqual(cacheDirectives(undefined), { read: true, write: true });
+  });
+
+  it('no-cache skips the cached copy but refreshes it', () => {
+    assert.deepEqual(cacheDirectives('No-Cache'), { read: false, write: true });
+  });
+
+  it('no-store bypasses the cache entirely', () => {
+    assert.deepEqual(cacheDirectives('max-age=0, no-store'), { read: false, write: false });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// extractWithCache — served from the cache, so no request reaches Pinterest
+// ---------------------------------------------------------------------------
+
+describe('extractWithCache', () => {
+  it('returns a cached extraction keyed by pin ID with cached: true', async () => {
+    const media = { type: 'image', media_url: 'https://i.pinimg.com/originals/a.jpg', title: 'x', renditions: [] };
+    await getCache().set('pin:987654321', media, 60_000);
+
+    const result = await extractWithCache('https://pinterest.co.uk/pin/987654321/?utm=1');
+    assert.deepEqual(result, { ...media, cached: true });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// resolveShortLink — cached shortcodes and full pin URLs need no request
+// ---------------------------------------------------------------------------
+
+describe('resolveShortLink', () => {
+  it('answers full pin URLs directly with the canonical URL', async () => {
+    assert.deepEqual(await resolveShortLink('https://pinterest.de/pin/4242/?utm=x'), {
+      short_url: 'https://pinterest.de/pin/4242/?utm=x',
+      shortcode: null,
+      pin_id: '4242',
+      url: 'https://www.pinterest.com/pin/4242/',
+      cached: false,
+    });
+  });
+
+  it('serves a known shortcode from the cache', async () => {
+    await getShortLinkCache().set('short:AbC123', { pin_id: '555', url: 'https://www.pinterest.com/pin/555/' }, 60_000);
+
+    assert.deepEqual(await resolveShortLink('https://pin.it/AbC123'), {
+      short_url: 'https://pin.it/AbC123',
+      shortcode: 'AbC123',
+      pin_id: '555',
+      url: 'https://www.pinterest.com/pin/555/',
+      cached: true,
+    });
+  });
+
+  describe('when the shortcode cache fails', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('resolves the link anyway and logs which cache failed', async () => {
+      const store = getShortLinkCache();
+      const down = async () => { throw new Error('connection refused'); };
+      mock.method(store, 'get', down);
+      mock.method(store, 'set', down);
+      mock.method(axios, 'request', async () => ({
+        status: 301,
+        headers: { location: 'https://www.pinterest.com/pin/777/sent/' },
+      }));
+      const logged = mock.method(console, 'error', () => {});
+
+      const result = await resolveShortLink('https://pin.it/Down1');
+      assert.equal(result.url, 'https://www.pinterest.com/pin/777/');
+      assert.equal(logged.mock.callCount(), 2);
+      for (const call of logged.mock.calls) {
+        assert.equal(JSON.parse(call.arguments[0]).message, 'Short link cache unavailable: connection refused');
+      }
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Startup
+// ---------------------------------------------------------------------------
+
+describe('server startup', () => {
+  it('exits with the reason when CACHE_STORE is not a supported store', () => {
+    const server = path.join(__dirname, '../../src/server.js');
+    const result = spawnSync(process.execPath, [server], {
+      env: { ...process.env, CACHE_STORE: 'memcached', PORT: '0' },
+      encoding: 'utf8',
+      timeout: 10_000,
+    });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Unsupported CACHE_STORE "memcached"/);
+  });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Unit tests — pin comments
+ * Run: node --test tests/unit/comments.test.js
+ */
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { toComment, extractPinComments } = require('../../src/utils/comments');
+const { getShortLinkCache } = require('../../src/cache');
+
+// Keep the shortcode cache in memory rather than under ./data during tests
+process.env.SHORTLINK_STORE = 'memory';
+
+afterEach(() => mock.restoreAll());
+
+describe('toComment', () => {
+  it('maps a comment with its embedded replies', () => {
+    const comment = toComment({
+      id: 5001,
+      type: 'aggcomment',
+      text: 'Made this last night!',
+      created_at: 'Tue, 05 Mar 2024 18:12:45 +0000',
+      user: { username: 'cook', full_name: 'A Cook', image_medium_url: 'https://i.pinimg.com/75x75/a.jpg' },
+      like_count: 4,
+      comment_count: 3,
+      replies: [
+        { id: '5002', text: 'Looks great', created_at: '2024-03-06T09:00:00Z', user: { username: 'fan' }, like_count: 0 },
+      ],
+    });
+
+    assert.deepEqual(comment, {
+      id: '5001',
+      author: { username: 'cook', full_name: 'A Cook', avatar_url: 'https://i.pinimg.com/75x75/a.jpg' },
+      text: 'Made this last night!',
+      created_at: '2024-03-05T18:12:45.000Z',
+      like_count: 4,
+      reply_count: 3,
+      replies: [{
+        id: '5002',
+        author: { username: 'fan', full_name: null, avatar_url: null },
+        text: 'Looks great',
+        created_at: '2024-03-06T09:00:00.000Z',
+        like_count: 0,
+        reply_count: 0,
+      }],
+    });
+  });
+
+  it('reads "tried it" text from details and sums reactions', () => {
+    const comment = toComment({ id: '1', details: 'Tried it', reaction_counts: { 1: 2, 13: 1 } });
+    assert.equal(comment.text, 'Tried it');
+    assert.equal(comment.like_count, 3);
+    assert.equal(comment.author, null);
+    assert.equal(comment.created_at, null);
+    assert.deepEqual(comment.replies, []);
+    assert.equal(comment.reply_count, 0);
+  });
+});
+
+describe('extractPinComments', () => {
+  it('looks pin.it short links up in the shortcode cache', async () => {
+    await getShortLinkCache().set('short:Cmt123', { pin_id: '4242', url: 'https://www.pinterest.com/pin/4242/' }, 60_000);
+    const resolve = mock.method(axios, 'request', async () => {
+      throw new Error('short link requested');
+    });
+    const pinLookups = [];
+    mock.method(axios, 'get', async (url) => {
+      const match = /\/resource\/PinResource\/get\/\?data=([^&]+)/.exec(url);
+      if (!match) return { status: 200, headers: { 'set-cookie': ['csrftoken=test; Path=/'] }, data: '<html></html>' };
+      pinLookups.push(JSON.parse(decodeURIComponent(match[1])).options.id);
+      throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+    });
+
+    await assert.rejects(extractPinComments('https://pin.it/Cmt123', { limit: 20, cursor: null }), { statusCode: 404 });
+    assert.deepEqual(pinLookups, ['4242']);
+    assert.equal(resolve.mock.callCount(), 0);
+  });
+});
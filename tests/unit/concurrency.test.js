@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Unit tests — bounded-concurrency map
+ * Run: node --test tests/unit/concurrency.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapWithConcurrency } = require('../../src/utils/concurrency');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('mapWithConcurrency', () => {
+  it('returns results in input order', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 3, async (ms, i) => {
+      await sleep(ms);
+      return i;
+    });
+    assert.deepEqual(results, [0, 1, 2]);
+  });
+
+  it('never runs more than `limit` calls at once', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    await mapWithConcurrency(Array.from({ length: 10 }), 3, async () => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await sleep(5);
+      inFlight--;
+    });
+    assert.equal(peak, 3);
+  });
+
+  it('resolves to an empty array for no items', async () => {
+    assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  });
+
+  it('rejects when a call throws', async () => {
+    await assert.rejects(
+      mapWithConcurrency([1, 2], 2, async (n) => {
+        if (n === 2) throw new Error('boom');
+        return n;
+      }),
+      /boom/,
+    );
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * Unit tests — download proxy helpers
+ * Run: node --test tests/unit/download.test.js
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { mediaFilename, contentDisposition, openMediaStream } = require('../../src/utils/download');
+
+// ---------------------------------------------------------------------------
+// Filenames
+// ---------------------------------------------------------------------------
+
+describe('mediaFilename', () => {
+  it('uses the pin title with the media extension', () => {
+    assert.equal(
+      mediaFilename('https://v.pinimg.com/videos/mc/720p/ab/cd/ef.mp4', 'Sunset  over the bay'),
+      'Sunset over the bay.mp4',
+    );
+  });
+
+  it('strips characters that are unsafe in filenames', () => {
+    assert.equal(mediaFilename('https://i.pinimg.com/a.jpg', 'a/b:c*"d"?'), 'abcd.jpg');
+  });
+
+  it('falls back to the CDN file name without a title', () => {
+    assert.equal(mediaFilename('https://i.pinimg.com/originals/ab/cd/0f1e2d.png', null), '0f1e2d.png');
+  });
+});
+
+describe('contentDisposition', () => {
+  it('adds an ASCII fallback and a UTF-8 filename*', () => {
+    assert.equal(
+      contentDisposition('Café.jpg'),
+      'attachment; filename="Caf_.jpg"; filename*=UTF-8\'\'Caf%C3%A9.jpg',
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Upstream streaming — against a local stand-in for the CDN
+// ---------------------------------------------------------------------------
+
+describe('openMediaStream', () => {
+  const FILE = Buffer.from('0123456789');
+  let server;
+  let base;
+  let requestHeaders;
+
+  before(() => {
+    return new Promise((resolve) => {
+      server = http.createServer((req, res) => {
+        requestHeaders = req.headers;
+        if (req.url === '/missing.mp4') {
+          res.statusCode = 404;
+          return res.end();
+        }
+        if (req.url === '/redirect.mp4') {
+          res.writeHead(302, { Location: 'http://example.com/' });
+          return res.end();
+        }
+        const m = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+        if (m) {
+          const chunk = FILE.subarray(Number(m[1]), Number(m[2]) + 1);
+          res.writeHead(206, {
+            'Content-Type': 'video/mp4',
+            'Content-Length': chunk.length,
+            'Content-Range': `bytes ${m[1]}-${m[2]}/${FILE.length}`,
+            'Accept-Ranges': 'bytes',
+          });
+          return res.end(chunk);
+        }
+        res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': FILE.length, 'Set-Cookie': 'x=1' });
+        res.end(FILE);
+      });
+      server.listen(0, '127.0.0.1', () => {
+        base = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    });
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+  }
+
+  it('streams the whole file with only whitelisted headers', async () => {
+    const upstream = await openMediaStream(`${base}/video.mp4`);
+    assert.equal(upstream.status, 200);
+    assert.equal(upstream.headers['content-type'], 'video/mp4');
+    assert.equal(upstream.headers['content-length'], '10');
+    assert.equal(upstream.headers['set-cookie'], undefined);
+    assert.equal(await readAll(upstream.stream), '0123456789');
+  });
+
+  it('asks for the file without content encoding', async () => {
+    const upstream = await openMediaStream(`${base}/video.mp4`);
+    upstream.stream.destroy();
+    assert.equal(requestHeaders['accept-encoding'], 'identity');
+  });
+
+  it('forwards Range and returns 206 with Content-Range', async () => {
+    const upstream = await openMediaStream(`${base}/video.mp4`, { range: 'bytes=2-5' });
+    assert.equal(upstream.status, 206);
+    assert.equal(upstream.headers['content-range'], 'bytes 2-5/10');
+    assert.equal(await readAll(upstream.stream), '2345');
+  });
+
+  it('maps an upstream 404 to a 404 error', async () => {
+    await assert.rejects(openMediaStream(`${base}/missing.mp4`), { statusCode: 404 });
+  });
+
+  it('does not follow redirects off the CDN', async () => {
+    await assert.rejects(openMediaStream(`${base}/redirect.mp4`), { statusCode: 502 });
+  });
+});
@@ -7,7 +7,7 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
-const { errorHandler } = require('../../src/middleware/errorHandler');
+const { errorHandler, toErrorResponse } = require('../../src/middleware/errorHandler');
 
 // ---------------------------------------------------------------------------
 // Helpers — lightweight mock req / res
@@ -123,6 +123,14 @@ describe('errorHandler — app-level errors with statusCode', () => {
     errorHandler(err, mockReq(), res, () => {});
     assert.equal(res._status, 400);
   });
+
+  it('appends the debug trace attached to the error', () => {
+    const err = Object.assign(new Error('No media'), { statusCode: 422, debug: { strategies: [] } });
+    const res = mockRes();
+    errorHandler(err, mockReq(), res, () => {});
+    assert.equal(res._status, 422);
+    assert.deepEqual(res._body.debug, { strategies: [] });
+  });
 });
 
 describe('errorHandler — generic / unknown errors', () => {
@@ -142,3 +150,23 @@ describe('errorHandler — generic / unknown errors', () => {
     process.env.NODE_ENV = original;
   });
 });
+
+describe('toErrorResponse', () => {
+  it('returns the same status and body errorHandler sends', () => {
+    for (const err of [axiosError(404), networkError('ETIMEDOUT'), new Error('x')]) {
+      const res = mockRes();
+      errorHandler(err, mockReq(), res, () => {});
+      const mapped = toErrorResponse(err);
+      assert.equal(mapped.status, res._status);
+      assert.deepEqual(mapped.body, res._body);
+    }
+  });
+
+  it('passes the available options of an unsatisfiable preference through', () => {
+    const available = { video: [{ quality: 'V_720P', width: 720, height: 1280, container: 'mp4' }], image: [] };
+    const err = Object.assign(new Error('No rendition matches.'), { statusCode: 422, available });
+    const { status, body } = toErrorResponse(err);
+    assert.equal(status, 422);
+    assert.deepEqual(body, { success: false, error: 'No rendition matches.', available });
+  });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Unit tests — mode=auto escalation to the browser extractor
+ * Run: node --test tests/unit/escalation.test.js
+ *
+ * The pool's withContext() is stubbed — with a fake context wherever the
+ * browser path has to run — so no browser is launched, and axios.get refuses
+ * every request: escalation must not refetch the page or PinResource.
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { escalateToBrowser } = require('../../src/utils/escalation');
+const { createTrace } = require('../../src/utils/pinterest');
+const { getBrowserPool } = require('../../src/browser');
+const { interceptAxios, fakeBrowserContext } = require('../fixtures/harness');
+
+const PIN_URL = 'https://www.pinterest.com/pin/100000000000000001/';
+const MP4 = 'https://v.pinimg.com/videos/mc/720p/aa/bb/cc/x.mp4';
+
+let requested;
+let restore = null;
+beforeEach(() => {
+  requested = [];
+  restore = interceptAxios(async (url) => {
+    requested.push(url);
+    throw new Error(`Unexpected request: ${url}`);
+  });
+});
+afterEach(() => {
+  restore?.();
+  restore = null;
+  mock.restoreAll();
+});
+
+describe('escalateToBrowser', () => {
+  const staticImage = {
+    type: 'image',
+    media_url: 'https://i.pinimg.com/originals/aa/bb/cc/x.jpg',
+    video_signals: ['is_video'],
+    cached: true,
+  };
+
+  it('uses the browser result when it finds an MP4', async () => {
+    const visited = [];
+    mock.method(getBrowserPool(), 'withContext', async (run) => run(fakeBrowserContext(MP4, visited)));
+
+    const { media, engine } = await escalateToBrowser(PIN_URL, staticImage);
+    assert.equal(engine, 'browser');
+    assert.equal(media.type, 'video');
+    assert.equal(media.media_url, MP4);
+    assert.equal(media.cached, false);
+    assert.deepEqual(visited, [PIN_URL]);
+    assert.deepEqual(requested, []); // straight to the browser, no page / PinResource refetch
+  });
+
+  it('keeps the static result when the browser finds nothing better', async () => {
+    const hls = { type: 'video', media_url: 'https://v1.pinimg.com/videos/hls/aa/x.m3u8', thumbnail: null, title: 'x', renditions: [] };
+    const withContext = mock.method(getBrowserPool(), 'withContext', async () => hls);
+
+    const { media, engine } = await escalateToBrowser(PIN_URL, staticImage);
+    assert.equal(withContext.mock.callCount(), 1);
+    assert.equal(engine, 'static');
+    assert.equal(media, staticImage);
+    assert.deepEqual(requested, []);
+  });
+
+  it('keeps the static result when the browser extraction fails', async () => {
+    mock.method(getBrowserPool(), 'withContext', async () => {
+      throw Object.assign(new Error('All browsers are busy.'), { statusCode: 503 });
+    });
+    mock.method(console, 'error', () => {});
+
+    const { media, engine } = await escalateToBrowser(PIN_URL, staticImage);
+    assert.equal(engine, 'static');
+    assert.equal(media, staticImage);
+  });
+
+  it('records the escalation in the debug trace', async () => {
+    mock.method(getBrowserPool(), 'withContext', async (run) => run(fakeBrowserContext(MP4)));
+    const trace = createTrace();
+
+    await escalateToBrowser(PIN_URL, staticImage, { trace });
+    const [step] = trace.toJSON().strategies;
+    assert.equal(step.name, 'browser_escalation');
+    assert.equal(step.result, 'video');
+  });
+
+  it('traces why the browser result was not used', async () => {
+    mock.method(getBrowserPool(), 'withContext', async () => null);
+    const trace = createTrace();
+
+    await escalateToBrowser(PIN_URL, staticImage, { trace });
+    const [step] = trace.toJSON().strategies;
+    assert.equal(step.name, 'browser_escalation');
+    assert.equal(step.result, null);
+    assert.match(step.reason, /kept the static result/);
+  });
+
+  it('traces a failed escalation', async () => {
+    mock.method(getBrowserPool(), 'withContext', async () => {
+      throw new Error('All browsers are busy.');
+    });
+    mock.method(console, 'error', () => {});
+    const trace = createTrace();
+
+    const { engine } = await escalateToBrowser(PIN_URL, staticImage, { trace });
+    assert.equal(engine, 'static');
+    assert.equal(trace.toJSON().strategies[0].reason, 'threw: All browsers are busy.');
+  });
+});
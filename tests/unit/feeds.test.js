@@ -0,0 +1,364 @@
+'use strict';
+
+/**
+ * Unit tests — bookmark-paginated feeds (boards, sections, users, search,
+ * related pins), replayed offline against a stubbed Pinterest
+ * Run: node --test tests/unit/feeds.test.js
+ *
+ * axios.get is swapped for an in-memory Pinterest (see servePinterest), so
+ * no request leaves the process.
+ */
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { fetchFeed } = require('../../src/utils/pinterest');
+const { extractBoardPins, listBoardSections } = require('../../src/utils/boards');
+const { extractUserPins } = require('../../src/utils/users');
+const { searchPinterest } = require('../../src/utils/search');
+const { extractRelatedPins } = require('../../src/utils/related');
+const { interceptAxios, httpError } = require('../fixtures/harness');
+
+// Keep the shortcode cache in memory rather than under ./data during tests
+process.env.SHORTLINK_STORE = 'memory';
+
+let restore = null;
+afterEach(() => {
+  restore?.();
+  restore = null;
+  mock.restoreAll();
+});
+
+// ---------------------------------------------------------------------------
+// Stubbed Pinterest
+// ---------------------------------------------------------------------------
+
+/**
+ * Serves a Pinterest session: every page answers an empty document with a
+ * csrftoken cookie, and /resource/<Name>/get/ answers with the
+ * resource_response returned by `resources[Name](options)` (a 404 for
+ * resources not listed). Returns the resource calls made, as
+ * { resource, options }.
+ */
+function servePinterest(resources) {
+  const calls = [];
+  restore = interceptAxios(async (url) => {
+    const match = /\/resource\/(\w+)\/get\/\?data=([^&]+)/.exec(url);
+    if (!match) {
+      return { status: 200, headers: { 'set-cookie': ['csrftoken=replay; Path=/'] }, data: '<html></html>' };
+    }
+
+    const { options } = JSON.parse(decodeURIComponent(match[2]));
+    calls.push({ resource: match[1], options });
+    if (!resources[match[1]]) throw httpError(404, url);
+    return { status: 200, headers: {}, data: { resource_response: resources[match[1]](options) } };
+  });
+  return calls;
+}
+
+/**
+ * A feed resource over `items`: answers `page_size` items from the offset
+ * named by the bookmark, with the next bookmark ("-end-" after the last
+ * item). `wrap` shapes each page's data (search wraps it as { results }).
+ */
+function feedOf(items, wrap = (page) => page) {
+  return ({ page_size: pageSize, bookmarks }) => {
+    const offset = bookmarks ? Number(bookmarks[0].replace('offset-', '')) : 0;
+    const next = offset + pageSize;
+    return {
+      data: wrap(items.slice(offset, next)),
+      bookmark: next >= items.length ? '-end-' : `offset-${next}`,
+    };
+  };
+}
+
+/**
+ * A raw feed pin with a single image.
+ */
+function feedPin(id) {
+  return {
+    id: String(id),
+    type: 'pin',
+    title: `Pin ${id}`,
+    images: { orig: { url: `https://i.pinimg.com/originals/aa/bb/cc/${id}.jpg`, width: 1000, height: 1500 } },
+  };
+}
+
+const pins = (count, from = 1) => Array.from({ length: count }, (_, i) => feedPin(from + i));
+
+// ---------------------------------------------------------------------------
+// fetchFeed
+// ---------------------------------------------------------------------------
+
+describe('fetchFeed', () => {
+  const session = { cookies: 'csrftoken=replay', referer: 'https://www.pinterest.com/' };
+
+  it('follows bookmarks across pages and stops at `limit`', async () => {
+    const calls = servePinterest({ BoardFeedResource: feedOf(pins(100)) });
+
+    const { items, cursor } = await fetchFeed('BoardFeedResource', { board_id: '1' }, { session, limit: 60 });
+    assert.deepEqual(items.map((p) => p.id), pins(60).map((p) => p.id));
+    assert.equal(cursor, 'offset-60');
+
+    // The last page is requested at the remaining size, so the cursor skips nothing
+    assert.deepEqual(calls.map((c) => c.options.page_size), [25, 25, 10]);
+    assert.deepEqual(calls.map((c) => c.options.bookmarks), [undefined, ['offset-25'], ['offset-50']]);
+    assert.equal(calls[0].options.board_id, '1');
+  });
+
+  it('resumes from a cursor', async () => {
+    const calls = servePinterest({ BoardFeedResource: feedOf(pins(100)) });
+
+    const { items } = await fetchFeed('BoardFeedResource', {}, { session, cursor: 'offset-60', limit: 5 });
+    assert.deepEqual(items.map((p) => p.id), ['61', '62', '63', '64', '65']);
+    assert.deepEqual(calls[0].options.bookmarks, ['offset-60']);
+  });
+
+  it('returns a null cursor at the end of the feed', async () => {
+    const calls = servePinterest({ BoardFeedResource: feedOf(pins(30)) });
+
+    const { items, cursor } = await fetchFeed('BoardFeedResource', {}, { session, limit: 50 });
+    assert.equal(items.length, 30);
+    assert.equal(cursor, null);
+    assert.equal(calls.length, 2);
+  });
+
+  it('stops on an empty page even when Pinterest sends a bookmark', async () => {
+    const calls = servePinterest({ BoardFeedResource: () => ({ data: [], bookmark: 'offset-0' }) });
+
+    assert.deepEqual(await fetchFeed('BoardFeedResource', {}, { session, limit: 10 }), { items: [], cursor: null });
+    assert.equal(calls.length, 1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Boards
+// ---------------------------------------------------------------------------
+
+describe('extractBoardPins', () => {
+  const target = { url: 'https://www.pinterest.com/someone/kitchen/', username: 'someone', slug: 'kitchen', section: null };
+  const board = { id: 549, name: 'Kitchen', url: '/someone/kitchen/', pin_count: 3, owner: { username: 'someone' } };
+
+  it('maps board pins to media with their ID and URL, skipping other entries', async () => {
+    const calls = servePinterest({
+      BoardResource: () => ({ data: board }),
+      BoardFeedResource: feedOf([feedPin(1), { id: 'ad', type: 'story' }, feedPin(2), { id: '3', type: 'pin' }]),
+    });
+
+    const result = await extractBoardPins(target, { limit: 10, cursor: null });
+    assert.equal(result.board.id, '549');
+    assert.equal(result.board.url, 'https://www.pinterest.com/someone/kitchen/');
+    assert.equal(result.section, null);
+    assert.equal(result.cursor, null);
+    assert.deepEqual(result.pins.map((p) => [p.id, p.url, p.type, p.media_url]), [
+      ['1', 'https://www.pinterest.com/pin/1/', 'image', 'https://i.pinimg.com/originals/aa/bb/cc/1.jpg'],
+      ['2', 'https://www.pinterest.com/pin/2/', 'image', 'https://i.pinimg.com/originals/aa/bb/cc/2.jpg'],
+    ]);
+    assert.equal(result.pins[0].schema_version, 1);
+
+    const feedCall = calls.find((c) => c.resource === 'BoardFeedResource');
+    assert.equal(feedCall.options.board_id, '549');
+    assert.equal(feedCall.options.board_url, '/someone/kitchen/');
+  });
+
+  it('returns the cursor of the next page', async () => {
+    servePinterest({ BoardResource: () => ({ data: board }), BoardFeedResource: feedOf(pins(40)) });
+
+    const first = await extractBoardPins(target, { limit: 25, cursor: null });
+    const second = await extractBoardPins(target, { limit: 25, cursor: first.cursor });
+    assert.equal(first.pins.length, 25);
+    assert.deepEqual(second.pins.map((p) => p.id), pins(15, 26).map((p) => p.id));
+    assert.equal(second.cursor, null);
+  });
+
+  it('throws a 404 for an unknown board', async () => {
+    servePinterest({});
+    await assert.rejects(extractBoardPins(target, { limit: 10, cursor: null }), { statusCode: 404 });
+  });
+});
+
+describe('board sections', () => {
+  const target = { url: 'https://www.pinterest.com/someone/kitchen/', username: 'someone', slug: 'kitchen', section: null };
+  const board = { id: 549, name: 'Kitchen', url: '/someone/kitchen/', section_count: 2 };
+  const sections = [
+    { id: 71, title: 'Open shelving', slug: 'open-shelving', pin_count: 48 },
+    { id: 72, title: 'Café corner', slug: 'café-corner', pin_count: 12 },
+  ];
+  const resources = () => ({
+    BoardResource: () => ({ data: board }),
+    BoardSectionsResource: feedOf(sections),
+    BoardSectionPinsResource: ({ section_id: id, ...rest }) => feedOf(id === '72' ? pins(3, 200) : pins(5, 100))(rest),
+  });
+
+  it('lists a board\'s sections', async () => {
+    servePinterest(resources());
+
+    const result = await listBoardSections(target);
+    assert.equal(result.board.id, '549');
+    assert.deepEqual(result.sections, [
+      { id: '71', title: 'Open shelving', slug: 'open-shelving', pin_count: 48 },
+      { id: '72', title: 'Café corner', slug: 'café-corner', pin_count: 12 },
+    ]);
+  });
+
+  it('lists only the pins of the section named in the URL', async () => {
+    const calls = servePinterest(resources());
+
+    const result = await extractBoardPins({ ...target, section: 'Open-Shelving' }, { limit: 10, cursor: null });
+    assert.deepEqual(result.section, { id: '71', title: 'Open shelving', slug: 'open-shelving', pin_count: 48 });
+    assert.deepEqual(result.pins.map((p) => p.id), ['100', '101', '102', '103', '104']);
+    assert.equal(calls.find((c) => c.resource === 'BoardSectionPinsResource').options.section_id, '71');
+    assert.equal(calls.some((c) => c.resource === 'BoardFeedResource'), false);
+  });
+
+  it('matches percent-encoded section slugs', async () => {
+    servePinterest(resources());
+
+    const result = await extractBoardPins({ ...target, section: 'caf%C3%A9-corner' }, { limit: 10, cursor: null });
+    assert.equal(result.section.id, '72');
+    assert.deepEqual(result.pins.map((p) => p.id), ['200', '201', '202']);
+  });
+
+  it('throws a 404 for a section the board does not have', async () => {
+    servePinterest(resources());
+    await assert.rejects(extractBoardPins({ ...target, section: 'pantry' }, { limit: 10, cursor: null }), (err) => {
+      assert.equal(err.statusCode, 404);
+      assert.match(err.message, /"pantry"/);
+      return true;
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Users
+// ---------------------------------------------------------------------------
+
+describe('extractUserPins', () => {
+  const user = { id: 7741, username: 'someone', full_name: 'Some One', follower_count: 1820, pin_count: 30 };
+  const resources = () => ({
+    UserResource: ({ username }) => ({ data: username === 'someone' ? user : null }),
+    BoardsResource: feedOf([{ id: 549, name: 'Kitchen', url: '/someone/kitchen/' }, { id: 9, type: 'story' }]),
+    UserActivityPinsResource: feedOf(pins(30)),
+  });
+
+  it('returns the profile, boards and first page of created pins', async () => {
+    const calls = servePinterest(resources());
+
+    const result = await extractUserPins({ username: 'someone' }, { limit: 20, cursor: null });
+    assert.equal(result.profile.id, '7741');
+    assert.equal(result.profile.display_name, 'Some One');
+    assert.equal(result.profile.url, 'https://www.pinterest.com/someone/');
+    assert.deepEqual(result.boards.map((b) => [b.id, b.url]), [['549', 'https://www.pinterest.com/someone/kitchen/']]);
+    assert.deepEqual(result.pins.map((p) => p.id), pins(20).map((p) => p.id));
+    assert.equal(result.pins[0].url, 'https://www.pinterest.com/pin/1/');
+    assert.equal(result.cursor, 'offset-20');
+    assert.equal(calls.find((c) => c.resource === 'UserActivityPinsResource').options.username, 'someone');
+  });
+
+  it('skips the board list on later pages', async () => {
+    const calls = servePinterest(resources());
+
+    const result = await extractUserPins({ username: 'someone' }, { limit: 20, cursor: 'offset-20' });
+    assert.equal(result.boards, null);
+    assert.deepEqual(result.pins.map((p) => p.id), pins(10, 21).map((p) => p.id));
+    assert.equal(result.cursor, null);
+    assert.equal(calls.some((c) => c.resource === 'BoardsResource'), false);
+  });
+
+  it('throws a 404 for an unknown user', async () => {
+    servePinterest(resources());
+    await assert.rejects(extractUserPins({ username: 'nobody' }, { limit: 20, cursor: null }), { statusCode: 404 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Search
+// ---------------------------------------------------------------------------
+
+describe('searchPinterest', () => {
+  // Search pages wrap their items as { results: [...] }
+  const results = (page) => ({ results: page });
+
+  it('pages through pin results', async () => {
+    const calls = servePinterest({ BaseSearchResource: feedOf(pins(40), results) });
+
+    const first = await searchPinterest({ query: 'sunset timelapse', filter: 'videos' }, { limit: 30, cursor: null });
+    assert.deepEqual(first.results.map((p) => p.id), pins(30).map((p) => p.id));
+    assert.equal(first.results[0].url, 'https://www.pinterest.com/pin/1/');
+    assert.equal(first.cursor, 'offset-30');
+
+    const second = await searchPinterest({ query: 'sunset timelapse', filter: 'videos' }, { limit: 30, cursor: first.cursor });
+    assert.deepEqual(second.results.map((p) => p.id), pins(10, 31).map((p) => p.id));
+    assert.equal(second.cursor, null);
+
+    assert.deepEqual(
+      { query: calls[0].options.query, scope: calls[0].options.scope, source_url: calls[0].options.source_url },
+      { query: 'sunset timelapse', scope: 'videos', source_url: '/search/videos/?q=sunset%20timelapse&rs=typed' },
+    );
+  });
+
+  it('returns board summaries for the boards filter', async () => {
+    servePinterest({
+      BaseSearchResource: feedOf([{ id: 549, type: 'board', name: 'Kitchen', url: '/someone/kitchen/' }, feedPin(1)], results),
+    });
+
+    const { results: boards } = await searchPinterest({ query: 'kitchen', filter: 'boards' }, { limit: 10, cursor: null });
+    assert.deepEqual(boards.map((b) => [b.id, b.name, b.url]), [['549', 'Kitchen', 'https://www.pinterest.com/someone/kitchen/']]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Related pins
+// ---------------------------------------------------------------------------
+
+describe('extractRelatedPins', () => {
+  /**
+   * Stubs short link resolution: pin.it answers a 301 to `location`, which
+   * answers 200.
+   */
+  function redirectShortLinks(location) {
+    mock.method(axios, 'request', async ({ url }) => (url.startsWith('https://pin.it/')
+      ? { status: 301, headers: { location } }
+      : { status: 200, headers: {} }));
+  }
+
+  it('pages through the pins related to a pin', async () => {
+    const calls = servePinterest({ RelatedPinFeedResource: feedOf(pins(30, 500)) });
+
+    const result = await extractRelatedPins('https://www.pinterest.com/pin/4242/', { limit: 25, cursor: null });
+    assert.equal(result.pin_id, '4242');
+    assert.deepEqual(result.pins.map((p) => p.id), pins(25, 500).map((p) => p.id));
+    assert.equal(result.pins[0].url, 'https://www.pinterest.com/pin/500/');
+    assert.equal(result.cursor, 'offset-25');
+    assert.equal(calls[0].options.pin_id, '4242');
+  });
+
+  it('resolves pin.it short links first', async () => {
+    redirectShortLinks('https://www.pinterest.com/pin/4242/sent/');
+    const calls = servePinterest({ RelatedPinFeedResource: feedOf(pins(3)) });
+
+    const result = await extractRelatedPins('https://pin.it/AbC123', { limit: 25, cursor: null });
+    assert.equal(result.pin_id, '4242');
+    assert.equal(result.pins.length, 3);
+    assert.equal(result.cursor, null);
+    assert.equal(calls[0].options.pin_id, '4242');
+  });
+
+  it('answers repeat short links from the shortcode cache', async () => {
+    redirectShortLinks('https://www.pinterest.com/pin/4242/sent/');
+    servePinterest({ RelatedPinFeedResource: feedOf(pins(3)) });
+
+    await extractRelatedPins('https://pin.it/Repeat1', { limit: 25, cursor: null });
+    const lookups = axios.request.mock.callCount();
+    const result = await extractRelatedPins('https://pin.it/Repeat1', { limit: 25, cursor: null });
+    assert.equal(result.pin_id, '4242');
+    assert.equal(axios.request.mock.callCount(), lookups);
+  });
+
+  it('throws a 422 when the short link does not lead to a pin', async () => {
+    redirectShortLinks('https://www.pinterest.com/someone/kitchen/');
+    servePinterest({});
+
+    await assert.rejects(extractRelatedPins('https://pin.it/Board1', { limit: 25, cursor: null }), { statusCode: 422 });
+  });
+});
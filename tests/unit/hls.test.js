@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Unit tests — HLS playlist parsing and variant selection
+ * Run: node --test tests/unit/hls.test.js
+ */
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { parsePlaylist, pickVariant, openHlsStream } = require('../../src/utils/hls');
+
+const BASE = 'https://v1.pinimg.com/videos/iht/hls/ab/cd/ef/abcdef.m3u8';
+
+// ---------------------------------------------------------------------------
+// Master playlists
+// ---------------------------------------------------------------------------
+
+describe('parsePlaylist — master', () => {
+  const MASTER = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:6',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="en",URI="abcdef_audio.m3u8"',
+    '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=426x240,CODECS="avc1.42c015,mp4a.40.2",AUDIO="aud"',
+    'abcdef_240w.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720,FRAME-RATE=29.970,CODECS="avc1.64001f,mp4a.40.2",AUDIO="aud"',
+    'https://v1.pinimg.com/videos/iht/hls/ab/cd/ef/abcdef_720w.m3u8',
+  ].join('\n');
+
+  it('lists every variant with resolved URLs and attributes', () => {
+    const playlist = parsePlaylist(MASTER, BASE);
+    assert.equal(playlist.kind, 'master');
+    assert.equal(playlist.variants.length, 2);
+    assert.deepEqual(playlist.variants[0], {
+      url: 'https://v1.pinimg.com/videos/iht/hls/ab/cd/ef/abcdef_240w.m3u8',
+      bandwidth: 800000,
+      width: 426,
+      height: 240,
+      codecs: 'avc1.42c015,mp4a.40.2',
+      frame_rate: null,
+      audio_url: 'https://v1.pinimg.com/videos/iht/hls/ab/cd/ef/abcdef_audio.m3u8',
+    });
+    assert.equal(playlist.variants[1].frame_rate, 29.97);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Media playlists
+// ---------------------------------------------------------------------------
+
+describe('parsePlaylist — media', () => {
+  it('parses MPEG-TS segments and the total duration', () => {
+    const playlist = parsePlaylist([
+      '#EXTM3U',
+      '#EXT-X-TARGETDURATION:6',
+      '#EXTINF:6.0,',
+      'seg_0.ts',
+      '#EXTINF:4.5,',
+      'seg_1.ts',
+      '#EXT-X-ENDLIST',
+    ].join('\r\n'), BASE);
+
+    assert.equal(playlist.kind, 'media');
+    assert.equal(playlist.init, null);
+    assert.equal(playlist.encrypted, false);
+    assert.equal(playlist.duration, 10500);
+    assert.deepEqual(playlist.segments.map((s) => s.url), [
+      'https://v1.pinimg.com/videos/iht/hls/ab/cd/ef/seg_0.ts',
+      'https://v1.pinimg.com/videos/iht/hls/ab/cd/ef/seg_1.ts',
+    ]);
+  });
+
+  it('parses the fMP4 init map and chained byte ranges', () => {
+    const playlist = parsePlaylist([
+      '#EXTM3U',
+      '#EXT-X-MAP:URI="video.mp4",BYTERANGE="800@0"',
+      '#EXTINF:6.0,',
+      '#EXT-X-BYTERANGE:1000@800',
+      'video.mp4',
+      '#EXTINF:6.0,',
+      '#EXT-X-BYTERANGE:500',
+      'video.mp4',
+    ].join('\n'), BASE);
+
+    assert.deepEqual(playlist.init, {
+      url: 'https://v1.pinimg.com/videos/iht/hls/ab/cd/ef/video.mp4',
+      byterange: { start: 0, end: 799 },
+    });
+    assert.deepEqual(playlist.segments.map((s) => s.byterange), [
+      { start: 800, end: 1799 },
+      { start: 1800, end: 2299 },
+    ]);
+  });
+
+  it('flags encrypted playlists', () => {
+    const playlist = parsePlaylist([
+      '#EXTM3U',
+      '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+      '#EXTINF:6.0,',
+      'seg_0.ts',
+    ].join('\n'), BASE);
+    assert.equal(playlist.encrypted, true);
+  });
+
+  it('rejects text that is not a playlist with a 422', () => {
+    assert.throws(() => parsePlaylist('<html></html>', BASE), { statusCode: 422 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Variant selection
+// ---------------------------------------------------------------------------
+
+describe('pickVariant', () => {
+  const variants = [{ height: 1080 }, { height: 720 }, { height: 480 }];
+
+  it('picks the tallest variant by default', () => {
+    assert.equal(pickVariant(variants).height, 1080);
+  });
+
+  it('picks the tallest variant within max height', () => {
+    assert.equal(pickVariant(variants, 800).height, 720);
+  });
+
+  it('rejects with a 422 listing the heights when every variant is taller', () => {
+    assert.throws(() => pickVariant([...variants, { height: null }], 240), (err) => {
+      assert.equal(err.statusCode, 422);
+      assert.deepEqual(err.available, { heights: [1080, 720, 480] });
+      return true;
+    });
+  });
+
+  it('returns null for no variants', () => {
+    assert.equal(pickVariant([]), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Host restriction — fails before any network request
+// ---------------------------------------------------------------------------
+
+describe('openHlsStream', () => {
+  it('refuses playlists outside the Pinterest CDN', async () => {
+    await assert.rejects(openHlsStream('https://example.com/video.m3u8'), { statusCode: 400 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Separate audio renditions — served from a stubbed CDN
+// ---------------------------------------------------------------------------
+
+describe('openHlsStream — separate audio', () => {
+  const url = (name) => new URL(name, BASE).href;
+  const media = (segment) => ['#EXTM3U', '#EXTINF:6.0,', segment, '#EXT-X-ENDLIST'].join('\n');
+
+  /**
+   * Stubs axios.get with a CDN serving `files` ({ name: body });
+   * returns the URLs requested.
+   */
+  function serveCdn(files) {
+    const requested = [];
+    mock.method(axios, 'get', async (requestUrl) => {
+      requested.push(requestUrl);
+      const name = Object.keys(files).find((n) => url(n) === requestUrl);
+      return name ? { status: 200, data: files[name] } : { status: 404, data: '' };
+    });
+    return requested;
+  }
+
+  afterEach(() => mock.restoreAll());
+
+  it('rejects a stream whose audio is only in a separate rendition with a 422', async () => {
+    const requested = serveCdn({
+      'abcdef.m3u8': [
+        '#EXTM3U',
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="en",URI="abcdef_audio.m3u8"',
+        '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720,CODECS="avc1.64001f",AUDIO="aud"',
+        'abcdef_720w.m3u8',
+      ].join('\n'),
+      'abcdef_720w.m3u8': media('abcdef_720w_0.ts'),
+      'abcdef_audio.m3u8': media('abcdef_audio_0.ts'),
+    });
+
+    await assert.rejects(openHlsStream(BASE), (err) => {
+      assert.equal(err.statusCode, 422);
+      assert.match(err.message, /separate rendition/);
+      return true;
+    });
+    assert.deepEqual(requested, [BASE]);
+  });
+
+  it('picks a variant with muxed-in audio over a taller one without', async () => {
+    serveCdn({
+      'abcdef.m3u8': [
+        '#EXTM3U',
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="en",URI="abcdef_audio.m3u8"',
+        '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720,CODECS="avc1.64001f",AUDIO="aud"',
+        'abcdef_720w.m3u8',
+        '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=426x240,CODECS="avc1.42c015,mp4a.40.2"',
+        'abcdef_240w.m3u8',
+      ].join('\n'),
+      'abcdef_240w.m3u8': media('abcdef_240w_0.ts'),
+      'abcdef_240w_0.ts': Buffer.from('segment'),
+    });
+
+    const hls = await openHlsStream(BASE);
+    assert.equal(hls.variant.height, 240);
+    assert.equal(hls.variant.separate_audio, false);
+    assert.equal(hls.container, 'ts');
+
+    const chunks = [];
+    for await (const chunk of hls.stream) chunks.push(chunk);
+    assert.equal(Buffer.concat(chunks).toString(), 'segment');
+  });
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Unit tests — job queue + stores
+ * Run: node --test tests/unit/jobQueue.test.js
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { createJobQueue } = require('../../src/jobs/queue');
+const { createMemoryStore } = require('../../src/jobs/stores/memory');
+const { createFileStore } = require('../../src/jobs/stores/file');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Polls until the job leaves queued/running (or gives up after ~1 s)
+async function waitForJob(queue, id) {
+  for (let i = 0; i < 100; i++) {
+    const job = await queue.get(id);
+    if (job.status !== 'queued' && job.status !== 'running') return job;
+    await sleep(10);
+  }
+  throw new Error(`job ${id} did not finish`);
+}
+
+const handlers = {
+  echo: {
+    async run(input, { progress }) {
+      await progress(1, 1);
+      return { echoed: input.value };
+    },
+  },
+  fail: {
+    async run() {
+      throw Object.assign(new Error('Could not extract media'), { statusCode: 422 });
+    },
+  },
+  slow: {
+    async run() {
+      await sleep(30);
+      return {};
+    },
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('createJobQueue — memory store', () => {
+  it('runs a job to completion with progress and result', async () => {
+    const queue = createJobQueue({ store: createMemoryStore(), handlers });
+    const queued = await queue.enqueue('echo', { value: 42 });
+    assert.equal(queued.status, 'queued');
+
+    const job = await waitForJob(queue, queued.id);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.result, { echoed: 42 });
+    assert.deepEqual(job.progress, { done: 1, total: 1 });
+    assert.ok(job.started_at && job.finished_at);
+  });
+
+  it('records failures with the errorHandler status mapping', async () => {
+    const queue = createJobQueue({ store: createMemoryStore(), handlers });
+    const { id } = await queue.enqueue('fail', {});
+    const job = await waitForJob(queue, id);
+    assert.equal(job.status, 'failed');
+    assert.deepEqual(job.error, { status: 422, message: 'Could not extract media' });
+  });
+
+  it('respects the concurrency limit', async () => {
+    const queue = createJobQueue({ store: createMemoryStore(), handlers, concurrency: 1 });
+    await queue.enqueue('slow', {});
+    await queue.enqueue('slow', {});
+    assert.deepEqual(queue.stats(), { queued: 1, running: 1, concurrency: 1 });
+  });
+
+  it('rejects unknown job types and returns null for unknown IDs', async () => {
+    const queue = createJobQueue({ store: createMemoryStore(), handlers });
+    await assert.rejects(queue.enqueue('nope', {}), /Unknown job type/);
+    assert.equal(await queue.get('missing'), null);
+  });
+});
+
+describe('createJobQueue — file store', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-test-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('persists results that a fresh queue can read back', async () => {
+    const queue = createJobQueue({ store: createFileStore({ dir }), handlers });
+    const { id } = await queue.enqueue('echo', { value: 'saved' });
+    await waitForJob(queue, id);
+
+    const restarted = createJobQueue({ store: createFileStore({ dir }), handlers });
+    const job = await restarted.get(id);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.result, { echoed: 'saved' });
+  });
+
+  it('reports jobs left pending by a restart as failed', async () => {
+    const store = createFileStore({ dir });
+    await store.create({ id: 'abandoned-job', type: 'echo', status: 'running' });
+
+    const queue = createJobQueue({ store, handlers });
+    const job = await queue.get('abandoned-job');
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.status, 500);
+  });
+
+  it('deletes jobs that finished longer than ttlMs ago', async () => {
+    const store = createFileStore({ dir, ttlMs: 60_000 });
+    const longAgo = new Date(Date.now() - 120_000);
+    await store.create({ id: 'expired-job', status: 'completed', finished_at: longAgo.toISOString() });
+    await store.create({ id: 'recent-job', status: 'completed', finished_at: new Date().toISOString() });
+    await store.create({ id: 'old-running-job', status: 'running', finished_at: null });
+    for (const id of ['expired-job', 'old-running-job']) {
+      await fs.utimes(path.join(dir, `${id}.json`), longAgo, longAgo);
+    }
+
+    await store.create({ id: 'trigger-job', status: 'queued' });
+
+    assert.equal(await store.get('expired-job'), null);
+    assert.ok(await store.get('recent-job'));
+    assert.ok(await store.get('old-running-job'));
+  });
+
+  it('never reads outside its directory', async () => {
+    const store = createFileStore({ dir });
+    assert.equal(await store.get('../../etc/passwd'), null);
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Unit tests — rich pin metadata
+ * Run: node --test tests/unit/metadata.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { pinObjectToMetadata, toResponse } = require('../../src/utils/normalize');
+
+// ---------------------------------------------------------------------------
+// pinObjectToMetadata
+// ---------------------------------------------------------------------------
+
+describe('pinObjectToMetadata', () => {
+  const apiPin = {
+    id: '123',
+    description: 'Weeknight pasta #dinner #Pasta #dinner',
+    auto_alt_text: 'A bowl of pasta',
+    created_at: 'Tue, 05 Mar 2024 18:12:45 +0000',
+    dominant_color: '#c8a27e',
+    link: 'https://www.example.com/recipes/pasta',
+    pinner: { username: 'cook', full_name: 'A Cook', image_medium_url: 'https://i.pinimg.com/75x75/a.jpg' },
+    board: { name: 'Recipes', url: '/cook/recipes/' },
+    aggregated_pin_data: { aggregated_stats: { saves: 42 }, comment_count: 3 },
+    repin_count: 7,
+    reaction_counts: { 1: 5, 13: 2 },
+    videos: {
+      video_list: {
+        V_HLSV4: { url: 'https://v1.pinimg.com/videos/a.m3u8', duration: 61000, width: 1080, height: 1920 },
+        V_720P: { url: 'https://v1.pinimg.com/videos/a_720.mp4', duration: 61000, width: 720, height: 1280 },
+      },
+    },
+  };
+
+  it('maps a snake_case API pin', () => {
+    assert.deepEqual(pinObjectToMetadata(apiPin), {
+      description: 'Weeknight pasta #dinner #Pasta #dinner',
+      alt_text: 'A bowl of pasta',
+      created_at: '2024-03-05T18:12:45.000Z',
+      dominant_color: '#c8a27e',
+      link: 'https://www.example.com/recipes/pasta',
+      domain: 'example.com',
+      hashtags: ['#dinner', '#Pasta'],
+      pinner: { username: 'cook', full_name: 'A Cook', avatar_url: 'https://i.pinimg.com/75x75/a.jpg' },
+      board: { name: 'Recipes', url: 'https://www.pinterest.com/cook/recipes/' },
+      counts: { saves: 42, repins: 7, comments: 3, reactions: 7 },
+      video: { duration: 61000, width: 720, height: 1280 },
+    });
+  });
+
+  it('maps a camelCase Relay pin node to the same shape', () => {
+    const metadata = pinObjectToMetadata({
+      entityId: '123',
+      description: 'Weeknight pasta',
+      altText: 'Pasta',
+      createdAt: '2024-03-05T18:12:45Z',
+      dominantColor: '#c8a27e',
+      domain: 'example.com',
+      hashtags: ['dinner'],
+      pinner: { username: 'cook', fullName: 'A Cook', imageMediumUrl: 'https://i.pinimg.com/75x75/a.jpg' },
+      board: { name: 'Recipes', url: '/cook/recipes/' },
+      totalReactionCount: 9,
+      commentCount: 1,
+    });
+    assert.equal(metadata.alt_text, 'Pasta');
+    assert.equal(metadata.created_at, '2024-03-05T18:12:45.000Z');
+    assert.equal(metadata.domain, 'example.com');
+    assert.deepEqual(metadata.hashtags, ['#dinner']);
+    assert.equal(metadata.pinner.full_name, 'A Cook');
+    assert.equal(metadata.board.url, 'https://www.pinterest.com/cook/recipes/');
+    assert.deepEqual(metadata.counts, { saves: null, repins: null, comments: 1, reactions: 9 });
+    assert.equal(metadata.video, null);
+  });
+
+  it('reports missing fields as null', () => {
+    const metadata = pinObjectToMetadata({ id: '1', created_at: 'not a date' });
+    assert.equal(metadata.description, null);
+    assert.equal(metadata.created_at, null);
+    assert.deepEqual(metadata.hashtags, []);
+    assert.equal(metadata.pinner, null);
+    assert.equal(metadata.board, null);
+    assert.deepEqual(metadata.counts, { saves: null, repins: null, comments: null, reactions: null });
+  });
+
+  it('returns null without a pin object', () => {
+    assert.equal(pinObjectToMetadata(null), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// toResponse — include=metadata
+// ---------------------------------------------------------------------------
+
+describe('toResponse — include', () => {
+  const media = { type: 'image', media_url: 'https://i.pinimg.com/originals/a.jpg', metadata: { description: 'x' } };
+
+  it('drops metadata unless requested', () => {
+    assert.equal('metadata' in toResponse(media), false);
+    assert.equal('metadata' in toResponse(media, { metadata: false }), false);
+  });
+
+  it('keeps metadata when requested, null when absent', () => {
+    assert.deepEqual(toResponse(media, { metadata: true }).metadata, { description: 'x' });
+    assert.equal(toResponse({ type: 'image' }, { metadata: true }).metadata, null);
+  });
+});
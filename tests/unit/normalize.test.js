@@ -0,0 +1,369 @@
+'use strict';
+
+/**
+ * Unit tests — pin normalization shared by the static and browser engines
+ * Run: node --test tests/unit/normalize.test.js
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SCHEMA_VERSION,
+  VIDEO_QUALITY_PREFERENCE,
+  DEFAULT_PREFERENCES,
+  pickBestVideo,
+  pickBestImage,
+  pickBestCapturedUrl,
+  pinObjectToMedia,
+  feedPinToMedia,
+  capturedToMedia,
+  isComplete,
+  applyPreferences,
+  toResponse,
+} = require('../../src/utils/normalize');
+const { extractPinterestMedia } = require('../../src/utils/pinterest');
+const { extractWithBrowser } = require('../../src/utils/playwrightExtractor');
+const { loadFixture, replayFixture } = require('../fixtures/harness');
+
+let restore = null;
+afterEach(() => {
+  restore?.();
+  restore = null;
+});
+
+const MP4 = (q) => `https://v1.pinimg.com/videos/mc/${q}/aa/bb/cc/x.mp4`;
+
+// ---------------------------------------------------------------------------
+// Quality selection
+// ---------------------------------------------------------------------------
+
+describe('pickBestVideo', () => {
+  it('ranks every quality in VIDEO_QUALITY_PREFERENCE, 360p above 240p', () => {
+    assert.ok(VIDEO_QUALITY_PREFERENCE.indexOf('V_360P') < VIDEO_QUALITY_PREFERENCE.indexOf('V_240P'));
+    const best = pickBestVideo({
+      V_240P: { url: MP4('240p'), width: 426, height: 240 },
+      V_360P: { url: MP4('360p'), width: 640, height: 360 },
+    });
+    assert.equal(best.url, MP4('360p'));
+  });
+
+  it('skips HLS playlists', () => {
+    const best = pickBestVideo({
+      V_HLSV4: { url: 'https://v1.pinimg.com/videos/hls/x.m3u8' },
+      V_480P: { url: MP4('480p') },
+    });
+    assert.equal(best.url, MP4('480p'));
+  });
+});
+
+describe('quality preferences in the pickers', () => {
+  const videoList = {
+    V_HLSV4: { url: 'https://v1.pinimg.com/videos/hls/x.m3u8' },
+    V_720P: { url: MP4('720p'), width: 720, height: 1280 },
+    V_480P: { url: MP4('480p'), width: 480, height: 854 },
+    V_360P: { url: MP4('360p'), width: 360, height: 640 },
+  };
+  const prefs = (p) => ({ ...DEFAULT_PREFERENCES, ...p });
+
+  it('honours max_height, prefer and format for video lists', () => {
+    assert.equal(pickBestVideo(videoList, prefs({ max_height: 900 })).url, MP4('480p'));
+    assert.equal(pickBestVideo(videoList, prefs({ prefer: 'smallest' })).url, MP4('360p'));
+    assert.equal(pickBestVideo(videoList, prefs({ format: 'hls' })).url, videoList.V_HLSV4.url);
+    assert.equal(pickBestVideo(videoList, prefs({ max_height: 200 })), null);
+  });
+
+  it('honours image_size and prefer for image maps', () => {
+    const images = {
+      orig: { url: 'https://i.pinimg.com/originals/x.jpg', width: 1000 },
+      '736x': { url: 'https://i.pinimg.com/736x/x.jpg', width: 736 },
+      '236x': { url: 'https://i.pinimg.com/236x/x.jpg', width: 236 },
+    };
+    assert.equal(pickBestImage(images), images.orig.url);
+    assert.equal(pickBestImage(images, prefs({ image_size: '736x' })), images['736x'].url);
+    assert.equal(pickBestImage(images, prefs({ prefer: 'smallest' })), images['236x'].url);
+    assert.equal(pickBestImage(images, prefs({ image_size: '474x' })), null);
+  });
+
+  it('applies the same rules to captured URLs', () => {
+    const urls = [MP4('240p'), MP4('720p'), MP4('480p')];
+    assert.equal(pickBestCapturedUrl(urls), MP4('720p'));
+    assert.equal(pickBestCapturedUrl(urls, prefs({ max_height: 480 })), MP4('480p'));
+    assert.equal(pickBestCapturedUrl(urls, prefs({ prefer: 'smallest' })), MP4('240p'));
+  });
+});
+
+describe('capturedToMedia', () => {
+  const thumbnail = 'https://i.pinimg.com/736x/aa/bb/cc/x.jpg';
+
+  it('picks the tallest captured MP4 and lists each as a rendition', () => {
+    const media = capturedToMedia({ videoUrls: [MP4('240p'), MP4('720p'), MP4('360p')], thumbnail, title: 't' });
+    assert.equal(media.type, 'video');
+    assert.equal(media.media_url, MP4('720p'));
+    assert.deepEqual(media.renditions.map((r) => r.height), [720, 360, 240, null]);
+    assert.equal(media.renditions.at(-1).kind, 'image');
+  });
+
+  it('falls back to the og:image, and to null without one', () => {
+    assert.equal(capturedToMedia({ videoUrls: [], thumbnail, title: 't' }).type, 'image');
+    assert.equal(capturedToMedia({ videoUrls: [], thumbnail: null, title: 't' }), null);
+  });
+});
+
+describe('applyPreferences', () => {
+  const prefs = (p) => ({ ...DEFAULT_PREFERENCES, ...p });
+  const video = pinObjectToMedia({
+    title: 'Clip',
+    images: { orig: { url: 'https://i.pinimg.com/originals/aa/x.jpg', width: 1000 } },
+    videos: {
+      video_list: {
+        V_720P: { url: MP4('720p'), width: 720, height: 1280 },
+        V_360P: { url: MP4('360p'), width: 360, height: 640 },
+      },
+    },
+  });
+
+  it('returns the result untouched without preferences', () => {
+    assert.equal(applyPreferences(video, DEFAULT_PREFERENCES), video);
+  });
+
+  it('re-picks media_url from the listed renditions', () => {
+    const media = applyPreferences(video, prefs({ max_height: 700 }));
+    assert.equal(media.media_url, MP4('360p'));
+    assert.deepEqual(media.renditions, video.renditions);
+  });
+
+  it('leaves videos alone for image-only preferences', () => {
+    assert.equal(applyPreferences(video, prefs({ image_size: '736x' })).media_url, MP4('720p'));
+  });
+
+  it('applies to every carousel slide and story block', () => {
+    const slides = [
+      { media_url: 'https://i.pinimg.com/originals/a.jpg', renditions: [
+        { kind: 'image', quality: 'orig', url: 'https://i.pinimg.com/originals/a.jpg', width: 1000 },
+        { kind: 'image', quality: '736x', url: 'https://i.pinimg.com/736x/a.jpg', width: 736 },
+      ] },
+      { media_url: 'https://i.pinimg.com/originals/b.jpg', renditions: [
+        { kind: 'image', quality: 'orig', url: 'https://i.pinimg.com/originals/b.jpg', width: 1000 },
+        { kind: 'image', quality: '736x', url: 'https://i.pinimg.com/736x/b.jpg', width: 736 },
+      ] },
+    ];
+    const carousel = applyPreferences({ type: 'carousel', media_url: slides[0].media_url, slides }, prefs({ image_size: '736x' }));
+    assert.deepEqual(carousel.slides.map((s) => s.media_url), ['https://i.pinimg.com/736x/a.jpg', 'https://i.pinimg.com/736x/b.jpg']);
+    assert.equal(carousel.media_url, 'https://i.pinimg.com/736x/a.jpg');
+
+    const story = applyPreferences({
+      type: 'story',
+      media_url: MP4('720p'),
+      pages: [{ index: 0, blocks: [{ type: 'text', text: 'Hi' }, { type: 'video', media_url: MP4('720p'), renditions: video.renditions }] }],
+    }, prefs({ prefer: 'smallest' }));
+    assert.equal(story.pages[0].blocks[1].media_url, MP4('360p'));
+    assert.equal(story.media_url, MP4('360p'));
+  });
+
+  it('throws a 422 listing the available renditions when nothing qualifies', () => {
+    assert.throws(() => applyPreferences(video, prefs({ max_height: 240 })), (err) => {
+      assert.equal(err.statusCode, 422);
+      assert.deepEqual(err.available.video.map((r) => r.height), [1280, 640]);
+      assert.deepEqual(err.available.image.map((r) => r.quality), ['orig']);
+      return true;
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Type detection
+// ---------------------------------------------------------------------------
+
+describe('isComplete', () => {
+  it('accepts MP4 videos and multi-item pins', () => {
+    assert.equal(isComplete({ type: 'video', media_url: MP4('720p') }), true);
+    assert.equal(isComplete({ type: 'story', media_url: 'https://i.pinimg.com/originals/x.jpg' }), true);
+    assert.equal(isComplete({ type: 'carousel', media_url: 'https://i.pinimg.com/originals/x.jpg' }), true);
+  });
+
+  it('rejects images, HLS-only videos and missing results', () => {
+    assert.equal(isComplete({ type: 'image', media_url: 'https://i.pinimg.com/originals/x.jpg' }), false);
+    assert.equal(isComplete({ type: 'video', media_url: 'https://v1.pinimg.com/videos/hls/x.m3u8' }), false);
+    assert.equal(isComplete(null), false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Pin objects
+// ---------------------------------------------------------------------------
+
+describe('pinObjectToMedia', () => {
+  it('lists every video and image rendition, MP4 first and largest first', () => {
+    const media = pinObjectToMedia({
+      title: 'Clip',
+      images: {
+        '236x': { url: 'https://i.pinimg.com/236x/aa/x.jpg', width: 236, height: 420 },
+        orig: { url: 'https://i.pinimg.com/originals/aa/x.jpg', width: 720, height: 1280 },
+      },
+      videos: {
+        video_list: {
+          V_HLSV4: { url: 'https://v1.pinimg.com/videos/hls/aa/x.m3u8', width: 720, height: 1280 },
+          V_480P: { url: MP4('480p'), width: 480, height: 854, bitrate: 900_000, duration: 15_500 },
+          V_720P: { url: MP4('720p'), width: 720, height: 1280 },
+        },
+      },
+    });
+
+    assert.equal(media.media_url, MP4('720p'));
+    assert.deepEqual(media.renditions.map((r) => [r.kind, r.quality, r.container]), [
+      ['video', 'V_720P', 'mp4'],
+      ['video', 'V_480P', 'mp4'],
+      ['video', 'V_HLSV4', 'hls'],
+      ['image', 'orig', 'jpg'],
+      ['image', '236x', 'jpg'],
+    ]);
+    assert.deepEqual(media.renditions[1], {
+      kind: 'video',
+      quality: 'V_480P',
+      url: MP4('480p'),
+      width: 480,
+      height: 854,
+      container: 'mp4',
+      bitrate: 900_000,
+      duration: 15_500,
+    });
+  });
+
+  it('keeps every page of an Idea / Story pin with its blocks in order', () => {
+    const media = pinObjectToMedia({
+      title: 'Three-step pasta',
+      story_pin_data: {
+        pages: [
+          {
+            image: { images: { originals: { url: 'https://i.pinimg.com/originals/p1/cover.jpg' } } },
+            blocks: [
+              { block: { type: 'story_pin_heading_block', text: ' Step one ' } },
+              { block: { video: { video_list: { V_720P: { url: MP4('720p'), height: 1280, duration: 4000 } } } } },
+            ],
+          },
+          // No media block — dropped
+          { blocks: [{ type: 'story_pin_paragraph_block', text: 'Only words' }] },
+          {
+            blocks: [
+              { image: { images: { orig: { url: 'https://i.pinimg.com/originals/p3/x.jpg', width: 1000 } } } },
+              { type: 'story_pin_paragraph_block', text: 'Serve hot.' },
+            ],
+          },
+        ],
+      },
+    });
+
+    assert.equal(media.type, 'story');
+    assert.equal(media.media_url, MP4('720p'));
+    assert.deepEqual(media.pages.map((p) => [p.index, p.duration, p.blocks.map((b) => b.type)]), [
+      [0, 4000, ['text', 'video']],
+      [1, null, ['image', 'text']],
+    ]);
+    assert.deepEqual(media.pages[0].blocks[0], { type: 'text', text: 'Step one', style: 'heading' });
+    assert.equal(media.pages[1].blocks[0].media_url, 'https://i.pinimg.com/originals/p3/x.jpg');
+    assert.deepEqual(media.pages[1].blocks[1], { type: 'text', text: 'Serve hot.', style: 'paragraph' });
+  });
+
+  it('returns every carousel slide with its own details', () => {
+    const slot = (id, extra = {}) => ({
+      id,
+      images: {
+        '736x': { url: `https://i.pinimg.com/736x/cc/${id}.jpg`, width: 736 },
+        orig: { url: `https://i.pinimg.com/originals/cc/${id}.jpg`, width: 1200 },
+      },
+      ...extra,
+    });
+    const media = pinObjectToMedia({
+      title: 'Lookbook',
+      carousel_data: {
+        carousel_slots: [
+          slot(11, { title: ' Look one ', link: 'https://shop.example/1' }),
+          { id: 12, images: {} }, // no image — skipped
+          slot(13, { description: 'Look two' }),
+        ],
+      },
+    });
+
+    assert.equal(media.type, 'carousel');
+    assert.equal(media.media_url, 'https://i.pinimg.com/originals/cc/11.jpg');
+    assert.deepEqual(media.slides.map(({ renditions, ...slide }) => slide), [
+      {
+        index: 0,
+        id: '11',
+        media_url: 'https://i.pinimg.com/originals/cc/11.jpg',
+        title: 'Look one',
+        description: null,
+        link: 'https://shop.example/1',
+      },
+      {
+        index: 1,
+        id: '13',
+        media_url: 'https://i.pinimg.com/originals/cc/13.jpg',
+        title: null,
+        description: 'Look two',
+        link: null,
+      },
+    ]);
+    assert.deepEqual(media.slides[1].renditions.map((r) => r.quality), ['orig', '736x']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Response schema
+// ---------------------------------------------------------------------------
+
+describe('toResponse', () => {
+  const media = pinObjectToMedia({
+    title: 'Sunset',
+    images: { orig: { url: 'https://i.pinimg.com/originals/aa/bb/cc/x.jpg', width: 1000, height: 1500 } },
+    videos: { video_list: { V_720P: { url: MP4('720p'), width: 720, height: 1280 } } },
+  });
+
+  it('leads with the schema version and keeps only schema fields', () => {
+    const body = toResponse({ ...media, video_signals: [], metadata: null, cached: true });
+    assert.deepEqual(Object.keys(body), [
+      'schema_version', 'type', 'media_url', 'thumbnail', 'title', 'renditions', 'cached',
+    ]);
+    assert.equal(body.schema_version, SCHEMA_VERSION);
+  });
+
+  it('leaves `cached` out for results that never touch the cache', () => {
+    assert.equal('cached' in toResponse(media), false);
+  });
+
+  it('gives both engines the same response for the same pin', async () => {
+    const fixture = loadFixture('video-api');
+    restore = replayFixture(fixture);
+
+    const fromStatic = await extractPinterestMedia(fixture.url);
+    const fromBrowser = await extractWithBrowser(fixture.url); // API fast path, no Chromium
+
+    assert.deepEqual(toResponse(fromBrowser, { metadata: true }), toResponse(fromStatic, { metadata: true }));
+  });
+});
+
+describe('feedPinToMedia', () => {
+  it('gives feed pins the versioned schema, after their ID and URL', () => {
+    const pin = {
+      id: 4242,
+      type: 'pin',
+      title: 'Sunset',
+      images: { orig: { url: 'https://i.pinimg.com/originals/aa/bb/cc/x.jpg', width: 1000, height: 1500 } },
+    };
+
+    const item = feedPinToMedia(pin);
+    assert.deepEqual(Object.keys(item), [
+      'id', 'url', 'schema_version', 'type', 'media_url', 'thumbnail', 'title', 'renditions',
+    ]);
+    assert.deepEqual(item, {
+      id: '4242',
+      url: 'https://www.pinterest.com/pin/4242/',
+      ...toResponse(pinObjectToMedia(pin)),
+    });
+  });
+
+  it('skips ads and entries without media', () => {
+    assert.equal(feedPinToMedia({ id: '1', type: 'story' }), null);
+    assert.equal(feedPinToMedia({ id: '1', type: 'pin', title: 'No media' }), null);
+  });
+});
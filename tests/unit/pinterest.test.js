@@ -0,0 +1,370 @@
+'use strict';
+
+/**
+ * Unit tests — extractor, run offline against the fixture corpus
+ * Run: node --test tests/unit/pinterest.test.js
+ *
+ * The bundled fixtures are hand-written (tests/fixtures/synthetic), not
+ * captures of live pages. Record real pins into tests/fixtures/recorded with
+ * `npm run fixtures:record -- <name> <pin-url>`; the first suite runs every
+ * fixture of both.
+ */
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const {
+  extractPinterestMedia,
+  createTrace,
+  detectVideoSignals,
+  resolveShortUrl,
+  extractFromReduxState,
+  extractFromPWSData,
+  extractFromRelayScripts,
+  extractFromMetaTags,
+} = require('../../src/utils/pinterest');
+const {
+  listFixtures,
+  loadFixture,
+  interceptAxios,
+  replayFixture,
+  recordFixture,
+  summarise,
+} = require('../fixtures/harness');
+
+let restore = null;
+afterEach(() => {
+  restore?.();
+  restore = null;
+  mock.restoreAll();
+});
+
+/**
+ * Parses a fixture's page the way runStrategies() does.
+ */
+function loadPage(name) {
+  const { html } = loadFixture(name).page;
+  return { html, $: cheerio.load(html) };
+}
+
+// ---------------------------------------------------------------------------
+// Full extraction
+// ---------------------------------------------------------------------------
+
+describe('extractPinterestMedia (fixture corpus)', () => {
+  for (const name of listFixtures()) {
+    const fixture = loadFixture(name);
+    it(`${name} (${fixture.source}): matches the expected result`, async () => {
+      restore = replayFixture(fixture);
+
+      const trace = createTrace();
+      const media = await extractPinterestMedia(fixture.url, { trace });
+      const strategy = trace.toJSON().strategies.find((s) => s.result)?.name ?? null;
+
+      assert.deepEqual(summarise(media, strategy), fixture.expected);
+    });
+  }
+
+  it('lists the variants of an HLS-only video, null when the playlist is unreachable', async () => {
+    restore = replayFixture(loadFixture('video-hls-api'));
+    const media = await extractPinterestMedia('https://www.pinterest.com/pin/100000000000000002/');
+    assert.equal(media.hls.playlist_url, media.media_url);
+    assert.equal(media.hls.variants, null);
+    assert.equal(media.hls.downloadable, null);
+  });
+
+  it('marks an HLS-only video as not downloadable when every variant keeps its audio separate', async () => {
+    const stopReplay = replayFixture(loadFixture('video-hls-api'));
+    const replay = axios.get;
+    const stopPlaylist = interceptAxios(async (url, config) => (url.endsWith('.m3u8')
+      ? {
+        status: 200,
+        data: [
+          '#EXTM3U',
+          '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="en",URI="audio.m3u8"',
+          '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720,CODECS="avc1.64001f",AUDIO="aud"',
+          'video_720w.m3u8',
+        ].join('\n'),
+      }
+      : replay(url, config)));
+    restore = () => {
+      stopPlaylist();
+      stopReplay();
+    };
+
+    const media = await extractPinterestMedia('https://www.pinterest.com/pin/100000000000000002/');
+    assert.deepEqual(media.hls.variants.map((v) => [v.height, v.separate_audio]), [[720, true]]);
+    assert.equal(media.hls.downloadable, false);
+  });
+
+  it('records the video signals of the result', async () => {
+    restore = replayFixture(loadFixture('video-hls-api'));
+    const hls = await extractPinterestMedia('https://www.pinterest.com/pin/100000000000000002/');
+    assert.deepEqual(hls.video_signals, ['hls_only']);
+    restore();
+
+    const fixture = loadFixture('video-api');
+    restore = replayFixture(fixture);
+    assert.deepEqual((await extractPinterestMedia(fixture.url)).video_signals, []);
+  });
+
+  it('throws a 422 when no strategy finds media', async () => {
+    const fixture = loadFixture('image-meta-tags');
+    restore = replayFixture({ ...fixture, page: { status: 200, html: '<html><head></head></html>' } });
+    await assert.rejects(extractPinterestMedia(fixture.url), (err) => err.statusCode === 422);
+  });
+
+  it('passes a Pinterest 404 for the page through', async () => {
+    const fixture = loadFixture('image-redux');
+    restore = replayFixture({ ...fixture, page: { status: 404, html: '' } });
+    await assert.rejects(extractPinterestMedia(fixture.url), (err) => err.response?.status === 404);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Individual strategies
+// ---------------------------------------------------------------------------
+
+describe('extractFromReduxState', () => {
+  it('reads an image pin from initialReduxState.pins', () => {
+    const { $ } = loadPage('image-redux');
+    const media = extractFromReduxState($);
+    assert.equal(media.type, 'image');
+    assert.equal(media.title, 'Reading nook');
+    assert.ok(media.renditions.length > 0);
+  });
+
+  it('reads a carousel from initialReduxState.resources.PinResource', () => {
+    const { $ } = loadPage('carousel-redux');
+    const media = extractFromReduxState($);
+    assert.equal(media.type, 'carousel');
+    assert.deepEqual(media.slides.map((s) => [s.id, s.title, s.link]), [
+      ['901', 'Linen shirt', 'https://shop.example.com/linen'],
+      ['902', 'Canvas tote', null],
+    ]);
+  });
+
+  it('returns null and explains why on a page without Redux state', () => {
+    const { $ } = loadPage('gif-pws');
+    const notes = [];
+    assert.equal(extractFromReduxState($, (n) => notes.push(n)), null);
+    assert.match(notes[0], /initialReduxState/);
+  });
+});
+
+describe('extractFromPWSData', () => {
+  it('reads a GIF pin from the __PWS_DATA__ script', () => {
+    const { html, $ } = loadPage('gif-pws');
+    const media = extractFromPWSData(html, $);
+    assert.equal(media.type, 'gif');
+    assert.match(media.media_url, /\/originals\/.+\.gif$/);
+    assert.equal(media.metadata.pinner.username, 'catgifs');
+  });
+
+  it('returns null on a page without __PWS_DATA__', () => {
+    const { html, $ } = loadPage('image-redux');
+    assert.equal(extractFromPWSData(html, $), null);
+  });
+});
+
+describe('extractFromRelayScripts', () => {
+  it('prefers the MP4 list over the HLS one', () => {
+    const { $ } = loadPage('video-relay');
+    const media = extractFromRelayScripts($);
+    assert.equal(media.type, 'video');
+    assert.match(media.media_url, /720p\/.+\.mp4$/);
+    assert.ok(media.renditions.some((r) => r.container === 'hls'));
+    assert.equal(media.metadata.pinner.username, 'barista');
+  });
+
+  it('returns null on a page without relay scripts', () => {
+    const { $ } = loadPage('image-meta-tags');
+    assert.equal(extractFromRelayScripts($), null);
+  });
+});
+
+describe('extractFromMetaTags', () => {
+  it('upgrades og:image to the originals URL preloaded in the page', () => {
+    const { html, $ } = loadPage('image-meta-tags');
+    const media = extractFromMetaTags($, html);
+    assert.equal(media.type, 'image');
+    assert.match(media.media_url, /\/originals\//);
+    assert.match(media.thumbnail, /\/736x\//);
+    assert.equal(media.metadata.description, 'A quiet cabin in the woods');
+  });
+
+  it('returns null on a page without media meta tags', () => {
+    const html = '<html><head><title>Pinterest</title></head></html>';
+    assert.equal(extractFromMetaTags(cheerio.load(html), html), null);
+  });
+});
+
+describe('detectVideoSignals', () => {
+  const image = { type: 'image', media_url: 'https://i.pinimg.com/originals/aa/bb/cc/x.jpg' };
+  const signals = (media, head = '', body = '', pinId = '42') => {
+    const html = `<html><head>${head}</head><body>${body}</body></html>`;
+    return detectVideoSignals(media, cheerio.load(html), pinId);
+  };
+
+  it('finds nothing for a plain image pin', () => {
+    assert.deepEqual(signals(image), []);
+  });
+
+  it('flags an HLS-only video', () => {
+    const media = { type: 'video', media_url: 'https://v1.pinimg.com/videos/hls/aa/bb/x.m3u8' };
+    assert.deepEqual(signals(media), ['hls_only']);
+  });
+
+  it('flags is_video / isVideo on the pin object in the page JSON', () => {
+    assert.deepEqual(signals(image, '', '<script>{"pin":{"id":"42","is_video": true}}</script>'), ['is_video']);
+    assert.deepEqual(signals(image, '', '<script>{"pin":{"id":"42","is_video":false}}</script>'), []);
+
+    const relay = '<script>window.__PWS_RELAY_REGISTER_COMPLETED_REQUEST__("q", ' +
+      '{"data":{"v3GetPinQuery":{"data":{"entityId":"42","isVideo":true}}}});</script>';
+    assert.deepEqual(signals(image, '', relay), ['is_video']);
+  });
+
+  it('ignores is_video on related pins', () => {
+    const page = '<script>{"initialReduxState":{"pins":{' +
+      '"42":{"id":"42","is_video":false},' +
+      '"77":{"id":"77","is_video":true}},' +
+      '"resources":{"RelatedPinsResource":{"x":{"data":[{"id":"78","isVideo":true}]}}}}}</script>';
+    assert.deepEqual(signals(image, '', page), []);
+    assert.deepEqual(signals(image, '', page, null), []);
+  });
+
+  it('flags video meta tags', () => {
+    assert.deepEqual(signals(image, '<meta property="og:type" content="video.other">'), ['video_meta_tags']);
+    assert.deepEqual(signals(image, '<meta name="twitter:player" content="https://www.pinterest.com/pin/1/">'), ['video_meta_tags']);
+  });
+
+  it('finds nothing for MP4 videos and multi-item pins, whatever the page says', () => {
+    const page = ['<meta property="og:type" content="video.other">', '<script>{"is_video":true}</script>'];
+    assert.deepEqual(signals({ type: 'video', media_url: 'https://v1.pinimg.com/videos/mc/720p/x.mp4' }, ...page), []);
+    assert.deepEqual(signals({ type: 'carousel', media_url: image.media_url }, ...page), []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Short links
+// ---------------------------------------------------------------------------
+
+describe('resolveShortUrl', () => {
+  /**
+   * Stubs axios.request with `hops` ({ 'METHOD url': { status, location } });
+   * unlisted requests answer 404. Returns the requests made, as 'METHOD url'.
+   */
+  function serveRedirects(hops) {
+    const requests = [];
+    mock.method(axios, 'request', async ({ method, url }) => {
+      const key = `${method.toUpperCase()} ${url}`;
+      requests.push(key);
+      const { status = 404, location } = hops[key] ?? {};
+      return { status, headers: location ? { location } : {} };
+    });
+    return requests;
+  }
+
+  it('follows redirects with HEAD and stops at the pin URL', async () => {
+    const requests = serveRedirects({
+      'HEAD https://pin.it/AbC123': { status: 301, location: 'https://api.pinterest.com/url_shortener/AbC123/redirect/' },
+      'HEAD https://api.pinterest.com/url_shortener/AbC123/redirect/': {
+        status: 302,
+        location: 'https://www.pinterest.de/pin/4242/sent/?invite_code=x',
+      },
+    });
+
+    assert.equal(await resolveShortUrl('https://pin.it/AbC123'), 'https://www.pinterest.com/pin/4242/');
+    // The pin page itself is never requested
+    assert.deepEqual(requests, [
+      'HEAD https://pin.it/AbC123',
+      'HEAD https://api.pinterest.com/url_shortener/AbC123/redirect/',
+    ]);
+  });
+
+  it('falls back to GET when HEAD is refused with 405', async () => {
+    const requests = serveRedirects({
+      'HEAD https://pin.it/AbC123': { status: 405 },
+      'GET https://pin.it/AbC123': { status: 301, location: 'https://www.pinterest.com/pin/4242/' },
+    });
+
+    assert.equal(await resolveShortUrl('https://pin.it/AbC123'), 'https://www.pinterest.com/pin/4242/');
+    assert.deepEqual(requests, ['HEAD https://pin.it/AbC123', 'GET https://pin.it/AbC123']);
+  });
+
+  it('resolves a relative Location against the current URL', async () => {
+    serveRedirects({
+      'HEAD https://pin.it/AbC123': { status: 301, location: 'https://www.pinterest.com/redirect/AbC123' },
+      'HEAD https://www.pinterest.com/redirect/AbC123': { status: 302, location: '/pin/4242/' },
+    });
+
+    assert.equal(await resolveShortUrl('https://pin.it/AbC123'), 'https://www.pinterest.com/pin/4242/');
+  });
+
+  it('returns the final URL of a short link to a board', async () => {
+    serveRedirects({
+      'HEAD https://pin.it/Board1': { status: 301, location: 'https://www.pinterest.com/someone/recipes/' },
+      'HEAD https://www.pinterest.com/someone/recipes/': { status: 200 },
+    });
+
+    assert.equal(await resolveShortUrl('https://pin.it/Board1'), 'https://www.pinterest.com/someone/recipes/');
+  });
+
+  it('throws a 404 when the short link does not exist', async () => {
+    serveRedirects({});
+    await assert.rejects(resolveShortUrl('https://pin.it/Gone'), (err) => {
+      assert.equal(err.statusCode, 404);
+      assert.match(err.message, /short link not found/);
+      return true;
+    });
+  });
+
+  it('throws a 502 on other upstream errors', async () => {
+    serveRedirects({ 'HEAD https://pin.it/AbC123': { status: 503 } });
+    await assert.rejects(resolveShortUrl('https://pin.it/AbC123'), (err) => err.statusCode === 502);
+  });
+
+  it('gives up after 10 redirects', async () => {
+    const hops = {};
+    for (let i = 0; i <= 10; i++) {
+      hops[`HEAD https://pin.it/loop${i}`] = { status: 302, location: `https://pin.it/loop${i + 1}` };
+    }
+    const requests = serveRedirects(hops);
+
+    await assert.rejects(resolveShortUrl('https://pin.it/loop0'), (err) => {
+      assert.equal(err.statusCode, 502);
+      assert.match(err.message, /too many redirects/);
+      return true;
+    });
+    assert.equal(requests.length, 11);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Harness
+// ---------------------------------------------------------------------------
+
+describe('recordFixture', () => {
+  it('captures the page and PinResource responses into a replayable fixture', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pin-fixtures-'));
+    try {
+      const source = loadFixture('video-api');
+      restore = replayFixture(source);
+      await recordFixture('copy', source.url, { root });
+      restore();
+      restore = null;
+
+      const copy = loadFixture('copy', { root });
+      assert.equal(copy.source, 'recorded');
+      assert.equal(copy.page.html, source.page.html);
+      assert.deepEqual(copy.api, source.api);
+      assert.deepEqual(copy.expected, source.expected);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
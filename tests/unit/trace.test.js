@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Unit tests — extraction debug trace
+ * Run: node --test tests/unit/trace.test.js
+ */
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { extractPinterestMedia, createTrace } = require('../../src/utils/pinterest');
+
+const PIN_URL = 'https://www.pinterest.com/pin/123456789/';
+
+/**
+ * Stubs axios.get: the pin page answers with `html`, PinResource with `api`
+ * (an Error to make the call fail).
+ */
+function stubPinterest({ html, api }) {
+  mock.method(axios, 'get', async (url) => {
+    if (url.includes('/resource/PinResource/')) {
+      if (api instanceof Error) throw api;
+      return { status: 200, headers: {}, data: api };
+    }
+    return { status: 200, headers: { 'set-cookie': ['csrftoken=abc; Path=/'] }, data: html };
+  });
+}
+
+afterEach(() => mock.restoreAll());
+
+describe('createTrace', () => {
+  it('records each strategy with its result, reason and timing', async () => {
+    const trace = createTrace();
+    await trace.strategy('first', (note) => {
+      note('nothing here');
+      return null;
+    });
+    await trace.strategy('second', () => ({ type: 'image' }));
+
+    const { strategies } = trace.toJSON();
+    assert.deepEqual(strategies.map(({ duration_ms, ...s }) => s), [
+      { name: 'first', result: null, reason: 'nothing here' },
+      { name: 'second', result: 'image', reason: null },
+    ]);
+    assert.ok(strategies.every((s) => Number.isInteger(s.duration_ms)));
+  });
+
+  it('records a strategy that throws and rethrows', async () => {
+    const trace = createTrace();
+    await assert.rejects(trace.strategy('broken', () => { throw new Error('boom'); }), /boom/);
+    assert.equal(trace.toJSON().strategies[0].reason, 'threw: boom');
+  });
+});
+
+describe('extractPinterestMedia with a trace', () => {
+  it('explains every strategy that fell through to the meta tags', async () => {
+    const denied = Object.assign(new Error('Request failed with status code 403'), { response: { status: 403 } });
+    stubPinterest({
+      html: '<html><head><meta property="og:image" content="https://i.pinimg.com/736x/ab/cd/ef/abcdef.jpg"></head></html>',
+      api: denied,
+    });
+
+    const trace = createTrace();
+    const media = await extractPinterestMedia(PIN_URL, { trace });
+    assert.equal(media.type, 'image');
+
+    const debug = trace.toJSON();
+    assert.equal(debug.pin_id, '123456789');
+    assert.deepEqual(debug.blobs, { initial_redux_state: false, pws_data: false, relay_scripts: 0 });
+    assert.deepEqual(debug.requests.map((r) => [r.name, r.status]), [['page', 200], ['PinResource', 403]]);
+    assert.ok(debug.requests[0].bytes > 0);
+
+    const reasons = Object.fromEntries(debug.strategies.map((s) => [s.name, s.reason]));
+    assert.match(reasons.api, /PinResource request failed/);
+    assert.match(reasons.redux, /no inline script/);
+    assert.match(reasons.pws, /no parseable __PWS_DATA__/);
+    assert.match(reasons.relay, /no relay scripts/);
+    assert.equal(reasons.meta_tags, null);
+    assert.equal(debug.strategies.at(-1).result, 'image');
+  });
+
+  it('keeps the trace of an extraction that finds nothing', async () => {
+    stubPinterest({
+      html: '<html><script>{"initialReduxState":{"pins":{"1":{"id":"1"}}}}</script></html>',
+      api: { resource_response: { data: null } },
+    });
+
+    const trace = createTrace();
+    await assert.rejects(extractPinterestMedia(PIN_URL, { trace }), (err) => err.statusCode === 422);
+
+    const debug = trace.toJSON();
+    assert.equal(debug.blobs.initial_redux_state, true);
+    assert.deepEqual(debug.strategies.map((s) => s.name), ['api', 'redux', 'pws', 'relay', 'meta_tags']);
+    assert.ok(debug.strategies.every((s) => s.result === null && s.reason));
+    assert.match(debug.strategies[1].reason, /1 pins/);
+  });
+});
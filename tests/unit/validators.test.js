@@ -7,7 +7,20 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
-const { validatePinterestUrl } = require('../../src/utils/validators');
+const {
+  validatePinterestUrl,
+  validateBoardUrl,
+  validateProfileUrl,
+  validateSearchQuery,
+  validateCallbackUrl,
+  validateDownloadQuery,
+  validateArchiveQuery,
+  validatePagination,
+  validateInclude,
+  validateMode,
+  validatePreferences,
+  validateVerify,
+} = require('../../src/utils/validators');
 
 // ---------------------------------------------------------------------------
 // Valid URLs
@@ -84,3 +97,363 @@ describe('validatePinterestUrl — return shape', () => {
     assert.ok(result.error.length > 0);
   });
 });
+
+// ---------------------------------------------------------------------------
+// Board URLs
+// ---------------------------------------------------------------------------
+
+describe('validateBoardUrl', () => {
+  it('accepts a board URL and returns username + slug', () => {
+    const result = validateBoardUrl('https://www.pinterest.com/someuser/kitchen-ideas/');
+    assert.equal(result.valid, true);
+    assert.equal(result.username, 'someuser');
+    assert.equal(result.slug, 'kitchen-ideas');
+  });
+
+  it('returns a null section for whole-board URLs', () => {
+    const result = validateBoardUrl('https://www.pinterest.com/someuser/kitchen-ideas/');
+    assert.equal(result.section, null);
+  });
+
+  it('accepts a board section URL and returns the section slug', () => {
+    const result = validateBoardUrl('https://www.pinterest.com/someuser/kitchen-ideas/open-shelving/');
+    assert.equal(result.valid, true);
+    assert.equal(result.slug, 'kitchen-ideas');
+    assert.equal(result.section, 'open-shelving');
+  });
+
+  it('accepts country TLDs and a missing trailing slash', () => {
+    const result = validateBoardUrl('https://pinterest.co.uk/someuser/kitchen-ideas');
+    assert.equal(result.valid, true);
+    assert.equal(result.slug, 'kitchen-ideas');
+  });
+
+  const invalidCases = [
+    ['pin URL', 'https://www.pinterest.com/pin/123456789/'],
+    ['search URL', 'https://www.pinterest.com/search/pins/'],
+    ['profile tab', 'https://www.pinterest.com/someuser/_saved/'],
+    ['profile only', 'https://www.pinterest.com/someuser/'],
+    ['profile tab under a board', 'https://www.pinterest.com/someuser/board/_tools/'],
+    ['too many path segments', 'https://www.pinterest.com/someuser/board/section/extra/'],
+    ['wrong domain', 'https://example.com/someuser/board/'],
+    ['non-string', 42],
+  ];
+
+  for (const [label, url] of invalidCases) {
+    it(`rejects: ${label}`, () => {
+      const result = validateBoardUrl(url);
+      assert.equal(result.valid, false);
+      assert.ok(result.error);
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Profile URLs
+// ---------------------------------------------------------------------------
+
+describe('validateProfileUrl', () => {
+  for (const url of [
+    'https://www.pinterest.com/someuser/',
+    'https://pinterest.de/someuser',
+    'https://www.pinterest.com/someuser/_created/',
+  ]) {
+    it(`accepts: ${url}`, () => {
+      const result = validateProfileUrl(url);
+      assert.equal(result.valid, true);
+      assert.equal(result.username, 'someuser');
+    });
+  }
+
+  const invalidCases = [
+    ['pin URL', 'https://www.pinterest.com/pin/123456789/'],
+    ['board URL', 'https://www.pinterest.com/someuser/kitchen-ideas/'],
+    ['reserved page', 'https://www.pinterest.com/ideas/'],
+    ['short link', 'https://pin.it/AbCdEfG'],
+  ];
+
+  for (const [label, url] of invalidCases) {
+    it(`rejects: ${label}`, () => {
+      const result = validateProfileUrl(url);
+      assert.equal(result.valid, false);
+      assert.ok(result.error);
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Search queries
+// ---------------------------------------------------------------------------
+
+describe('validateSearchQuery', () => {
+  it('trims the query and defaults filter to pins', () => {
+    assert.deepEqual(validateSearchQuery({ query: '  sunset  ' }), {
+      valid: true,
+      query: 'sunset',
+      filter: 'pins',
+    });
+  });
+
+  for (const filter of ['pins', 'videos', 'boards']) {
+    it(`accepts filter: ${filter}`, () => {
+      assert.equal(validateSearchQuery({ query: 'x', filter }).filter, filter);
+    });
+  }
+
+  const invalidCases = [
+    ['missing query', {}],
+    ['blank query', { query: '   ' }],
+    ['non-string query', { query: 42 }],
+    ['overlong query', { query: 'a'.repeat(201) }],
+    ['unknown filter', { query: 'x', filter: 'users' }],
+  ];
+
+  for (const [label, body] of invalidCases) {
+    it(`rejects: ${label}`, () => {
+      const result = validateSearchQuery(body);
+      assert.equal(result.valid, false);
+      assert.ok(result.error);
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Webhook callback URLs
+// ---------------------------------------------------------------------------
+
+describe('validateCallbackUrl', () => {
+  it('accepts a public https URL', () => {
+    const result = validateCallbackUrl('https://hooks.example.com/pins?token=1');
+    assert.equal(result.valid, true);
+    assert.equal(result.url, 'https://hooks.example.com/pins?token=1');
+  });
+
+  const invalidCases = [
+    ['non-string', 42],
+    ['relative URL', '/hooks'],
+    ['ftp scheme', 'ftp://example.com/hook'],
+    ['localhost', 'http://localhost:8080/hook'],
+    ['loopback IP', 'http://127.0.0.1/hook'],
+    ['private range', 'http://192.168.1.10/hook'],
+    ['link-local metadata IP', 'http://169.254.169.254/latest'],
+    ['IPv6 loopback', 'http://[::1]/hook'],
+    ['IPv4-mapped IPv6 loopback', 'http://[::ffff:127.0.0.1]/hook'],
+    ['carrier-grade NAT range', 'http://100.64.0.1/hook'],
+    ['decimal loopback', 'http://2130706433/hook'],
+  ];
+
+  for (const [label, url] of invalidCases) {
+    it(`rejects: ${label}`, () => {
+      const result = validateCallbackUrl(url);
+      assert.equal(result.valid, false);
+      assert.ok(result.error);
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Download proxy query
+// ---------------------------------------------------------------------------
+
+describe('validateDownloadQuery', () => {
+  it('accepts an i.pinimg.com URL', () => {
+    const result = validateDownloadQuery({ url: 'https://i.pinimg.com/originals/ab/cd/ef.jpg' });
+    assert.deepEqual(result, {
+      valid: true,
+      url: 'https://i.pinimg.com/originals/ab/cd/ef.jpg',
+      pinId: null,
+      maxHeight: null,
+    });
+  });
+
+  it('accepts a v.pinimg.com URL', () => {
+    assert.equal(validateDownloadQuery({ url: 'https://v.pinimg.com/videos/mc/720p/ab/cd.mp4' }).valid, true);
+  });
+
+  it('accepts a numeric pin_id', () => {
+    assert.deepEqual(validateDownloadQuery({ pin_id: '774124931181173' }), {
+      valid: true,
+      url: null,
+      pinId: '774124931181173',
+      maxHeight: null,
+    });
+  });
+
+  it('parses max_height for HLS downloads', () => {
+    const result = validateDownloadQuery({ url: 'https://v1.pinimg.com/videos/mc/hls/ab/cd.m3u8', max_height: '720' });
+    assert.equal(result.valid, true);
+    assert.equal(result.maxHeight, 720);
+  });
+
+  const invalidCases = [
+    ['neither field', {}],
+    ['both fields', { url: 'https://i.pinimg.com/a.jpg', pin_id: '1' }],
+    ['non-numeric pin_id', { pin_id: 'abc' }],
+    ['repeated pin_id', { pin_id: ['1', '2'] }],
+    ['zero max_height', { pin_id: '1', max_height: '0' }],
+    ['non-numeric max_height', { pin_id: '1', max_height: 'hd' }],
+    ['other host', { url: 'https://example.com/a.jpg' }],
+    ['look-alike host', { url: 'https://i.pinimg.com.evil.example/a.jpg' }],
+    ['http scheme', { url: 'http://i.pinimg.com/a.jpg' }],
+    ['explicit port', { url: 'https://i.pinimg.com:8443/a.jpg' }],
+    ['credentials trick', { url: 'https://i.pinimg.com@example.com/a.jpg' }],
+  ];
+
+  for (const [label, query] of invalidCases) {
+    it(`rejects: ${label}`, () => {
+      const result = validateDownloadQuery(query);
+      assert.equal(result.valid, false);
+      assert.ok(result.error);
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Archive query
+// ---------------------------------------------------------------------------
+
+describe('validateArchiveQuery', () => {
+  const limits = { defaultPins: 50, maxPins: 250 };
+
+  it('accepts a pin URL', () => {
+    const result = validateArchiveQuery({ url: 'https://www.pinterest.com/pin/774124931181173/' }, limits);
+    assert.equal(result.valid, true);
+    assert.equal(result.kind, 'pin');
+    assert.equal(result.maxPins, 50);
+  });
+
+  it('accepts a board URL with max_pins', () => {
+    const result = validateArchiveQuery({ url: 'https://www.pinterest.com/someuser/kitchen/', max_pins: '10' }, limits);
+    assert.equal(result.valid, true);
+    assert.equal(result.kind, 'board');
+    assert.equal(result.target.slug, 'kitchen');
+    assert.equal(result.maxPins, 10);
+  });
+
+  const invalidCases = [
+    ['missing url', {}],
+    ['non-Pinterest URL', { url: 'https://example.com/a/b/' }],
+    ['max_pins above the cap', { url: 'https://www.pinterest.com/someuser/kitchen/', max_pins: '251' }],
+    ['non-numeric max_pins', { url: 'https://www.pinterest.com/someuser/kitchen/', max_pins: 'all' }],
+  ];
+
+  for (const [label, query] of invalidCases) {
+    it(`rejects: ${label}`, () => {
+      const result = validateArchiveQuery(query, limits);
+      assert.equal(result.valid, false);
+      assert.ok(result.error);
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Pagination fields
+// ---------------------------------------------------------------------------
+
+describe('validatePagination', () => {
+  const opts = { field: 'max_pins', defaultLimit: 50, maxLimit: 250 };
+
+  it('applies the default limit and a null cursor', () => {
+    assert.deepEqual(validatePagination({}, opts), { valid: true, limit: 50, cursor: null });
+  });
+
+  it('passes through an explicit limit and cursor', () => {
+    const result = validatePagination({ max_pins: 10, cursor: 'abc' }, opts);
+    assert.deepEqual(result, { valid: true, limit: 10, cursor: 'abc' });
+  });
+
+  for (const bad of [0, -1, 251, 1.5, '10']) {
+    it(`rejects max_pins: ${JSON.stringify(bad)}`, () => {
+      const result = validatePagination({ max_pins: bad }, opts);
+      assert.equal(result.valid, false);
+      assert.match(result.error, /max_pins/);
+    });
+  }
+
+  it('rejects a non-string cursor', () => {
+    const result = validatePagination({ cursor: 123 }, opts);
+    assert.equal(result.valid, false);
+  });
+});
+
+describe('validateInclude', () => {
+  it('includes nothing by default', () => {
+    assert.deepEqual(validateInclude(undefined), { valid: true, include: { metadata: false } });
+  });
+
+  for (const value of ['metadata', ' Metadata ', 'metadata,', ['metadata']]) {
+    it(`accepts ${JSON.stringify(value)}`, () => {
+      assert.deepEqual(validateInclude(value), { valid: true, include: { metadata: true } });
+    });
+  }
+
+  for (const bad of ['comments', 'metadata,comments', [1], { metadata: true }]) {
+    it(`rejects ${JSON.stringify(bad)}`, () => {
+      const result = validateInclude(bad);
+      assert.equal(result.valid, false);
+      assert.match(result.error, /include/);
+    });
+  }
+});
+
+describe('validateMode', () => {
+  it('defaults to static', () => {
+    assert.deepEqual(validateMode(undefined), { valid: true, mode: 'static' });
+    assert.deepEqual(validateMode(''), { valid: true, mode: 'static' });
+  });
+
+  for (const [value, mode] of [['static', 'static'], ['auto', 'auto'], [' AUTO ', 'auto']]) {
+    it(`accepts ${JSON.stringify(value)}`, () => {
+      assert.deepEqual(validateMode(value), { valid: true, mode });
+    });
+  }
+
+  for (const bad of ['browser', ['auto'], true]) {
+    it(`rejects ${JSON.stringify(bad)}`, () => {
+      const result = validateMode(bad);
+      assert.equal(result.valid, false);
+      assert.match(result.error, /mode/);
+    });
+  }
+});
+
+describe('validatePreferences', () => {
+  it('leaves every field null when none is given', () => {
+    assert.deepEqual(validatePreferences({}), {
+      valid: true,
+      preferences: { max_height: null, prefer: null, format: null, image_size: null },
+    });
+  });
+
+  it('normalizes values from a body or a query string', () => {
+    const { preferences } = validatePreferences({ max_height: '720', prefer: ' Smallest', format: 'HLS', image_size: 'originals' });
+    assert.deepEqual(preferences, { max_height: 720, prefer: 'smallest', format: 'hls', image_size: 'orig' });
+    assert.equal(validatePreferences({ image_size: '600x315' }).preferences.image_size, '600x315');
+  });
+
+  for (const [field, bad] of [
+    ['max_height', 0], ['max_height', '72.5'], ['max_height', 10000],
+    ['prefer', 'best'], ['format', 'webm'], ['format', ['mp4']],
+    ['image_size', 'large'], ['image_size', 736],
+  ]) {
+    it(`rejects ${field}=${JSON.stringify(bad)}`, () => {
+      const result = validatePreferences({ [field]: bad });
+      assert.equal(result.valid, false);
+      assert.match(result.error, new RegExp(field));
+    });
+  }
+});
+
+describe('validateVerify', () => {
+  for (const [value, verify] of [[undefined, false], [false, false], ['0', false], [true, true], ['true', true], ['1', true]]) {
+    it(`reads ${JSON.stringify(value)} as ${verify}`, () => {
+      assert.deepEqual(validateVerify(value), { valid: true, verify });
+    });
+  }
+
+  it('rejects anything else', () => {
+    const result = validateVerify('yes');
+    assert.equal(result.valid, false);
+    assert.match(result.error, /verify/);
+  });
+});
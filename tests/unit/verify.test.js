@@ -0,0 +1,195 @@
+'use strict';
+
+/**
+ * Unit tests — media URL verification and MP4 header probing
+ * Run: node --test tests/unit/verify.test.js
+ *
+ * axios.head / axios.get are stubbed with an in-memory CDN, so no request
+ * leaves the process.
+ */
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { parseMoov, probeMp4, verifyMedia } = require('../../src/utils/verify');
+const { DEFAULT_PREFERENCES, pinObjectToMedia, toResponse } = require('../../src/utils/normalize');
+
+afterEach(() => mock.restoreAll());
+
+// ---------------------------------------------------------------------------
+// Synthetic MP4 files
+// ---------------------------------------------------------------------------
+
+function box(type, ...payloads) {
+  const body = Buffer.concat(payloads);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function mvhd(timescale, duration) {
+  const payload = Buffer.alloc(100);
+  payload.writeUInt32BE(timescale, 12);
+  payload.writeUInt32BE(duration, 16);
+  return box('mvhd', payload);
+}
+
+function trak(handler, width, height) {
+  const tkhd = Buffer.alloc(84);
+  tkhd.writeUInt32BE(width * 65536, 76);
+  tkhd.writeUInt32BE(height * 65536, 80);
+  const hdlr = Buffer.alloc(24);
+  hdlr.write(handler, 8, 'latin1');
+  return box('trak', box('tkhd', tkhd), box('mdia', box('hdlr', hdlr)));
+}
+
+const MOOV = box('moov', mvhd(1000, 15500), trak('soun', 0, 0), trak('vide', 720, 1280));
+const FTYP = box('ftyp', Buffer.from('isom\0\0\0\0isom', 'latin1'));
+const MDAT = box('mdat', Buffer.alloc(100_000)); // larger than one probe read
+
+const FASTSTART = Buffer.concat([FTYP, MOOV, MDAT]);
+const MOOV_AT_END = Buffer.concat([FTYP, MDAT, MOOV]);
+
+/**
+ * Stubs axios.head / axios.get with a CDN serving `files`
+ * ({ url: { type, body } }); unknown URLs answer `missingStatus`.
+ */
+function serveCdn(files, { missingStatus = 404, ranges = true } = {}) {
+  const head = mock.method(axios, 'head', async (url) => {
+    const file = files[url];
+    if (!file) return { status: missingStatus, headers: {} };
+    return { status: 200, headers: { 'content-type': file.type, 'content-length': String(file.body.length) } };
+  });
+  const get = mock.method(axios, 'get', async (url, config) => {
+    const file = files[url];
+    if (!ranges) return { status: 200, headers: {}, data: file.body };
+    const [, start, end] = /^bytes=(\d+)-(\d+)$/.exec(config.headers.Range);
+    return { status: 206, headers: {}, data: file.body.subarray(Number(start), Number(end) + 1) };
+  });
+  return { head, get };
+}
+
+const MP4 = (q) => `https://v1.pinimg.com/videos/mc/${q}/aa/bb/cc/x.mp4`;
+
+// ---------------------------------------------------------------------------
+// Header parsing
+// ---------------------------------------------------------------------------
+
+describe('parseMoov', () => {
+  it('reads the duration and the video track resolution', () => {
+    assert.deepEqual(parseMoov(MOOV.subarray(8)), { duration_ms: 15500, width: 720, height: 1280 });
+  });
+
+  it('reads the duration of fragmented files from mvex/mehd', () => {
+    const mehd = Buffer.alloc(8);
+    mehd.writeUInt32BE(90_000 * 6, 4);
+    const moov = box('moov', mvhd(90_000, 0), box('mvex', box('mehd', mehd)), trak('vide', 1080, 1920));
+    assert.deepEqual(parseMoov(moov.subarray(8)), { duration_ms: 6000, width: 1080, height: 1920 });
+  });
+
+  it('returns null without a movie header', () => {
+    assert.equal(parseMoov(box('free', Buffer.alloc(16))), null);
+  });
+});
+
+describe('probeMp4', () => {
+  const url = MP4('720p');
+
+  it('reads a web-optimised file with a single ranged request', async () => {
+    const { get } = serveCdn({ [url]: { type: 'video/mp4', body: FASTSTART } });
+    assert.deepEqual(await probeMp4(url, FASTSTART.length), { duration_ms: 15500, width: 720, height: 1280 });
+    assert.equal(get.mock.callCount(), 1);
+  });
+
+  it('skips over mdat to a moov box at the end of the file', async () => {
+    const { get } = serveCdn({ [url]: { type: 'video/mp4', body: MOOV_AT_END } });
+    assert.deepEqual(await probeMp4(url, MOOV_AT_END.length), { duration_ms: 15500, width: 720, height: 1280 });
+    assert.equal(get.mock.callCount(), 2);
+  });
+
+  it('gives up when the server ignores Range', async () => {
+    serveCdn({ [url]: { type: 'video/mp4', body: FASTSTART } }, { ranges: false });
+    assert.equal(await probeMp4(url), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Verification
+// ---------------------------------------------------------------------------
+
+describe('verifyMedia', () => {
+  const video = pinObjectToMedia({
+    title: 'Clip',
+    images: { orig: { url: 'https://i.pinimg.com/originals/aa/x.jpg', width: 1000 } },
+    videos: {
+      video_list: {
+        V_720P: { url: MP4('720p'), width: 720, height: 1280 },
+        V_480P: { url: MP4('480p'), width: 480, height: 854 },
+      },
+    },
+  });
+
+  it('reports the content type, size and MP4 header of media_url', async () => {
+    serveCdn({ [MP4('720p')]: { type: 'video/mp4', body: FASTSTART } });
+
+    const media = await verifyMedia(video);
+    assert.equal(media.media_url, MP4('720p'));
+    assert.deepEqual(media.verification, {
+      verified: true,
+      fallback: false,
+      content_type: 'video/mp4',
+      bytes: FASTSTART.length,
+      duration_ms: 15500,
+      width: 720,
+      height: 1280,
+      attempts: [{ url: MP4('720p'), status: 200 }],
+    });
+    assert.deepEqual(toResponse(media).verification, media.verification);
+  });
+
+  it('falls back to the next video rendition when media_url fails', async () => {
+    serveCdn({ [MP4('480p')]: { type: 'video/mp4', body: MOOV_AT_END } }, { missingStatus: 403 });
+
+    const media = await verifyMedia(video);
+    assert.equal(media.media_url, MP4('480p'));
+    assert.equal(media.verification.fallback, true);
+    assert.deepEqual(media.verification.attempts.map((a) => a.status), [403, 200]);
+  });
+
+  it('falls back from a guessed originals URL to the og:image size', async () => {
+    const image = {
+      type: 'image',
+      media_url: 'https://i.pinimg.com/originals/aa/x.jpg',
+      renditions: [
+        { kind: 'image', quality: 'orig', url: 'https://i.pinimg.com/originals/aa/x.jpg', width: null },
+        { kind: 'image', quality: '736x', url: 'https://i.pinimg.com/736x/aa/x.jpg', width: null },
+      ],
+    };
+    const { get } = serveCdn({ 'https://i.pinimg.com/736x/aa/x.jpg': { type: 'image/jpeg', body: Buffer.alloc(2048) } });
+
+    const media = await verifyMedia(image);
+    assert.equal(media.media_url, 'https://i.pinimg.com/736x/aa/x.jpg');
+    assert.equal(media.verification.bytes, 2048);
+    assert.equal(media.verification.duration_ms, null);
+    assert.equal(get.mock.callCount(), 0); // only MP4 files are probed
+  });
+
+  it('only falls back to renditions that satisfy the preferences', async () => {
+    serveCdn({ [MP4('720p')]: { type: 'video/mp4', body: FASTSTART } });
+
+    const media = await verifyMedia({ ...video, media_url: MP4('480p') }, { ...DEFAULT_PREFERENCES, max_height: 900 });
+    assert.equal(media.verification.verified, false);
+    assert.equal(media.media_url, MP4('480p'));
+    assert.deepEqual(media.verification.attempts, [{ url: MP4('480p'), status: 404 }]);
+  });
+
+  it('never requests URLs outside the Pinterest CDN', async () => {
+    const { head } = serveCdn({});
+
+    const media = await verifyMedia({ type: 'image', media_url: 'https://example.com/x.jpg', renditions: [] });
+    assert.equal(head.mock.callCount(), 0);
+    assert.equal(media.verification.verified, false);
+    assert.match(media.verification.attempts[0].error, /CDN/);
+  });
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * Unit tests — webhook delivery
+ * Run: node --test tests/unit/webhooks.test.js
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const crypto = require('node:crypto');
+const { deliverWebhook, resolvePublicAddress, signPayload } = require('../../src/utils/webhooks');
+const { createJobQueue } = require('../../src/jobs/queue');
+const { createMemoryStore } = require('../../src/jobs/stores/memory');
+
+// ---------------------------------------------------------------------------
+// Receiver — answers with the next status in `statuses`, records requests.
+// It is addressed by a name that does not resolve; deliveries reach it
+// because `toReceiver` pins that name to 127.0.0.1.
+// ---------------------------------------------------------------------------
+
+let server;
+let URL_BASE;
+let LOOPBACK_URL;
+let statuses;
+let received;
+
+before(() => {
+  return new Promise((resolve) => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() ?? 200;
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      URL_BASE = `http://hooks.receiver.test:${server.address().port}`;
+      LOOPBACK_URL = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  statuses = [];
+  received = [];
+});
+
+const SECRET = 'test-secret';
+
+const toReceiver = async () => ({ address: '127.0.0.1', family: 4 });
+const deliver = (options) => deliverWebhook({ resolveAddress: toReceiver, ...options });
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('deliverWebhook', () => {
+  it('POSTs the JSON payload with a verifiable HMAC signature', async () => {
+    const result = await deliver({ url: URL_BASE, payload: { a: 1 }, secret: SECRET, id: 'job-1' });
+    assert.deepEqual(result, { delivered: true, attempts: 1 });
+
+    const [{ headers, body }] = received;
+    assert.deepEqual(JSON.parse(body), { a: 1 });
+    assert.equal(headers['x-webhook-id'], 'job-1');
+
+    const expected = crypto
+      .createHmac('sha256', SECRET)
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(signPayload(body, SECRET, headers['x-webhook-timestamp']), `sha256=${expected}`);
+  });
+
+  it('retries 5xx responses with backoff and logs every attempt', async () => {
+    statuses = [500, 503, 200];
+    const log = [];
+    const result = await deliver({
+      url: URL_BASE,
+      payload: {},
+      secret: SECRET,
+      id: 'job-2',
+      baseDelayMs: 5,
+      onAttempt: (entry) => log.push(entry),
+    });
+
+    assert.deepEqual(result, { delivered: true, attempts: 3 });
+    assert.deepEqual(log.map((e) => e.status), [500, 503, 200]);
+    assert.equal(log[2].error, null);
+    assert.match(log[0].error, /HTTP 500/);
+  });
+
+  it('gives up immediately on a non-retryable 4xx', async () => {
+    statuses = [400];
+    const result = await deliver({ url: URL_BASE, payload: {}, secret: SECRET, id: 'j', baseDelayMs: 5 });
+    assert.deepEqual(result, { delivered: false, attempts: 1 });
+  });
+
+  it('stops after maxAttempts', async () => {
+    statuses = [500, 500, 500];
+    const result = await deliver({
+      url: URL_BASE, payload: {}, secret: SECRET, id: 'j', maxAttempts: 2, baseDelayMs: 5,
+    });
+    assert.deepEqual(result, { delivered: false, attempts: 2 });
+    assert.equal(received.length, 2);
+  });
+
+  it('refuses a private address without retrying', async () => {
+    const log = [];
+    const result = await deliverWebhook({
+      url: LOOPBACK_URL, payload: {}, secret: SECRET, id: 'j', baseDelayMs: 5, onAttempt: (e) => log.push(e),
+    });
+    assert.deepEqual(result, { delivered: false, attempts: 1 });
+    assert.equal(received.length, 0);
+    assert.match(log[0].error, /non-public address/);
+  });
+
+  it('refuses a public name that now resolves to a private address', async () => {
+    const rebound = async () => [{ address: '10.0.0.7', family: 4 }];
+    const result = await deliverWebhook({
+      url: URL_BASE,
+      payload: {},
+      secret: SECRET,
+      id: 'j',
+      resolveAddress: (host) => resolvePublicAddress(host, rebound),
+    });
+    assert.deepEqual(result, { delivered: false, attempts: 1 });
+    assert.equal(received.length, 0);
+  });
+});
+
+describe('resolvePublicAddress', () => {
+  const lookupTo = (...addresses) => async () => addresses.map((address) => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+  it('returns the first address of a public host', async () => {
+    assert.deepEqual(
+      await resolvePublicAddress('hooks.example.com', lookupTo('93.184.216.34', '2606:2800::1')),
+      { address: '93.184.216.34', family: 4 },
+    );
+  });
+
+  const refused = [
+    ['a name resolving to loopback', 'evil.example.com', lookupTo('127.0.0.1')],
+    ['a name with one private record among public ones', 'evil.example.com', lookupTo('93.184.216.34', '10.1.2.3')],
+    ['a name resolving to carrier-grade NAT', 'evil.example.com', lookupTo('100.64.12.1')],
+    ['a name resolving to IPv4-mapped loopback', 'evil.example.com', lookupTo('::ffff:127.0.0.1')],
+    ['an IPv4-mapped IPv6 literal', '[::ffff:7f00:1]', lookupTo()],
+    ['a carrier-grade NAT literal', '100.100.0.1', lookupTo()],
+  ];
+  for (const [label, host, lookup] of refused) {
+    it(`refuses ${label}`, async () => {
+      await assert.rejects(resolvePublicAddress(host, lookup), (err) => err.refused === true);
+    });
+  }
+});
+
+describe('job queue callbacks', () => {
+  it('POSTs the finished job result and records the delivery log', async () => {
+    statuses = [502, 200];
+    const queue = createJobQueue({
+      store: createMemoryStore(),
+      handlers: { echo: { run: async (input) => ({ echoed: input.value }) } },
+      webhook: { secret: SECRET, baseDelayMs: 5, resolveAddress: toReceiver },
+    });
+
+    const { id } = await queue.enqueue('echo', { value: 7 }, { callbackUrl: URL_BASE });
+
+    let job;
+    for (let i = 0; i < 100; i++) {
+      job = await queue.get(id);
+      if (job.deliveries.length === 2) break;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    assert.deepEqual(job.deliveries.map((d) => d.status), [502, 200]);
+    assert.deepEqual(JSON.parse(received[1].body), {
+      job_id: id,
+      type: 'echo',
+      status: 'completed',
+      success: true,
+      echoed: 7,
+    });
+  });
+});